@@ -19,6 +19,83 @@
   const IMAGE_PADDING = 4;
   const MAX_NODE_WIDTH = 300;
   const LINE_HEIGHT_RATIO = 1.4;
+  const HISTORY_LIMIT = 200;
+  const HISTORY_COALESCE_MS = 1500;
+  const LAYOUT_MODES = ['right', 'balanced', 'logic', 'org', 'tidy', 'timeline'];
+  const ORG_GAP_X = 24;
+  const ORG_GAP_Y = 40;
+  const TIMELINE_INDENT = 24;
+  const BOLD_WIDTH_RATIO = 1.1;
+  const SHAPE_INSETS = { ellipse: 0.2, cloud: 0.15 };
+  const CLOUD_BUMP = 24;
+  const TASK_BOX_SIZE = 12;
+  const TASK_GAP = 6;
+  const PROGRESS_RADIUS = 6;
+  const PROGRESS_FONT_SIZE = 10;
+  const BADGE_HEIGHT = 14;
+  const BADGE_GAP = 4;
+  const BADGE_PADDING_X = 4;
+  const BADGE_FONT_SIZE = 10;
+  const ICON_FONT_SIZE = 12;
+  const THEME_FONT = "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif";
+  const CODE_FONT = "Menlo, Consolas, 'Courier New', monospace";
+  // fillOpacity: alpha of the branch color behind non-root nodes;
+  // depthFade: opacity lost per level, down to 0.4
+  const THEMES = {
+    dark: {
+      background: '#1e1e1e',
+      foreground: '#cccccc',
+      rootForeground: '#1e1e1e',
+      branchColors: [
+        '#4fc3f7', '#81c784', '#ffb74d', '#e57373',
+        '#ba68c8', '#4dd0e1', '#aed581', '#ff8a65',
+      ],
+      fontFamily: THEME_FONT,
+      fillOpacity: 0.2,
+      depthFade: 0.15,
+      connectionOpacity: 0.6,
+    },
+    light: {
+      background: '#ffffff',
+      foreground: '#333333',
+      rootForeground: '#ffffff',
+      branchColors: [
+        '#0277bd', '#2e7d32', '#ef6c00', '#c62828',
+        '#6a1b9a', '#00838f', '#558b2f', '#d84315',
+      ],
+      fontFamily: THEME_FONT,
+      fillOpacity: 0.12,
+      depthFade: 0.1,
+      connectionOpacity: 0.7,
+    },
+    'high-contrast': {
+      background: '#000000',
+      foreground: '#ffffff',
+      rootForeground: '#000000',
+      branchColors: [
+        '#00e5ff', '#76ff03', '#ffea00', '#ff5252',
+        '#ea80fc', '#18ffff', '#b2ff59', '#ffab40',
+      ],
+      fontFamily: THEME_FONT,
+      fillOpacity: 0,
+      depthFade: 0,
+      connectionOpacity: 1,
+    },
+    'high-contrast-light': {
+      background: '#ffffff',
+      foreground: '#000000',
+      rootForeground: '#ffffff',
+      branchColors: [
+        '#0d47a1', '#1b5e20', '#e65100', '#b71c1c',
+        '#4a148c', '#006064', '#33691e', '#bf360c',
+      ],
+      fontFamily: THEME_FONT,
+      fillOpacity: 0,
+      depthFade: 0,
+      connectionOpacity: 1,
+    },
+  };
+  const DEFAULT_THEME = THEMES.dark;
 
   // ─── Helpers ────────────────────────────────────────────────
   function generateId() {
@@ -26,26 +103,248 @@
   }
 
   // ─── Markdown Parser ────────────────────────────────────────
-  function parseMarkdown(text) {
-    const lines = text.split('\n');
+  const HEADING_RE = /^(#{1,4})\s+(.+)/;
+  const LIST_RE = /^(\s*)- (.+)/;
+  const IMAGE_RE = /^\s*!\[([^\]]*)\]\(([^)\s]+)(?:\s*=(\d+)x(\d+))?\)/;
+  const FENCE_RE = /^\s*(`{3,}|~{3,})/;
+  const COLLAPSED_MARKER = '<!-- collapsed -->';
+  const COLLAPSED_RE = /\s*<!--\s*collapsed\s*-->\s*$/;
+  const STYLE_RE = /\s+\{([^{}]*)\}$/;
+  const TASK_RE = /^\[([ xX])\](?:\s+|$)/;
+  const NODE_SHAPES = ['rounded', 'ellipse', 'underline', 'cloud'];
+  const MIN_STYLE_FONT_SIZE = 8;
+  const MAX_STYLE_FONT_SIZE = 48;
+  const MARKER_TOKEN_RE = /\s+(\S+)$/;
+  const PRIORITY_RE = /^!([1-3])$/;
+  const ICON_RE = /^:([a-z]+):$/;
+  const TAG_RE = /^#([A-Za-z][\w/-]*)$/;
+  // Status icons by the name written between colons, e.g. `:check:`
+  const NODE_ICONS = {
+    check: '\u2714',
+    cross: '\u2718',
+    warning: '\u26A0',
+    question: '?',
+    info: '\u2139',
+    star: '\u2605',
+    flag: '\u2691',
+    clock: '\u23F2',
+  };
+
+  // Split the inline markers off the text of a heading or list item:
+  // `[x] Text {.bold shape=ellipse} <!-- collapsed -->`. Task items get a
+  // boolean `done`.
+  function parseNodeText(raw) {
+    let text = raw.trim();
+    const parsed = { text: '', collapsed: false };
+    const taskMatch = text.match(TASK_RE);
+    if (taskMatch) {
+      parsed.done = taskMatch[1] !== ' ';
+      text = text.slice(taskMatch[0].length);
+    }
+    const collapsedMatch = text.match(COLLAPSED_RE);
+    if (collapsedMatch) {
+      text = text.slice(0, collapsedMatch.index).trim();
+      parsed.collapsed = true;
+    }
+    const styleMatch = text.match(STYLE_RE);
+    const style = styleMatch && parseNodeStyle(styleMatch[1]);
+    if (style) {
+      text = text.slice(0, styleMatch.index);
+      parsed.style = style;
+    }
+    return Object.assign(parsed, parseNodeMarkers(text));
+  }
+
+  // Copy the optional markers of parseNodeText onto a new node
+  function applyParsedMarkers(node, parsed) {
+    if (parsed.style) node.style = parsed.style;
+    if (typeof parsed.done === 'boolean') node.done = parsed.done;
+    if (parsed.priority) node.priority = parsed.priority;
+    if (parsed.icons) node.icons = parsed.icons;
+    if (parsed.tags) node.tags = parsed.tags;
+  }
+
+  // Split the trailing marker tokens off node text: a priority `!1`-`!3`,
+  // status icons `:check:` and tags `#name`, in any order. A token that is
+  // not a marker, or a second priority, ends the markers.
+  function parseNodeMarkers(text) {
+    const markers = { text };
+    const icons = [];
+    const tags = [];
+    let match;
+    while ((match = markers.text.match(MARKER_TOKEN_RE))) {
+      const token = match[1];
+      const priority = token.match(PRIORITY_RE);
+      const icon = token.match(ICON_RE);
+      const tag = token.match(TAG_RE);
+      if (priority && !markers.priority) {
+        markers.priority = Number(priority[1]);
+      } else if (icon && NODE_ICONS[icon[1]]) {
+        if (!icons.includes(icon[1])) icons.unshift(icon[1]);
+      } else if (tag) {
+        if (!tags.includes(tag[1])) tags.unshift(tag[1]);
+      } else {
+        break;
+      }
+      markers.text = markers.text.slice(0, match.index);
+    }
+    if (icons.length > 0) markers.icons = icons;
+    if (tags.length > 0) markers.tags = tags;
+    return markers;
+  }
+
+  // Marker tokens of a node in canonical order, each after a space
+  function formatNodeMarkers(node) {
+    const tokens = [];
+    if (node.priority) tokens.push(`!${node.priority}`);
+    for (const icon of node.icons || []) tokens.push(`:${icon}:`);
+    for (const tag of node.tags || []) tokens.push(`#${tag}`);
+    return tokens.map((token) => ` ${token}`).join('');
+  }
+
+  // Inverse of parseNodeText. The collapsed marker is only written for nodes
+  // that still have children to hide.
+  function formatNodeText(node) {
+    const collapsed = node.collapsed && (!node.children || node.children.length > 0);
+    const style = node.style ? formatNodeStyle(node.style) : '';
+    let text = node.text + formatNodeMarkers(node);
+    if (style) text += ` ${style}`;
+    if (typeof node.done === 'boolean') {
+      const marker = node.done ? '[x]' : '[ ]';
+      text = text ? `${marker} ${text}` : marker;
+    }
+    return collapsed ? `${text} ${COLLAPSED_MARKER}` : text;
+  }
+
+  // Tokens of an attribute block: .bold .italic shape=<shape>
+  // fill=#rrggbb stroke=#rrggbb size=<px>. Null when any token is not one
+  // of these, so ordinary text in braces stays part of the node text.
+  function parseNodeStyle(source) {
+    const tokens = source.split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return null;
+    const style = {};
+    for (const token of tokens) {
+      const match = token.match(/^(\w+)=(.+)$/);
+      if (token === '.bold' || token === '.italic') {
+        style[token.slice(1)] = true;
+      } else if (!match) {
+        return null;
+      } else if ((match[1] === 'fill' || match[1] === 'stroke') && HEX_COLOR_RE.test(match[2])) {
+        style[match[1]] = match[2];
+      } else if (match[1] === 'shape' && NODE_SHAPES.includes(match[2])) {
+        style.shape = match[2];
+      } else if (match[1] === 'size' && /^\d+$/.test(match[2]) &&
+          Number(match[2]) >= MIN_STYLE_FONT_SIZE && Number(match[2]) <= MAX_STYLE_FONT_SIZE) {
+        style.fontSize = Number(match[2]);
+      } else {
+        return null;
+      }
+    }
+    return style;
+  }
+
+  // Attribute block for a style in canonical order; '' when nothing is set
+  function formatNodeStyle(style) {
+    const tokens = [];
+    if (style.bold) tokens.push('.bold');
+    if (style.italic) tokens.push('.italic');
+    if (style.shape) tokens.push(`shape=${style.shape}`);
+    if (style.fill) tokens.push(`fill=${style.fill}`);
+    if (style.stroke) tokens.push(`stroke=${style.stroke}`);
+    if (style.fontSize) tokens.push(`size=${style.fontSize}`);
+    return tokens.length > 0 ? `{${tokens.join(' ')}}` : '';
+  }
+
+  // Every line that is not part of the tree (prose, fenced code, tables,
+  // front matter) is kept verbatim: lines before the H1 go to `preamble` on
+  // the root, everything else to `body` on the node that precedes it.
+  // `sourceLine` / `imageLine` remember the original text of tree lines so
+  // the serializer can reproduce untouched regions byte for byte.
+  // Lines that look like tree lines but cannot be placed in the tree are
+  // reported to the optional `problems` array as { line, message }.
+  // Lines are kept without their terminator; the ending of the first line
+  // is used for every line when the tree is written back.
+  function parseMarkdown(text, problems) {
+    const firstBreak = text.match(/\r?\n/);
+    const lineEnding = firstBreak ? firstBreak[0] : '\n';
+    const lines = text.split(lineEnding === '\r\n' ? /\r?\n/ : '\n');
+    const finalNewline = lines[lines.length - 1] === '';
+    if (finalNewline) {
+      lines.pop();
+    }
     let rootNode = null;
     const stack = []; // { node, indent, headingLevel }
     let lastNode = null;
+    let owner = null; // node collecting non-tree lines
+    const preamble = [];
+    let indentUnit = null;
+    let fence = null;
+    let fenceLine = 0;
+    let start = 0;
+
+    function report(index, message) {
+      if (problems) problems.push({ line: index + 1, message });
+    }
+
+    // YAML front matter may contain "# comments"; never read it as headings
+    if (lines[0] === '---') {
+      for (let i = 1; i < lines.length; i++) {
+        if (lines[i] === '---' || lines[i] === '...') {
+          preamble.push(...lines.slice(0, i + 1));
+          start = i + 1;
+          break;
+        }
+      }
+    }
+
+    function appendRaw(line) {
+      if (owner) {
+        owner.body.push(line);
+      } else {
+        preamble.push(line);
+      }
+      if (line.trim().length > 0) {
+        lastNode = null;
+      }
+    }
+
+    for (let i = start; i < lines.length; i++) {
+      const line = lines[i];
+
+      // Fenced code is opaque: "# " and "- " inside it are not tree lines
+      if (fence) {
+        const close = line.trim();
+        if (close.length >= fence.length && close === fence[0].repeat(close.length)) {
+          fence = null;
+        }
+        appendRaw(line);
+        continue;
+      }
+      const fenceMatch = line.match(FENCE_RE);
+      if (fenceMatch) {
+        fence = fenceMatch[1];
+        fenceLine = i;
+        appendRaw(line);
+        continue;
+      }
 
-    for (const line of lines) {
       // Heading (H1-H4)
-      const headingMatch = line.match(/^(#{1,4})\s+(.+)/);
+      const headingMatch = line.match(HEADING_RE);
       if (headingMatch) {
         const level = headingMatch[1].length;
-        const nodeText = headingMatch[2].trim();
+        const parsed = parseNodeText(headingMatch[2]);
 
-        if (level === 1) {
-          rootNode = { id: generateId(), text: nodeText, children: [], headingLevel: 1 };
+        if (level === 1 && !rootNode) {
+          rootNode = { id: generateId(), text: parsed.text, collapsed: parsed.collapsed, children: [], headingLevel: 1, sourceLine: line, body: [] };
+          applyParsedMarkers(rootNode, parsed);
           stack.length = 0;
           stack.push({ node: rootNode, indent: -1, headingLevel: 1 });
           lastNode = null;
-        } else if (rootNode) {
-          const node = { id: generateId(), text: nodeText, children: [], headingLevel: level };
+          owner = rootNode;
+          continue;
+        } else if (level > 1 && rootNode) {
+          const node = { id: generateId(), text: parsed.text, collapsed: parsed.collapsed, children: [], headingLevel: level, sourceLine: line, body: [] };
+          applyParsedMarkers(node, parsed);
 
           // Pop stack until we find a heading with level < current
           while (stack.length > 1) {
@@ -58,13 +357,17 @@
           parent.children.push(node);
           stack.push({ node, indent: -1, headingLevel: level });
           lastNode = node;
+          owner = node;
+          continue;
         }
-        continue;
+        report(i, level === 1
+          ? 'Second level-1 heading is not part of the map'
+          : 'Heading before the level-1 heading is not part of the map');
       }
 
       // Image line (must follow a list item or heading)
-      const imageMatch = line.match(/^\s*!\[([^\]]*)\]\(([^)\s]+)(?:\s*=(\d+)x(\d+))?\)/);
-      if (imageMatch && lastNode) {
+      const imageMatch = line.match(IMAGE_RE);
+      if (imageMatch && lastNode && !lastNode.image) {
         lastNode.image = imageMatch[2];
         if (imageMatch[3]) {
           lastNode.imageWidth = parseInt(imageMatch[3]);
@@ -72,14 +375,18 @@
         if (imageMatch[4]) {
           lastNode.imageHeight = parseInt(imageMatch[4]);
         }
+        lastNode.imageLine = line;
+        lastNode.imageLineIndex = lastNode.body.length;
         continue;
       }
 
       // List item
-      const listMatch = line.match(/^(\s*)- (.+)/);
+      const listMatch = line.match(LIST_RE);
       if (listMatch && rootNode) {
         const indent = listMatch[1].length;
-        const node = { id: generateId(), text: listMatch[2].trim(), children: [] };
+        const parsed = parseNodeText(listMatch[2]);
+        const node = { id: generateId(), text: parsed.text, collapsed: parsed.collapsed, children: [], sourceLine: line, body: [] };
+        applyParsedMarkers(node, parsed);
 
         while (stack.length > 1) {
           const top = stack[stack.length - 1];
@@ -88,52 +395,677 @@
           stack.pop();
         }
 
-        const parent = stack[stack.length - 1].node;
-        parent.children.push(node);
+        const parentFrame = stack[stack.length - 1];
+        if (!indentUnit && parentFrame.headingLevel === 0) {
+          indentUnit = listMatch[1].slice(parentFrame.indent);
+        }
+        parentFrame.node.children.push(node);
         stack.push({ node, indent, headingLevel: 0 });
         lastNode = node;
-      } else if (line.trim().length > 0) {
-        lastNode = null;
+        owner = node;
+        continue;
       }
+      if (listMatch) {
+        report(i, 'List item before the level-1 heading is not part of the map');
+      }
+
+      appendRaw(line);
+    }
+
+    if (fence) {
+      report(fenceLine, 'Code fence is never closed');
+    }
+    if (!rootNode) {
+      report(start, 'No level-1 heading for the central topic');
     }
 
-    return rootNode || { id: generateId(), text: 'Central Topic', children: [] };
+    // A generated root goes ahead of the content, after any front matter
+    const result = rootNode || { id: generateId(), text: 'Central Topic', children: [], body: preamble.splice(start) };
+    result.preamble = preamble;
+    result.finalNewline = finalNewline;
+    if (indentUnit) {
+      result.indentUnit = indentUnit;
+    }
+    if (lineEnding !== '\n') {
+      result.lineEnding = lineEnding;
+    }
+    return result;
   }
 
   // ─── Markdown Serializer ────────────────────────────────────
+  // Canonical form of a tree line, used to decide whether the original
+  // source line still describes the node and can be written back as-is.
+  function normalizeTreeLine(line) {
+    const headingMatch = line.match(HEADING_RE);
+    if (headingMatch) {
+      return `${headingMatch[1]} ${formatNodeText(parseNodeText(headingMatch[2]))}`;
+    }
+    const listMatch = line.match(LIST_RE);
+    if (listMatch) {
+      return `${listMatch[1]}- ${formatNodeText(parseNodeText(listMatch[2]))}`;
+    }
+    return null;
+  }
+
+  function leadingWhitespace(line) {
+    return line.match(/^\s*/)[0];
+  }
+
+  // Indentation the node's body lines are written relative to
+  function sourceIndent(node) {
+    return typeof node.sourceLine === 'string' ? leadingWhitespace(node.sourceLine) : '';
+  }
+
+  function reindentLines(lines, from, to) {
+    if (from === to) return lines;
+    return lines.map((line) => line.startsWith(from) ? to + line.slice(from.length) : line);
+  }
+
+  function writeTreeNode(out, n, line, indent, imageIndent) {
+    const hasSource = typeof n.sourceLine === 'string';
+    out.push(hasSource && normalizeTreeLine(n.sourceLine) === line ? n.sourceLine : line);
+    // Body lines follow their node when it moves to another depth
+    const from = sourceIndent(n);
+    const body = reindentLines(n.body || [], from, indent);
+    const at = Math.min(n.imageLineIndex || 0, body.length);
+    out.push(...body.slice(0, at));
+    if (imageIndent !== null && n.image) {
+      out.push(serializeImageLine(n, from, indent, imageIndent));
+    }
+    out.push(...body.slice(at));
+  }
+
+  function serializeImageLine(n, from, indent, imageIndent) {
+    if (typeof n.imageLine === 'string') {
+      const m = n.imageLine.match(IMAGE_RE);
+      if (m && m[2] === n.image &&
+          (m[3] ? parseInt(m[3]) : undefined) === n.imageWidth &&
+          (m[4] ? parseInt(m[4]) : undefined) === n.imageHeight) {
+        return reindentLines([n.imageLine], from, indent)[0];
+      }
+    }
+    const sizeStr = (n.imageWidth && n.imageHeight) ? ` =${n.imageWidth}x${n.imageHeight}` : '';
+    return `${imageIndent}![](${n.image}${sizeStr})`;
+  }
+
+  function writeChildren(out, children, indent, unit) {
+    for (const child of children) {
+      if (child.headingLevel >= 2) {
+        const hashes = '#'.repeat(child.headingLevel);
+        writeTreeNode(out, child, `${hashes} ${formatNodeText(child)}`, '', '');
+        if (child.children.length > 0) {
+          writeChildren(out, child.children, '', unit);
+        }
+      } else {
+        writeTreeNode(out, child, `${indent}- ${formatNodeText(child)}`, indent, indent + '  ');
+        if (child.children.length > 0) {
+          writeChildren(out, child.children, indent + unit, unit);
+        }
+      }
+    }
+  }
+
   function serializeToMarkdown(node) {
-    let result = `# ${node.text}\n`;
-
-    function serializeChildren(children, depth) {
-      for (const child of children) {
-        if (child.headingLevel >= 2) {
-          const hashes = '#'.repeat(child.headingLevel);
-          result += `${hashes} ${child.text}\n`;
-          if (child.image) {
-            const sizeStr = (child.imageWidth && child.imageHeight) ? ` =${child.imageWidth}x${child.imageHeight}` : '';
-            result += `![](${child.image}${sizeStr})\n`;
-          }
-          if (child.children.length > 0) {
-            serializeChildren(child.children, 0);
-          }
+    const out = node.preamble ? node.preamble.slice() : [];
+    writeTreeNode(out, node, `# ${formatNodeText(node)}`, '', null);
+    writeChildren(out, node.children, '', node.indentUnit || '  ');
+    const lineEnding = node.lineEnding || '\n';
+    const result = out.join(lineEnding);
+    return node.finalNewline === false ? result : result + lineEnding;
+  }
+
+  // Problems parseMarkdown reports for a document, in line order
+  function validateMarkdown(text) {
+    const problems = [];
+    parseMarkdown(text, problems);
+    return problems.sort((a, b) => a.line - b.line);
+  }
+
+  // Rewrite every tree line in canonical form with two-space indentation.
+  // Source lines keep only their indentation, which body lines are still
+  // re-indented from; prose, notes and code are kept as they are.
+  function normalizeMarkdown(text) {
+    const root = parseMarkdown(text);
+    (function strip(node) {
+      if (typeof node.sourceLine === 'string') {
+        node.sourceLine = leadingWhitespace(node.sourceLine);
+      }
+      delete node.imageLine;
+      node.children.forEach(strip);
+    })(root);
+    delete root.indentUnit;
+    root.finalNewline = true;
+    return serializeToMarkdown(root);
+  }
+
+  // ─── Mermaid / PlantUML ─────────────────────────────────────
+  // Text diagram formats carry only the tree of node texts: notes, images
+  // and folding are not written, and are absent after import.
+  const MERMAID_SHAPES = [['((', '))'], ['))', '(('], ['(-', '-)'], ['{{', '}}'], ['[', ']'], ['(', ')'], [')', '(']];
+  const PLANTUML_NODE_RE = /^([*+-]+)(_?)(?:\[#[^\]]*\])?(_?)\s*(.*)$/;
+
+  function diagramRoot(text, children) {
+    return { id: generateId(), text, collapsed: false, children, body: [], headingLevel: 1 };
+  }
+
+  // Build a tree from (depth, text) pairs; a depth jump deeper than one
+  // level attaches to the last node
+  function treeFromDepths(entries, formatName) {
+    if (entries.length === 0) {
+      throw new Error(`No ${formatName} nodes found`);
+    }
+    const [first, ...rest] = entries;
+    const root = diagramRoot(first.text, []);
+    const stack = [{ node: root, depth: first.depth }];
+    for (const entry of rest) {
+      while (stack.length > 1 && stack[stack.length - 1].depth >= entry.depth) {
+        stack.pop();
+      }
+      if (entry.depth <= first.depth) {
+        throw new Error(`${formatName} diagram has more than one root`);
+      }
+      const node = { id: generateId(), text: singleLine(entry.text), collapsed: false, children: [], body: [] };
+      stack[stack.length - 1].node.children.push(node);
+      stack.push({ node, depth: entry.depth });
+    }
+    return root;
+  }
+
+  function treeToMermaid(root) {
+    const lines = ['mindmap'];
+    let count = 0;
+    (function write(node, depth) {
+      const indent = '  '.repeat(depth + 1);
+      const text = node.text.replace(/"/g, '#quot;');
+      if (depth === 0) {
+        lines.push(`${indent}root(("${text}"))`);
+      } else if (/[()[\]{}"]|^\s*$/.test(node.text)) {
+        count++;
+        lines.push(`${indent}n${count}["${text}"]`);
+      } else {
+        lines.push(`${indent}${node.text}`);
+      }
+      node.children.forEach((child) => write(child, depth + 1));
+    })(root, 0);
+    return lines.join('\n') + '\n';
+  }
+
+  function mermaidToTree(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    let start = 0;
+    if (lines[0] === '---') {
+      const close = lines.indexOf('---', 1);
+      start = close > 0 ? close + 1 : 0;
+    }
+    const header = lines.findIndex((line, i) => i >= start && line.trim() !== '' && !/^\s*%%/.test(line));
+    if (header < 0 || lines[header].trim() !== 'mindmap') {
+      throw new Error('Not a Mermaid mindmap');
+    }
+    const entries = [];
+    for (const line of lines.slice(header + 1)) {
+      const trimmed = line.trim();
+      // Comments, icons and classes decorate the node above
+      if (trimmed === '' || trimmed.startsWith('%%') || trimmed.startsWith('::icon(') || trimmed.startsWith(':::')) {
+        continue;
+      }
+      // Optional id, then text in shape delimiters such as id((text))
+      let nodeText = trimmed;
+      const shaped = trimmed.replace(/^[^\s()[\]{}]*/, '');
+      const shape = MERMAID_SHAPES.find(([open, close]) =>
+        shaped.length >= open.length + close.length && shaped.startsWith(open) && shaped.endsWith(close));
+      if (shape) {
+        nodeText = shaped.slice(shape[0].length, shaped.length - shape[1].length).trim()
+          .replace(/^"`?([\s\S]*?)`?"$/, '$1');
+      }
+      entries.push({ depth: leadingWhitespace(line).replace(/\t/g, '    ').length, text: nodeText.replace(/#quot;/g, '"') });
+    }
+    return treeFromDepths(entries, 'Mermaid');
+  }
+
+  function treeToPlantUml(root) {
+    const lines = ['@startmindmap'];
+    (function write(node, depth) {
+      lines.push(`${'*'.repeat(depth + 1)} ${node.text}`);
+      node.children.forEach((child) => write(child, depth + 1));
+    })(root, 0);
+    lines.push('@endmindmap');
+    return lines.join('\n') + '\n';
+  }
+
+  function plantUmlToTree(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const start = lines.findIndex((line) => line.trim().startsWith('@startmindmap'));
+    if (start < 0) {
+      throw new Error('Not a PlantUML mindmap');
+    }
+    const entries = [];
+    let multiline = null;
+    let inStyle = false;
+    for (const line of lines.slice(start + 1)) {
+      const trimmed = line.trim();
+      if (trimmed.startsWith('@endmindmap')) break;
+      // Multi-line node text runs from ":" to a line ending in ";"
+      if (multiline) {
+        const end = trimmed.endsWith(';');
+        multiline.text += ' ' + (end ? trimmed.slice(0, -1) : trimmed);
+        if (end) multiline = null;
+        continue;
+      }
+      if (trimmed.startsWith('<style>')) inStyle = true;
+      if (inStyle) {
+        if (trimmed.endsWith('</style>')) inStyle = false;
+        continue;
+      }
+      const match = trimmed.match(PLANTUML_NODE_RE);
+      if (!match || trimmed.startsWith("'")) continue;
+      const entry = { depth: match[1].length, text: match[4] };
+      if (entry.text.startsWith(':')) {
+        const end = entry.text.endsWith(';');
+        entry.text = end ? entry.text.slice(1, -1) : entry.text.slice(1);
+        if (!end) multiline = entry;
+      }
+      entries.push(entry);
+    }
+    return treeFromDepths(entries.map((e) => ({ depth: e.depth, text: e.text.trim() })), 'PlantUML');
+  }
+
+  // ─── Notes ──────────────────────────────────────────────────
+  // A node's note is its body shown as plain Markdown: surrounding blank
+  // lines and the common indentation are removed.
+  function isBlank(line) {
+    return line.trim() === '';
+  }
+
+  function splitBlankEdges(lines) {
+    let lead = 0;
+    let trail = 0;
+    while (lead < lines.length && isBlank(lines[lead])) lead++;
+    while (trail < lines.length - lead && isBlank(lines[lines.length - 1 - trail])) trail++;
+    return {
+      leading: lines.slice(0, lead),
+      content: lines.slice(lead, lines.length - trail),
+      trailing: lines.slice(lines.length - trail),
+    };
+  }
+
+  // Note lines the parser would read as headings, list items or images get
+  // a backslash in front, as in Markdown. Lines already starting with
+  // backslashes before such a line get one more, so unescaping removes
+  // exactly the one added. Fenced code is left alone.
+  function escapeNoteLines(lines, escape) {
+    let fence = null;
+    return lines.map((line) => {
+      if (fence) {
+        const close = line.trim();
+        if (close.length >= fence.length && close === fence[0].repeat(close.length)) {
+          fence = null;
+        }
+        return line;
+      }
+      const fenceMatch = line.match(FENCE_RE);
+      if (fenceMatch) {
+        fence = fenceMatch[1];
+        return line;
+      }
+      const [, indent, slashes, rest] = line.match(/^(\s*)(\\*)([\s\S]*)$/);
+      const bare = indent + rest;
+      if (!HEADING_RE.test(bare) && !LIST_RE.test(bare) && !IMAGE_RE.test(bare)) {
+        return line;
+      }
+      if (escape) {
+        return `${indent}\\${slashes}${rest}`;
+      }
+      return slashes ? indent + slashes.slice(1) + rest : line;
+    });
+  }
+
+  function getNodeNote(node) {
+    const { content } = splitBlankEdges(node.body || []);
+    let common = null;
+    for (const line of content) {
+      if (isBlank(line)) continue;
+      const ws = leadingWhitespace(line);
+      if (common === null || ws.length < common.length) common = ws;
+    }
+    const cut = common ? common.length : 0;
+    const lines = content.map((line) => isBlank(line) ? '' : line.slice(cut));
+    return escapeNoteLines(lines, false).join('\n');
+  }
+
+  // Replace a node's note. List item notes become indented continuation
+  // lines; blank lines separating the note from its neighbours are kept.
+  function setNodeNote(node, note) {
+    const { leading, trailing } = splitBlankEdges(node.body || []);
+    const prefix = node.headingLevel ? '' : sourceIndent(node) + '  ';
+    const text = note.replace(/\s+$/, '');
+    if (text.length === 0) {
+      node.body = trailing.length > 0 ? trailing : leading;
+    } else {
+      const lines = escapeNoteLines(text.split('\n'), true).map((line) => isBlank(line) ? '' : prefix + line);
+      node.body = [...leading, ...lines, ...trailing];
+    }
+    node.imageLineIndex = 0;
+  }
+
+  // ─── Node Styles ────────────────────────────────────────────
+  // Merge `changes` into a node's style. null or false removes a property;
+  // an emptied style is dropped so no attribute block is written.
+  function setNodeStyle(node, changes) {
+    const style = Object.assign({}, node.style);
+    for (const key of Object.keys(changes)) {
+      if (changes[key] === null || changes[key] === false) {
+        delete style[key];
+      } else {
+        style[key] = changes[key];
+      }
+    }
+    if (Object.keys(style).length > 0) {
+      node.style = style;
+    } else {
+      delete node.style;
+    }
+  }
+
+  // ─── Inline Markdown ────────────────────────────────────────
+  // Node text keeps its Markdown source. For drawing it is split into runs
+  // of plain text with their formatting: { text, bold, italic, strike,
+  // code, link, wiki }, where link is the link target and wiki marks
+  // `[[target|label]]` links.
+  const INLINE_DELIMITERS = [
+    { marker: '**', format: 'bold' },
+    { marker: '__', format: 'bold' },
+    { marker: '~~', format: 'strike' },
+    { marker: '*', format: 'italic' },
+    { marker: '_', format: 'italic' },
+  ];
+  const INLINE_ESCAPABLE = '\\`*_~[]()#!';
+  const INLINE_LINK_RE = /^\[([^\]]+)\]\(([^)\s]+)\)/;
+  const WIKI_LINK_RE = /^\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/;
+  const INLINE_FORMATS = ['bold', 'italic', 'strike', 'code', 'link', 'wiki'];
+
+  // Index of the delimiter closing a span whose content starts at `from`,
+  // or -1. Closers follow non-space text; a single-character marker skips
+  // doubled ones, and `_` only closes at the end of a word.
+  function findClosingDelimiter(text, marker, from) {
+    let i = text.indexOf(marker, from);
+    while (i !== -1) {
+      const doubled = marker.length === 1 && (text[i + 1] === marker || text[i - 1] === marker);
+      if (i > from && !doubled && !/\s/.test(text[i - 1]) && text[i - 1] !== '\\' &&
+          (marker[0] !== '_' || !/\w/.test(text[i + marker.length] || ''))) {
+        return i;
+      }
+      i = text.indexOf(marker, i + (doubled ? 2 : 1));
+    }
+    return -1;
+  }
+
+  function parseInlineRuns(text, format, runs) {
+    let plain = '';
+    const flush = () => {
+      if (plain) runs.push(Object.assign({ text: plain }, format));
+      plain = '';
+    };
+    let i = 0;
+    while (i < text.length) {
+      const ch = text[i];
+      if (ch === '\\' && i + 1 < text.length && INLINE_ESCAPABLE.includes(text[i + 1])) {
+        plain += text[i + 1];
+        i += 2;
+        continue;
+      }
+      // Code spans end at the next run of as many backticks
+      if (ch === '`') {
+        const ticks = text.slice(i).match(/^`+/)[0];
+        const close = text.indexOf(ticks, i + ticks.length);
+        if (close > i + ticks.length) {
+          flush();
+          runs.push(Object.assign({}, format, { text: text.slice(i + ticks.length, close), code: true }));
+          i = close + ticks.length;
         } else {
-          const indent = '  '.repeat(depth);
-          result += `${indent}- ${child.text}\n`;
-          if (child.image) {
-            const sizeStr = (child.imageWidth && child.imageHeight) ? ` =${child.imageWidth}x${child.imageHeight}` : '';
-            result += `${indent}  ![](${child.image}${sizeStr})\n`;
-          }
-          if (child.children.length > 0) {
-            serializeChildren(child.children, depth + 1);
-          }
+          plain += ticks;
+          i += ticks.length;
+        }
+        continue;
+      }
+      const wikiLink = ch === '[' && text.slice(i).match(WIKI_LINK_RE);
+      if (wikiLink) {
+        flush();
+        const target = wikiLink[1].trim();
+        runs.push(Object.assign({}, format, { text: (wikiLink[2] || target).trim(), link: target, wiki: true }));
+        i += wikiLink[0].length;
+        continue;
+      }
+      const link = ch === '[' && text.slice(i).match(INLINE_LINK_RE);
+      if (link) {
+        flush();
+        parseInlineRuns(link[1], Object.assign({}, format, { link: link[2] }), runs);
+        i += link[0].length;
+        continue;
+      }
+      const delimiter = INLINE_DELIMITERS.find((d) => text.startsWith(d.marker, i));
+      if (delimiter) {
+        const start = i + delimiter.marker.length;
+        const opens = start < text.length && !/\s/.test(text[start]) &&
+          (ch !== '_' || !/\w/.test(text[i - 1] || ''));
+        const close = opens ? findClosingDelimiter(text, delimiter.marker, start) : -1;
+        if (close !== -1) {
+          flush();
+          parseInlineRuns(text.slice(start, close), Object.assign({}, format, { [delimiter.format]: true }), runs);
+          i = close + delimiter.marker.length;
+        } else {
+          plain += delimiter.marker;
+          i = start;
         }
+        continue;
+      }
+      plain += ch;
+      i++;
+    }
+    flush();
+  }
+
+  // Runs of a node text; neighbouring runs with the same formatting are merged
+  function parseInlineMarkdown(text) {
+    const runs = [];
+    parseInlineRuns(text, {}, runs);
+    return runs.reduce((merged, run) => {
+      const last = merged[merged.length - 1];
+      if (last && INLINE_FORMATS.every((key) => last[key] === run[key])) {
+        last.text += run.text;
+      } else {
+        merged.push(run);
+      }
+      return merged;
+    }, []);
+  }
+
+  function runsText(runs) {
+    return runs.map((run) => run.text).join('');
+  }
+
+  // Node text as drawn, without its Markdown syntax
+  function stripInlineMarkdown(text) {
+    return runsText(parseInlineMarkdown(text));
+  }
+
+  // ─── Links ──────────────────────────────────────────────────
+  // Links of a node text in order, without duplicates: { target, wiki }
+  function getNodeLinks(text) {
+    const links = [];
+    for (const run of parseInlineMarkdown(text)) {
+      if (run.link && !links.some((link) => link.target === run.link && link.wiki === !!run.wiki)) {
+        links.push({ target: run.link, wiki: !!run.wiki });
       }
     }
+    return links;
+  }
+
+  function decodeLinkPart(part) {
+    try {
+      return decodeURIComponent(part);
+    } catch (err) {
+      return part;
+    }
+  }
 
-    serializeChildren(node.children, 0);
+  // What a link points at: { url } for URLs, else the file `paths` to try
+  // relative to the document (absent for the same map) with an optional
+  // `line` (`#L12`) or node `anchor`. Markdown link targets are
+  // percent-decoded; wiki links are taken as written and may leave out the
+  // .mindmap.md or .md extension.
+  function parseLinkTarget(target, wiki) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(target) && !/^[a-z]:[\\/]/i.test(target)) {
+      return { url: target };
+    }
+    const hash = target.indexOf('#');
+    const path = hash === -1 ? target : target.slice(0, hash);
+    const fragment = hash === -1 ? '' : target.slice(hash + 1);
+    const result = {};
+    if (wiki && path.trim()) {
+      const name = path.trim();
+      result.paths = /\.[^./\\]+$/.test(name) ? [name] : [`${name}.mindmap.md`, `${name}.md`];
+    } else if (path) {
+      result.paths = [decodeLinkPart(path)];
+    }
+    const lineMatch = fragment.match(/^L(\d+)(?:-L?\d+)?$/);
+    if (lineMatch) {
+      result.line = Number(lineMatch[1]);
+    } else if (fragment) {
+      result.anchor = wiki ? fragment.trim() : decodeLinkPart(fragment);
+    }
     return result;
   }
 
+  // Heading-style slug: lower case, punctuation dropped, spaces as hyphens
+  function slugify(text) {
+    return stripInlineMarkdown(text).trim().toLowerCase()
+      .replace(/[^\p{L}\p{N}\s-]/gu, '')
+      .replace(/\s+/g, '-');
+  }
+
+  // First node, in document order, whose text or its slug matches the anchor
+  function findNodeByAnchor(root, anchor) {
+    const slug = slugify(anchor);
+    if (!slug) return null;
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.shift();
+      if (slugify(node.text) === slug) return node;
+      stack.unshift(...node.children);
+    }
+    return null;
+  }
+
+  // ─── Tasks ──────────────────────────────────────────────────
+  // GitHub task items (`- [ ]`, `- [x]`) carry a boolean `done`; other
+  // nodes have none.
+  function isTask(node) {
+    return typeof node.done === 'boolean';
+  }
+
+  // Done and total task counts among a node's descendants
+  function getTaskProgress(node) {
+    return collectTaskProgress(node).get(node);
+  }
+
+  // Task progress of every node in a tree, counted bottom-up in one pass
+  function collectTaskProgress(root) {
+    const progressByNode = new Map();
+    (function count(node) {
+      const progress = { done: 0, total: 0 };
+      for (const child of node.children) {
+        const inner = count(child);
+        progress.done += inner.done;
+        progress.total += inner.total;
+        if (isTask(child)) {
+          progress.total++;
+          if (child.done) progress.done++;
+        }
+      }
+      progressByNode.set(node, progress);
+      return progress;
+    })(root);
+    return progressByNode;
+  }
+
+  function formatTaskProgress(progress) {
+    return `${progress.done}/${progress.total}`;
+  }
+
+  // ─── Markers ────────────────────────────────────────────────
+  // Set a node's priority, icons or tags; null or an empty list removes one
+  function setNodeMarkers(node, changes) {
+    for (const key of ['priority', 'icons', 'tags']) {
+      if (!(key in changes)) continue;
+      const value = changes[key];
+      if (!value || (Array.isArray(value) && value.length === 0)) {
+        delete node[key];
+      } else {
+        node[key] = value;
+      }
+    }
+  }
+
+  // Set node text as typed, reading its task box, style block and marker
+  // tokens as the parser does; whatever the text leaves out is removed
+  function setNodeText(node, text) {
+    const parsed = parseNodeText(text);
+    node.text = parsed.text;
+    for (const key of ['style', 'done', 'priority', 'icons', 'tags']) delete node[key];
+    applyParsedMarkers(node, parsed);
+    if (parsed.collapsed) node.collapsed = true;
+  }
+
+  // Node text with its task box, markers and style, as it is edited
+  function getNodeEditText(node) {
+    return formatNodeText(Object.assign({}, node, { collapsed: false }));
+  }
+
+  // Tags compare case-insensitively
+  function hasTag(node, tag) {
+    const wanted = tag.toLowerCase();
+    return (node.tags || []).some((t) => t.toLowerCase() === wanted);
+  }
+
+  // Every tag in the tree, sorted, in the spelling first met
+  function collectTags(root) {
+    const tags = new Map();
+    (function visit(node) {
+      for (const tag of node.tags || []) {
+        if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+      }
+      node.children.forEach(visit);
+    })(root);
+    return Array.from(tags.keys()).sort().map((key) => tags.get(key));
+  }
+
+  function badgeTextWidth(label) {
+    return label.length * BADGE_FONT_SIZE * 0.6 + BADGE_PADDING_X * 2;
+  }
+
+  // Badges drawn for a node's markers: priority and icons before the text,
+  // tags after it
+  function getNodeBadges(node) {
+    const before = [];
+    const after = [];
+    if (node.priority) {
+      const label = `P${node.priority}`;
+      before.push({ kind: 'priority', name: String(node.priority), label, width: badgeTextWidth(label) });
+    }
+    for (const icon of node.icons || []) {
+      before.push({ kind: 'icon', name: icon, label: NODE_ICONS[icon] || '?', width: ICON_FONT_SIZE + 2 });
+    }
+    for (const tag of node.tags || []) {
+      after.push({ kind: 'tag', name: tag, label: `#${tag}`, width: badgeTextWidth(`#${tag}`) });
+    }
+    return { before, after };
+  }
+
+  // Width a row of badges takes, with the gap that separates each from the text
+  function badgeRowWidth(badges) {
+    return badges.reduce((sum, badge) => sum + badge.width + BADGE_GAP, 0);
+  }
+
   // ─── Layout Utilities ───────────────────────────────────────
   function isFullWidth(ch) {
     const code = ch.charCodeAt(0);
@@ -144,42 +1076,77 @@
            (code >= 0xAC00 && code <= 0xD7AF);    // Hangul Syllables
   }
 
-  function measureTextWidth(text, fontSize) {
+  // Bold glyphs are measured as if set in a slightly larger font
+  function charWidth(ch, fontSize, bold) {
+    const width = isFullWidth(ch) ? fontSize : fontSize * 0.6;
+    return bold ? width * BOLD_WIDTH_RATIO : width;
+  }
+
+  // Width of the text as drawn, without its Markdown syntax. `bold` sets
+  // all of it in bold.
+  function measureTextWidth(text, fontSize, bold) {
     let width = 0;
-    for (const ch of text) {
-      width += isFullWidth(ch) ? fontSize : fontSize * 0.6;
+    for (const run of parseInlineMarkdown(text)) {
+      for (const ch of run.text) {
+        width += charWidth(ch, fontSize, bold || run.bold);
+      }
     }
     return width + NODE_PADDING_X * 2;
   }
 
-  function wrapText(text, fontSize, maxWidth) {
+  // Break runs into lines that fit in maxWidth; a run crossing a line
+  // break is split in two
+  function wrapRuns(runs, fontSize, maxWidth, bold) {
     const availableWidth = maxWidth - NODE_PADDING_X * 2;
     const lines = [];
-    let currentLine = '';
-    let currentWidth = 0;
-    for (const ch of text) {
-      const charWidth = isFullWidth(ch) ? fontSize : fontSize * 0.6;
-      if (currentWidth + charWidth > availableWidth && currentLine.length > 0) {
-        lines.push(currentLine);
-        currentLine = ch;
-        currentWidth = charWidth;
-      } else {
-        currentLine += ch;
-        currentWidth += charWidth;
+    let line = [];
+    let lineWidth = 0;
+    for (const run of runs) {
+      let current = null;
+      for (const ch of run.text) {
+        const width = charWidth(ch, fontSize, bold || run.bold);
+        if (lineWidth + width > availableWidth && lineWidth > 0) {
+          lines.push(line);
+          line = [];
+          lineWidth = 0;
+          current = null;
+        }
+        if (!current) {
+          current = Object.assign({}, run, { text: '' });
+          line.push(current);
+        }
+        current.text += ch;
+        lineWidth += width;
       }
     }
-    if (currentLine.length > 0) {
-      lines.push(currentLine);
+    if (line.length > 0) {
+      lines.push(line);
     }
     return lines;
   }
 
+  // Lines of the text as drawn
+  function wrapText(text, fontSize, maxWidth, bold) {
+    return wrapRuns(parseInlineMarkdown(text), fontSize, maxWidth, bold).map(runsText);
+  }
+
   function getFontSize(depth) {
     if (depth === 0) return 16;
     if (depth === 1) return 14;
     return 13;
   }
 
+  // Font size of a node: its style's size, else the size for its depth
+  function getNodeFontSize(node, depth) {
+    return (node.style && node.style.fontSize) || getFontSize(depth);
+  }
+
+  // Extra space on each side of the text, as a fraction of the text box,
+  // for shapes whose outline cuts into their bounding box
+  function getShapeInset(shape) {
+    return SHAPE_INSETS[shape] || 0;
+  }
+
   function getNodeHeight(depth, imgHeight) {
     const textHeight = getFontSize(depth) + NODE_PADDING_Y * 2;
     if (imgHeight > 0) {
@@ -188,25 +1155,46 @@
     return textHeight;
   }
 
-  function layoutTree(node, depth, branchIndex) {
-    const fontSize = getFontSize(depth);
+  // progressByNode is counted once for the whole tree by the outermost call
+  function layoutTree(node, depth, branchIndex, progressByNode) {
+    progressByNode = progressByNode || collectTaskProgress(node);
+    const style = node.style || {};
+    const fontSize = getNodeFontSize(node, depth);
     const lineHeight = fontSize * LINE_HEIGHT_RATIO;
     const hasImage = !!node.image;
     const imgW = node.imageWidth || IMAGE_THUMBNAIL_WIDTH;
     const imgH = node.imageHeight || IMAGE_THUMBNAIL_HEIGHT;
-    let rawWidth = Math.max(measureTextWidth(node.text, fontSize), 60);
+    // Checkbox before the text, progress ring and count after it
+    const progress = progressByNode.get(node);
+    const taskWidth = isTask(node) ? TASK_BOX_SIZE + TASK_GAP : 0;
+    const progressWidth = progress.total > 0
+      ? TASK_GAP + PROGRESS_RADIUS * 2 + 3 + formatTaskProgress(progress).length * PROGRESS_FONT_SIZE * 0.6
+      : 0;
+    // Priority and icon badges before the text, tags after it
+    const badges = getNodeBadges(node);
+    const beforeWidth = badgeRowWidth(badges.before);
+    const afterWidth = badgeRowWidth(badges.after);
+    const decorationWidth = taskWidth + beforeWidth + afterWidth + progressWidth;
+    let rawWidth = Math.max(measureTextWidth(node.text, fontSize, style.bold), 60) + decorationWidth;
     let width = Math.min(rawWidth, MAX_NODE_WIDTH);
     if (hasImage) {
       width = Math.max(width, imgW + NODE_PADDING_X * 2);
     }
-    const textLines = rawWidth > MAX_NODE_WIDTH
-      ? wrapText(node.text, fontSize, MAX_NODE_WIDTH)
-      : [node.text];
+    const runs = parseInlineMarkdown(node.text);
+    const textRuns = rawWidth > MAX_NODE_WIDTH
+      ? wrapRuns(runs, fontSize, MAX_NODE_WIDTH - decorationWidth, style.bold)
+      : [runs];
+    const textLines = textRuns.map(runsText);
     const textBlockHeight = textLines.length * lineHeight + NODE_PADDING_Y * 2;
     let height = textBlockHeight;
     if (hasImage) {
       height += imgH + IMAGE_PADDING;
     }
+    const inset = getShapeInset(style.shape);
+    const insetX = Math.round(width * inset);
+    const insetY = Math.round(height * inset);
+    width += insetX * 2;
+    height += insetY * 2;
 
     const layoutNode = {
       id: node.id,
@@ -216,7 +1204,22 @@
       imageHeight: node.imageHeight || null,
       collapsed: node.collapsed || false,
       headingLevel: node.headingLevel || 0,
+      hasNote: getNodeNote(node).length > 0,
+      style: node.style || null,
+      fontSize,
       textLines,
+      textRuns,
+      links: getNodeLinks(node.text),
+      done: isTask(node) ? node.done : null,
+      progress: progress.total > 0 ? progress : null,
+      priority: node.priority || null,
+      icons: node.icons || [],
+      tags: node.tags || [],
+      // Top of the text block, below any shape inset, and the space kept
+      // free of text on each side
+      textTop: insetY,
+      textLeft: insetX + taskWidth + beforeWidth,
+      textRight: insetX + afterWidth + progressWidth,
       width,
       height,
       x: 0,
@@ -230,7 +1233,7 @@
     if (!node.collapsed && node.children.length > 0) {
       layoutNode.children = node.children.map((child, i) => {
         const bi = depth === 0 ? i : branchIndex;
-        return layoutTree(child, depth + 1, bi);
+        return layoutTree(child, depth + 1, bi, progressByNode);
       });
     }
 
@@ -249,40 +1252,1676 @@
     return Math.max(layoutNode.height, totalHeight);
   }
 
-  function positionNodes(layoutNode, x, y) {
+  // Lay out a subtree growing to the right from x, or to the left when side
+  // is 'left' (x is then the right edge of the node).
+  function positionNodes(layoutNode, x, y, side) {
+    const left = side === 'left';
     const subtreeHeight = computeSubtreeHeight(layoutNode);
-    layoutNode.x = x;
+    layoutNode.side = left ? 'left' : 'right';
+    layoutNode.x = left ? x - layoutNode.width : x;
     layoutNode.y = y + subtreeHeight / 2 - layoutNode.height / 2;
 
     if (layoutNode.children.length > 0) {
-      const childX = x + layoutNode.width + NODE_GAP_X;
+      const childX = left
+        ? layoutNode.x - NODE_GAP_X
+        : x + layoutNode.width + NODE_GAP_X;
       let childY = y;
       for (const child of layoutNode.children) {
         const childSubtreeHeight = computeSubtreeHeight(child);
-        positionNodes(child, childX, childY);
+        positionNodes(child, childX, childY, layoutNode.side);
         childY += childSubtreeHeight + NODE_GAP_Y;
       }
     }
   }
 
-  function preserveCollapsedState(oldNode, newNode) {
-    newNode.collapsed = oldNode.collapsed || false;
-    if (oldNode.headingLevel) {
-      newNode.headingLevel = oldNode.headingLevel;
+  // ─── Balanced Layout ────────────────────────────────────────
+  function stackHeight(nodes) {
+    if (nodes.length === 0) return 0;
+    let total = (nodes.length - 1) * NODE_GAP_Y;
+    for (const node of nodes) {
+      total += computeSubtreeHeight(node);
+    }
+    return total;
+  }
+
+  // Number of root branches placed on the right in the balanced layout.
+  // Branches keep document order: the first ones go right, the rest left,
+  // split where the taller side is shortest (ties favour the right).
+  function splitBranches(layoutRoot) {
+    const children = layoutRoot.children;
+    let best = children.length;
+    let bestHeight = Infinity;
+    for (let k = 1; k <= children.length; k++) {
+      const height = Math.max(
+        stackHeight(children.slice(0, k)),
+        stackHeight(children.slice(k))
+      );
+      if (height <= bestHeight) {
+        best = k;
+        bestHeight = height;
+      }
     }
-    if (oldNode.image) {
-      newNode.image = oldNode.image;
+    return best;
+  }
+
+  // Mindmap layout with root branches on both sides of the root. Nodes get
+  // side 'left' or 'right'; left subtrees mirror the right ones.
+  function positionBalanced(layoutRoot, x, y) {
+    const split = splitBranches(layoutRoot);
+    const right = layoutRoot.children.slice(0, split);
+    const left = layoutRoot.children.slice(split);
+    const rightHeight = stackHeight(right);
+    const leftHeight = stackHeight(left);
+    const height = Math.max(layoutRoot.height, rightHeight, leftHeight);
+
+    layoutRoot.side = 'right';
+    layoutRoot.x = x;
+    layoutRoot.y = y + height / 2 - layoutRoot.height / 2;
+
+    let childY = y + (height - rightHeight) / 2;
+    for (const child of right) {
+      positionNodes(child, x + layoutRoot.width + NODE_GAP_X, childY, 'right');
+      childY += computeSubtreeHeight(child) + NODE_GAP_Y;
     }
-    if (oldNode.imageWidth) {
-      newNode.imageWidth = oldNode.imageWidth;
+    childY = y + (height - leftHeight) / 2;
+    for (const child of left) {
+      positionNodes(child, x - NODE_GAP_X, childY, 'left');
+      childY += computeSubtreeHeight(child) + NODE_GAP_Y;
     }
-    if (oldNode.imageHeight) {
-      newNode.imageHeight = oldNode.imageHeight;
+  }
+
+  // ─── Alternative Layouts ────────────────────────────────────
+  // Largest value of `measure` per depth, indexed from the root's depth
+  function maxPerDepth(layoutRoot, measure) {
+    const result = [];
+    (function walk(node, level) {
+      result[level] = Math.max(result[level] || 0, measure(node));
+      node.children.forEach((child) => walk(child, level + 1));
+    })(layoutRoot, 0);
+    return result;
+  }
+
+  // Start offsets of the columns (or rows) that hold each depth
+  function levelOffsets(sizes, start, gap) {
+    const offsets = [start];
+    for (let i = 1; i < sizes.length; i++) {
+      offsets[i] = offsets[i - 1] + sizes[i - 1] + gap;
     }
-    const minLen = Math.min(oldNode.children.length, newNode.children.length);
-    for (let i = 0; i < minLen; i++) {
-      preserveCollapsedState(oldNode.children[i], newNode.children[i]);
+    return offsets;
+  }
+
+  // Logic chart: like the default layout, but every depth is aligned in
+  // its own column so connectors can be drawn as right-angled elbows.
+  function positionLogic(layoutRoot, x, y) {
+    const columns = levelOffsets(maxPerDepth(layoutRoot, (n) => n.width), x, NODE_GAP_X);
+    (function place(node, level, top) {
+      const subtreeHeight = computeSubtreeHeight(node);
+      node.side = 'right';
+      node.x = columns[level];
+      node.y = top + subtreeHeight / 2 - node.height / 2;
+      let childY = top;
+      for (const child of node.children) {
+        place(child, level + 1, childY);
+        childY += computeSubtreeHeight(child) + NODE_GAP_Y;
+      }
+    })(layoutRoot, 0, y);
+  }
+
+  function computeSubtreeWidth(layoutNode) {
+    if (layoutNode.children.length === 0) {
+      return layoutNode.width;
     }
+    let totalWidth = (layoutNode.children.length - 1) * ORG_GAP_X;
+    for (const child of layoutNode.children) {
+      totalWidth += computeSubtreeWidth(child);
+    }
+    return Math.max(layoutNode.width, totalWidth);
+  }
+
+  // Org chart: top-down, each parent centered above its children and every
+  // depth on its own row.
+  function positionOrg(layoutRoot, x, y) {
+    const rows = levelOffsets(maxPerDepth(layoutRoot, (n) => n.height), y, ORG_GAP_Y);
+    (function place(node, level, left) {
+      const subtreeWidth = computeSubtreeWidth(node);
+      node.side = 'down';
+      node.x = left + subtreeWidth / 2 - node.width / 2;
+      node.y = rows[level];
+      let childrenWidth = (node.children.length - 1) * ORG_GAP_X;
+      for (const child of node.children) {
+        childrenWidth += computeSubtreeWidth(child);
+      }
+      let childX = left + (subtreeWidth - childrenWidth) / 2;
+      for (const child of node.children) {
+        place(child, level + 1, childX);
+        childX += computeSubtreeWidth(child) + ORG_GAP_X;
+      }
+    })(layoutRoot, 0, x);
+  }
+
+  // Tidy tree (Reingold–Tilford): columns per depth as in the logic chart,
+  // but sibling subtrees are packed by their contours instead of their
+  // bounding boxes, so a deep branch may tuck under a shallow neighbour.
+  // Contours list the { top, bottom } extent of each depth of a subtree.
+  function positionTidy(layoutRoot, x, y) {
+    const columns = levelOffsets(maxPerDepth(layoutRoot, (n) => n.width), x, NODE_GAP_X);
+    const nodeTop = new Map();   // node top within its subtree frame
+    const frameShift = new Map(); // subtree frame offset within the parent frame
+
+    function arrange(node) {
+      if (node.children.length === 0) {
+        nodeTop.set(node, 0);
+        return [{ top: 0, bottom: node.height }];
+      }
+      const merged = [];
+      node.children.forEach((child, i) => {
+        const contour = arrange(child);
+        let shift = 0;
+        if (i > 0) {
+          shift = -Infinity;
+          for (let d = 0; d < Math.min(merged.length, contour.length); d++) {
+            shift = Math.max(shift, merged[d].bottom + NODE_GAP_Y - contour[d].top);
+          }
+        }
+        frameShift.set(child, shift);
+        contour.forEach((level, d) => {
+          const top = level.top + shift;
+          const bottom = level.bottom + shift;
+          merged[d] = merged[d]
+            ? { top: Math.min(merged[d].top, top), bottom: Math.max(merged[d].bottom, bottom) }
+            : { top, bottom };
+        });
+      });
+      const center = (child) => frameShift.get(child) + nodeTop.get(child) + child.height / 2;
+      const first = node.children[0];
+      const last = node.children[node.children.length - 1];
+      const top = (center(first) + center(last)) / 2 - node.height / 2;
+      nodeTop.set(node, top);
+      return [{ top, bottom: top + node.height }].concat(merged);
+    }
+
+    const contour = arrange(layoutRoot);
+    const minTop = Math.min(...contour.map((level) => level.top));
+    (function place(node, level, frameY) {
+      node.side = 'right';
+      node.x = columns[level];
+      node.y = frameY + nodeTop.get(node);
+      for (const child of node.children) {
+        place(child, level + 1, frameY + frameShift.get(child));
+      }
+    })(layoutRoot, 0, y - minTop);
+  }
+
+  // Timeline: first-level nodes in a row to the right of the root, centered
+  // on its axis; their descendants hang below them as an indented outline.
+  function positionTimeline(layoutRoot, x, y) {
+    const axisY = y + layoutRoot.height / 2;
+    layoutRoot.side = 'right';
+    layoutRoot.x = x;
+    layoutRoot.y = y;
+
+    function placeOutline(node, left, top) {
+      node.side = 'down';
+      node.x = left;
+      node.y = top;
+      let bottom = top + node.height;
+      let right = left + node.width;
+      for (const child of node.children) {
+        const extent = placeOutline(child, left + TIMELINE_INDENT, bottom + NODE_GAP_Y);
+        bottom = extent.bottom;
+        right = Math.max(right, extent.right);
+      }
+      return { bottom, right };
+    }
+
+    let columnX = x + layoutRoot.width + NODE_GAP_X;
+    for (const child of layoutRoot.children) {
+      const extent = placeOutline(child, columnX, axisY - child.height / 2);
+      child.side = 'right';
+      columnX = extent.right + NODE_GAP_X;
+    }
+  }
+
+  // Position a layout tree with the given layout mode (see LAYOUT_MODES)
+  function positionLayout(layoutRoot, mode) {
+    switch (mode) {
+      case 'balanced':
+        positionBalanced(layoutRoot, 0, 0);
+        break;
+      case 'logic':
+        positionLogic(layoutRoot, 0, 0);
+        break;
+      case 'org':
+        positionOrg(layoutRoot, 0, 0);
+        break;
+      case 'tidy':
+        positionTidy(layoutRoot, 0, 0);
+        break;
+      case 'timeline':
+        positionTimeline(layoutRoot, 0, 0);
+        break;
+      default:
+        positionNodes(layoutRoot, 0, 0);
+    }
+  }
+
+  // SVG path of the connector between a positioned parent and child
+  function getConnectionPath(fromNode, toNode, mode) {
+    if (mode === 'org') {
+      const x1 = fromNode.x + fromNode.width / 2;
+      const y1 = fromNode.y + fromNode.height;
+      const x2 = toNode.x + toNode.width / 2;
+      const y2 = toNode.y;
+      const midY = (y1 + y2) / 2;
+      return `M${x1},${y1} V${midY} H${x2} V${y2}`;
+    }
+    if (mode === 'timeline' && toNode.side === 'down') {
+      const x1 = fromNode.x + TIMELINE_INDENT / 2;
+      const y2 = toNode.y + toNode.height / 2;
+      return `M${x1},${fromNode.y + fromNode.height} V${y2} H${toNode.x}`;
+    }
+    // Left-side branches attach to the opposite edges
+    const left = toNode.side === 'left';
+    const x1 = left ? fromNode.x : fromNode.x + fromNode.width;
+    const y1 = fromNode.y + fromNode.height / 2;
+    const x2 = left ? toNode.x + toNode.width : toNode.x;
+    const y2 = toNode.y + toNode.height / 2;
+    const midX = (x1 + x2) / 2;
+    if (mode === 'logic' || mode === 'timeline') {
+      return `M${x1},${y1} H${midX} V${y2} H${x2}`;
+    }
+    return `M${x1},${y1} C${midX},${y1} ${midX},${y2} ${x2},${y2}`;
+  }
+
+  // Where the collapse toggle sits on a node, relative to its top-left:
+  // on the edge its children grow from.
+  function getCollapseIndicatorPosition(layoutNode, mode) {
+    if (mode === 'org') {
+      return { x: layoutNode.width / 2, y: layoutNode.height - 2 };
+    }
+    if (mode === 'timeline' && layoutNode.depth > 0) {
+      return { x: TIMELINE_INDENT / 2, y: layoutNode.height - 2 };
+    }
+    if (layoutNode.side === 'left' && layoutNode.depth > 0) {
+      return { x: 2, y: layoutNode.height / 2 };
+    }
+    return { x: layoutNode.width - 2, y: layoutNode.height / 2 };
+  }
+
+  // ─── Document Settings ──────────────────────────────────────
+  // Per-document view settings (layout, …) live in the file as HTML comments
+  // ahead of the root heading, e.g. `<!-- mindmap-layout: org -->`, which
+  // rendered Markdown hides.
+  const SETTING_RE = /^<!--\s*mindmap-([a-z-]+):\s*(.*?)\s*-->\s*$/;
+
+  function getDocumentSetting(root, key) {
+    for (const line of root.preamble || []) {
+      const match = line.match(SETTING_RE);
+      if (match && match[1] === key) return match[2];
+    }
+    return null;
+  }
+
+  // Set or, with a null value, remove a setting. Returns true if the
+  // preamble changed.
+  function setDocumentSetting(root, key, value) {
+    const preamble = root.preamble || [];
+    const index = preamble.findIndex((line) => {
+      const match = line.match(SETTING_RE);
+      return match && match[1] === key;
+    });
+    const line = value === null || value === undefined ? null : `<!-- mindmap-${key}: ${value} -->`;
+    if (index >= 0) {
+      if (preamble[index] === line) return false;
+      if (line === null) {
+        preamble.splice(index, 1);
+      } else {
+        preamble[index] = line;
+      }
+    } else if (line === null) {
+      return false;
+    } else {
+      preamble.push(line);
+    }
+    root.preamble = preamble;
+    return true;
+  }
+
+  // ─── Reconciliation ─────────────────────────────────────────
+  // Longest common subsequence of two sibling lists by text; returns the
+  // matched index pairs in order.
+  function matchSiblingsByText(oldChildren, newChildren) {
+    const n = oldChildren.length;
+    const m = newChildren.length;
+    const table = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i][j] = oldChildren[i].text === newChildren[j].text
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+    const pairs = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (oldChildren[i].text === newChildren[j].text) {
+        pairs.push([i, j]);
+        i++;
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+    return pairs;
+  }
+
+  // Map a freshly parsed tree onto the previous one so node identity survives
+  // re-parsing. Nodes are matched in three passes:
+  //   1. same text at the same place (LCS of siblings under matched parents),
+  //   2. same text anywhere else in the tree (moves),
+  //   3. leftover siblings between the same matched neighbours (renames).
+  // Matched nodes get the old id, and in-memory state the document doesn't
+  // define (collapse, unsaved images) is carried over. Returns the id to
+  // select in the new tree in place of `selectedId`.
+  function reconcileTree(oldRoot, newRoot, selectedId) {
+    const oldFor = new Map(); // new node -> old node
+    const newFor = new Map(); // old node -> new node
+    const oldParent = new Map();
+
+    (function indexParents(node) {
+      for (const child of node.children) {
+        oldParent.set(child, node);
+        indexParents(child);
+      }
+    })(oldRoot);
+
+    function link(oldNode, newNode) {
+      oldFor.set(newNode, oldNode);
+      newFor.set(oldNode, newNode);
+      const free = (list, map) => list.filter((c) => !map.has(c));
+      const oldKids = free(oldNode.children, newFor);
+      const newKids = free(newNode.children, oldFor);
+      for (const [i, j] of matchSiblingsByText(oldKids, newKids)) {
+        link(oldKids[i], newKids[j]);
+      }
+    }
+
+    function walk(node, visit) {
+      visit(node);
+      for (const child of node.children) walk(child, visit);
+    }
+
+    link(oldRoot, newRoot);
+
+    // Moves: unmatched nodes whose text exists elsewhere in the old tree
+    const unmatchedOld = new Map();
+    walk(oldRoot, (node) => {
+      if (newFor.has(node)) return;
+      if (!unmatchedOld.has(node.text)) unmatchedOld.set(node.text, []);
+      unmatchedOld.get(node.text).push(node);
+    });
+    walk(newRoot, (node) => {
+      if (oldFor.has(node)) return;
+      const candidates = (unmatchedOld.get(node.text) || []).filter((c) => !newFor.has(c));
+      if (candidates.length > 0) {
+        link(candidates[0], node);
+      }
+    });
+
+    // Renames: pair leftovers that sit between the same matched siblings
+    walk(newRoot, (newNode) => {
+      const oldNode = oldFor.get(newNode);
+      if (!oldNode) return;
+      let oi = 0;
+      let nj = 0;
+      const oldKids = oldNode.children;
+      const newKids = newNode.children;
+      while (oi < oldKids.length || nj < newKids.length) {
+        const anchor = newKids.findIndex((c, k) => k >= nj && oldKids.indexOf(oldFor.get(c), oi) !== -1);
+        const oldEnd = anchor === -1 ? oldKids.length : oldKids.indexOf(oldFor.get(newKids[anchor]), oi);
+        const newEnd = anchor === -1 ? newKids.length : anchor;
+        const oldGap = oldKids.slice(oi, oldEnd).filter((c) => !newFor.has(c));
+        const newGap = newKids.slice(nj, newEnd).filter((c) => !oldFor.has(c));
+        for (let k = 0; k < Math.min(oldGap.length, newGap.length); k++) {
+          link(oldGap[k], newGap[k]);
+        }
+        if (anchor === -1) break;
+        oi = oldEnd + 1;
+        nj = newEnd + 1;
+      }
+    });
+
+    for (const [newNode, oldNode] of oldFor) {
+      newNode.id = oldNode.id;
+      if (newNode.collapsed === undefined && oldNode.collapsed) {
+        newNode.collapsed = true;
+      }
+      // Images pasted but not yet written to the document
+      if (!newNode.image && oldNode.image && typeof oldNode.imageLine !== 'string') {
+        newNode.image = oldNode.image;
+        newNode.imageWidth = oldNode.imageWidth;
+        newNode.imageHeight = oldNode.imageHeight;
+      }
+    }
+
+    if (!selectedId) return null;
+    let selected = null;
+    walk(oldRoot, (node) => {
+      if (node.id === selectedId) selected = node;
+    });
+    // Fall back to the closest surviving ancestor of a deleted node
+    while (selected && !newFor.has(selected)) {
+      selected = oldParent.get(selected);
+    }
+    return selected ? newFor.get(selected).id : newRoot.id;
+  }
+
+  // ─── Tree Operations ────────────────────────────────────────
+  // Nodes of a multi-selection that are not inside another selected node,
+  // in document order. Operating on these moves or deletes each selected
+  // subtree exactly once.
+  function getSelectionRoots(root, ids) {
+    const wanted = ids instanceof Set ? ids : new Set(ids);
+    const result = [];
+    (function walk(node) {
+      if (wanted.has(node.id)) {
+        result.push(node);
+        return;
+      }
+      for (const child of node.children) walk(child);
+    })(root);
+    return result;
+  }
+
+  function maxHeadingLevel(node) {
+    let max = node.headingLevel || 0;
+    for (const child of node.children) {
+      max = Math.max(max, maxHeadingLevel(child));
+    }
+    return max;
+  }
+
+  function shiftHeadingLevels(node) {
+    if (node.headingLevel) node.headingLevel++;
+    node.children.forEach(shiftHeadingLevels);
+  }
+
+  // Move the selected subtrees under a new node inserted where the first of
+  // them was. Headings stay headings: when a heading is grouped the new
+  // parent becomes a heading at the highest grouped level and headings at
+  // that level move one level down. List items are written before headings
+  // under a heading, so a heading group takes grouped list items first and
+  // goes after the list items left beside it. Returns the new node, or null
+  // if the result can't be written as Markdown (root selected, or headings
+  // would go below H4 or under a list item).
+  function groupNodes(root, ids, text) {
+    const members = getSelectionRoots(root, ids);
+    if (members.length === 0 || members.includes(root)) return null;
+
+    const parentOf = new Map();
+    (function walk(node) {
+      for (const child of node.children) {
+        parentOf.set(child, node);
+        walk(child);
+      }
+    })(root);
+
+    const levels = members.filter((m) => m.headingLevel).map((m) => m.headingLevel);
+    const group = { id: generateId(), text: text || 'New Group', children: [] };
+    const parent = parentOf.get(members[0]);
+    let demoted = [];
+    if (levels.length > 0) {
+      group.headingLevel = Math.min(...levels);
+      const parentLevel = parent === root ? 1 : (parent.headingLevel || 0);
+      if (parentLevel === 0 || parentLevel >= group.headingLevel) return null;
+      demoted = members.filter((m) => m.headingLevel === group.headingLevel);
+      if (Math.max(...demoted.map(maxHeadingLevel)) >= 4) return null;
+    }
+
+    let index = parent.children.indexOf(members[0]);
+    const ordered = group.headingLevel
+      ? members.filter((m) => !m.headingLevel).concat(members.filter((m) => m.headingLevel))
+      : members;
+    for (const member of ordered) {
+      const from = parentOf.get(member);
+      from.children.splice(from.children.indexOf(member), 1);
+      if (demoted.includes(member)) {
+        shiftHeadingLevels(member);
+      }
+      group.children.push(member);
+    }
+    if (group.headingLevel) {
+      while (index < parent.children.length && !parent.children[index].headingLevel) index++;
+    }
+    parent.children.splice(index, 0, group);
+    return group;
+  }
+
+  // ─── Clipboard ──────────────────────────────────────────────
+  const BULLET_RE = /^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/;
+  const ANY_HEADING_RE = /^(#{1,6})\s+(.+)/;
+
+  // Copy of a subtree made only of list items, with notes re-indented to
+  // match, so it can be pasted under any node or into another document.
+  function toListNode(node) {
+    const copy = {
+      id: generateId(),
+      text: node.text,
+      collapsed: node.collapsed || false,
+      children: node.children.map(toListNode),
+      body: [],
+    };
+    if (node.image) {
+      copy.image = node.image;
+      copy.imageWidth = node.imageWidth;
+      copy.imageHeight = node.imageHeight;
+    }
+    if (node.style) {
+      copy.style = Object.assign({}, node.style);
+    }
+    if (typeof node.done === 'boolean') {
+      copy.done = node.done;
+    }
+    setNodeMarkers(copy, {
+      priority: node.priority,
+      icons: node.icons && node.icons.slice(),
+      tags: node.tags && node.tags.slice(),
+    });
+    setNodeNote(copy, getNodeNote(node));
+    return copy;
+  }
+
+  // Serialize subtrees as an indented Markdown list for the clipboard
+  function serializeSubtrees(nodes) {
+    const out = [];
+    writeChildren(out, nodes.map(toListNode), '', '  ');
+    return out.length > 0 ? out.join('\n') + '\n' : '';
+  }
+
+  // Parse pasted text into new nodes. Markdown headings and bullets
+  // (-, *, +, 1.) give the structure and other lines become notes of the
+  // node above; text without Markdown structure is one node per line,
+  // nested by indentation.
+  function parseOutlineText(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const isMarkdown = lines.some((line) => ANY_HEADING_RE.test(line) || BULLET_RE.test(line));
+    const top = { children: [] };
+    const stack = [{ node: top, kind: 'root', indent: -1, headingLevel: 0 }];
+    let lastNode = null;
+    let fence = null;
+
+    function addNode(rawText, kind, indent, headingLevel) {
+      while (stack.length > 1) {
+        const frame = stack[stack.length - 1];
+        if (kind === 'heading' && frame.kind === 'heading' && frame.headingLevel < headingLevel) break;
+        if (kind === 'item' && frame.kind === 'heading') break;
+        if (kind === 'item' && frame.indent < indent) break;
+        stack.pop();
+      }
+      const parsed = parseNodeText(rawText);
+      const node = { id: generateId(), text: parsed.text, collapsed: parsed.collapsed, children: [], body: [] };
+      applyParsedMarkers(node, parsed);
+      stack[stack.length - 1].node.children.push(node);
+      stack.push({ node, kind, indent, headingLevel });
+      lastNode = node;
+    }
+
+    for (const line of lines) {
+      if (isMarkdown && lastNode && (fence || FENCE_RE.test(line))) {
+        const close = line.trim();
+        if (!fence) {
+          fence = line.match(FENCE_RE)[1];
+        } else if (close.length >= fence.length && close === fence[0].repeat(close.length)) {
+          fence = null;
+        }
+        lastNode.body.push(line);
+        continue;
+      }
+      if (isBlank(line)) {
+        if (lastNode) lastNode.body.push(line);
+        continue;
+      }
+      const indent = leadingWhitespace(line).length;
+      if (!isMarkdown) {
+        addNode(line, 'item', indent, 0);
+        continue;
+      }
+      const headingMatch = line.match(ANY_HEADING_RE);
+      if (headingMatch) {
+        addNode(headingMatch[2], 'heading', -1, headingMatch[1].length);
+        continue;
+      }
+      const bulletMatch = line.match(BULLET_RE);
+      if (bulletMatch) {
+        addNode(bulletMatch[2], 'item', indent, 0);
+        continue;
+      }
+      const imageMatch = line.match(IMAGE_RE);
+      if (imageMatch && lastNode && !lastNode.image && getNodeNote(lastNode) === '') {
+        lastNode.image = imageMatch[2];
+        if (imageMatch[3]) lastNode.imageWidth = parseInt(imageMatch[3]);
+        if (imageMatch[4]) lastNode.imageHeight = parseInt(imageMatch[4]);
+        continue;
+      }
+      if (lastNode) {
+        lastNode.body.push(line);
+      } else {
+        // Leading prose becomes a node of its own; the next bullet closes it
+        addNode(line, 'item', Infinity, 0);
+      }
+    }
+
+    // Re-indent collected note lines as continuation lines of list items
+    (function normalize(nodes) {
+      for (const node of nodes) {
+        setNodeNote(node, getNodeNote(node));
+        normalize(node.children);
+      }
+    })(top.children);
+    return top.children;
+  }
+
+  // ─── XML ────────────────────────────────────────────────────
+  // Just enough XML for the outline formats we exchange: elements,
+  // attributes, text and CDATA. Comments, processing instructions and
+  // doctypes are skipped. Elements are { name, attributes, children, text }
+  // where `text` is the element's own text; `children` also holds the text
+  // runs, in order, as { name: '#text', text } for mixed (HTML) content.
+  const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+  const XML_TOKEN_RE = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  const XML_ATTRIBUTE_RE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+  function decodeXmlEntities(text) {
+    return text.replace(/&(#[xX][0-9a-fA-F]+|#\d+|\w+);/g, (match, name) => {
+      if (name[0] === '#') {
+        const hex = name[1] === 'x' || name[1] === 'X';
+        return String.fromCodePoint(parseInt(name.slice(hex ? 2 : 1), hex ? 16 : 10));
+      }
+      return Object.prototype.hasOwnProperty.call(XML_ENTITIES, name) ? XML_ENTITIES[name] : match;
+    });
+  }
+
+  // Escape for both text and attribute values; newlines survive in attributes
+  function escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/\r?\n/g, '&#10;');
+  }
+
+  function parseXml(text) {
+    const documentNode = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [documentNode];
+    let last = 0;
+    let match;
+    XML_TOKEN_RE.lastIndex = 0;
+    function addText(current, run) {
+      if (run.length === 0) return;
+      current.text += run;
+      current.children.push({ name: '#text', attributes: {}, children: [], text: run });
+    }
+    while ((match = XML_TOKEN_RE.exec(text))) {
+      const current = stack[stack.length - 1];
+      addText(current, decodeXmlEntities(text.slice(last, match.index)));
+      last = XML_TOKEN_RE.lastIndex;
+      if (match[1] !== undefined) {
+        addText(current, match[1]);
+      } else if (match[2]) {
+        if (current.name !== match[2]) {
+          throw new Error(`Invalid XML: unexpected </${match[2]}>`);
+        }
+        stack.pop();
+      } else if (match[3]) {
+        const attributes = {};
+        let attr;
+        XML_ATTRIBUTE_RE.lastIndex = 0;
+        while ((attr = XML_ATTRIBUTE_RE.exec(match[4]))) {
+          attributes[attr[1]] = decodeXmlEntities(attr[2] !== undefined ? attr[2] : attr[3]);
+        }
+        const element = { name: match[3], attributes, children: [], text: '' };
+        current.children.push(element);
+        if (!match[5]) {
+          stack.push(element);
+        }
+      }
+    }
+    if (stack.length > 1) {
+      throw new Error(`Invalid XML: <${stack[stack.length - 1].name}> is not closed`);
+    }
+    const documentElement = documentNode.children.find((child) => child.name !== '#text');
+    if (!documentElement) {
+      throw new Error('Invalid XML: no root element');
+    }
+    return documentElement;
+  }
+
+  function childElements(element, name) {
+    return element.children.filter((child) => child.name === name);
+  }
+
+  // Node text must fit on one Markdown line
+  function singleLine(text) {
+    return text.replace(/\s*[\r\n]+\s*/g, ' ').trim();
+  }
+
+  // ─── Themes ─────────────────────────────────────────────────
+  // A theme is picked by name from the built-in THEMES or from custom
+  // themes, which override entries of a built-in `base` theme (dark by
+  // default). Documents choose a theme with the `theme` setting.
+  const HEX_COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+  // Full theme for a name, or null if there is no such theme
+  function resolveTheme(name, customThemes) {
+    const custom = customThemes && Object.prototype.hasOwnProperty.call(customThemes, name)
+      ? customThemes[name]
+      : null;
+    if (!custom || typeof custom !== 'object') {
+      return Object.prototype.hasOwnProperty.call(THEMES, name) ? Object.assign({ name }, THEMES[name]) : null;
+    }
+    const base = THEMES[custom.base] || DEFAULT_THEME;
+    const theme = Object.assign({}, base, { name });
+    for (const key of ['background', 'foreground', 'rootForeground', 'fontFamily']) {
+      if (typeof custom[key] === 'string' && custom[key]) theme[key] = custom[key];
+    }
+    for (const key of ['fillOpacity', 'depthFade', 'connectionOpacity']) {
+      if (typeof custom[key] === 'number' && custom[key] >= 0 && custom[key] <= 1) theme[key] = custom[key];
+    }
+    // Branch colors are blended with withAlpha, so only #rrggbb is accepted
+    const colors = Array.isArray(custom.branchColors)
+      ? custom.branchColors.filter((color) => HEX_COLOR_RE.test(color))
+      : [];
+    if (colors.length > 0) theme.branchColors = colors;
+    return theme;
+  }
+
+  // Name of the first usable theme among `choices` (empty or 'auto' defer
+  // to the next), else the built-in theme named after the VS Code theme kind
+  function selectThemeName(choices, kind, customThemes) {
+    for (const name of choices) {
+      if (name && name !== 'auto' && resolveTheme(name, customThemes)) return name;
+    }
+    return Object.prototype.hasOwnProperty.call(THEMES, kind) ? kind : 'dark';
+  }
+
+  function withAlpha(hex, alpha) {
+    const r = parseInt(hex.slice(1, 3), 16);
+    const g = parseInt(hex.slice(3, 5), 16);
+    const b = parseInt(hex.slice(5, 7), 16);
+    return `rgba(${r},${g},${b},${alpha})`;
+  }
+
+  function getBranchColor(theme, index) {
+    return theme.branchColors[index % theme.branchColors.length];
+  }
+
+  // Black or white, whichever reads better on the color
+  function contrastColor(hex) {
+    const r = parseInt(hex.slice(1, 3), 16);
+    const g = parseInt(hex.slice(3, 5), 16);
+    const b = parseInt(hex.slice(5, 7), 16);
+    return r * 0.299 + g * 0.587 + b * 0.114 > 150 ? '#000000' : '#ffffff';
+  }
+
+  // Colors of a laid-out node: stroke, fill, text and overall opacity.
+  // A node style's fill and stroke win over the branch color; underlined
+  // nodes have no fill.
+  function getNodeColors(node, theme) {
+    const style = node.style || {};
+    const color = getBranchColor(theme, node.depth === 0 ? 0 : node.branchIndex);
+    const colors = {
+      stroke: style.stroke || color,
+      fill: node.depth === 0 ? color : withAlpha(color, theme.fillOpacity),
+      text: node.depth === 0 ? theme.rootForeground : theme.foreground,
+      opacity: Math.max(0.4, 1 - node.depth * theme.depthFade),
+    };
+    if (style.shape === 'underline') {
+      colors.fill = 'none';
+      colors.text = theme.foreground;
+    } else if (style.fill) {
+      colors.fill = style.fill;
+      colors.text = contrastColor(style.fill);
+    }
+    return colors;
+  }
+
+  // ─── SVG Rendering ──────────────────────────────────────────
+  // String counterpart of the webview's drawing code, for rendering without
+  // a DOM. Takes a tree from layoutTree placed by positionLayout.
+
+  // Scalloped outline inside a width x height box
+  function cloudPath(width, height) {
+    const inset = CLOUD_BUMP / 4;
+    const corners = [
+      [inset, inset], [width - inset, inset],
+      [width - inset, height - inset], [inset, height - inset],
+    ];
+    const round = (value) => Math.round(value * 10) / 10;
+    let d = `M${round(inset)},${round(inset)}`;
+    corners.forEach(([ax, ay], i) => {
+      const [bx, by] = corners[(i + 1) % corners.length];
+      const count = Math.max(1, Math.round(Math.hypot(bx - ax, by - ay) / CLOUD_BUMP));
+      const chord = Math.hypot(bx - ax, by - ay) / count;
+      // A radius of 5/8 of the chord bulges out by a quarter of the chord
+      const radius = round(chord * 0.625);
+      for (let j = 1; j <= count; j++) {
+        d += ` A${radius},${radius} 0 0 1 ${round(ax + (bx - ax) * j / count)},${round(ay + (by - ay) * j / count)}`;
+      }
+    });
+    return d + ' Z';
+  }
+
+  // Outline of a laid-out node from its style's shape, as an SVG element
+  // name and its geometry attributes
+  function getNodeShape(node) {
+    const width = node.width;
+    const height = node.height;
+    switch (node.style && node.style.shape) {
+      case 'ellipse':
+        return { tag: 'ellipse', attributes: { cx: width / 2, cy: height / 2, rx: width / 2, ry: height / 2 } };
+      case 'cloud':
+        return { tag: 'path', attributes: { d: cloudPath(width, height) } };
+      case 'underline':
+        return { tag: 'path', attributes: { d: `M0,${height} H${width}` } };
+      default: {
+        const radius = node.depth === 0 ? 12 : node.depth === 1 ? 8 : 6;
+        return { tag: 'rect', attributes: { width, height, rx: radius, ry: radius } };
+      }
+    }
+  }
+
+  // Attributes that draw the formatting of an inline run
+  function getRunAttributes(run) {
+    const attributes = {};
+    if (run.bold) attributes['font-weight'] = 'bold';
+    if (run.italic) attributes['font-style'] = 'italic';
+    if (run.code) attributes['font-family'] = CODE_FONT;
+    const decorations = [];
+    if (run.link) decorations.push('underline');
+    if (run.strike) decorations.push('line-through');
+    if (decorations.length > 0) attributes['text-decoration'] = decorations.join(' ');
+    return attributes;
+  }
+
+  // Runs of each text line of a laid-out node
+  function getLineRuns(node) {
+    return node.textRuns || (node.textLines || [node.text]).map((line) => [{ text: line }]);
+  }
+
+  // Where a laid-out node centers its text and places its checkbox, marker
+  // badges and progress ring; all sit on the first text line
+  function getNodeDecorations(node) {
+    const textLeft = node.textLeft || 0;
+    const textRight = node.textRight || 0;
+    const lineHeight = (node.fontSize || getFontSize(node.depth)) * LINE_HEIGHT_RATIO;
+    const lineY = (node.textTop || 0) + NODE_PADDING_Y + lineHeight / 2;
+    const taskWidth = typeof node.done === 'boolean' ? TASK_BOX_SIZE + TASK_GAP : 0;
+    const badges = getNodeBadges(node);
+    const inset = textLeft - taskWidth - badgeRowWidth(badges.before);
+    const decorations = {
+      textX: (textLeft + node.width - textRight) / 2,
+      checkbox: null,
+      badges: [],
+      progress: null,
+    };
+    if (typeof node.done === 'boolean') {
+      decorations.checkbox = { x: inset + NODE_PADDING_X, y: lineY - TASK_BOX_SIZE / 2, size: TASK_BOX_SIZE };
+    }
+    const place = (badge, x) => Object.assign({ x, y: lineY - BADGE_HEIGHT / 2, height: BADGE_HEIGHT }, badge);
+    let x = inset + NODE_PADDING_X + taskWidth;
+    for (const badge of badges.before) {
+      decorations.badges.push(place(badge, x));
+      x += badge.width + BADGE_GAP;
+    }
+    x = node.width - textRight - NODE_PADDING_X;
+    for (const badge of badges.after) {
+      decorations.badges.push(place(badge, x + BADGE_GAP));
+      x += BADGE_GAP + badge.width;
+    }
+    if (node.progress) {
+      const label = formatTaskProgress(node.progress);
+      const labelX = node.width - inset - NODE_PADDING_X;
+      decorations.progress = {
+        cx: labelX - label.length * PROGRESS_FONT_SIZE * 0.6 - 3 - PROGRESS_RADIUS,
+        cy: lineY,
+        r: PROGRESS_RADIUS,
+        fraction: node.progress.done / node.progress.total,
+        label,
+        labelX,
+        fontSize: PROGRESS_FONT_SIZE,
+      };
+    }
+    return decorations;
+  }
+
+  const PRIORITY_COLORS = { 1: '#e53935', 2: '#fb8c00', 3: '#1e88e5' };
+
+  // SVG elements of a placed badge as { tag, attributes, text }
+  function getBadgeParts(badge, colors) {
+    const cx = badge.x + badge.width / 2;
+    const cy = badge.y + badge.height / 2;
+    const label = { x: cx, y: cy, 'text-anchor': 'middle', 'dominant-baseline': 'central' };
+    const pill = { x: badge.x, y: badge.y, width: badge.width, height: badge.height, rx: badge.height / 2 };
+    switch (badge.kind) {
+      case 'priority':
+        return [
+          { tag: 'rect', attributes: Object.assign(pill, { fill: PRIORITY_COLORS[badge.name] }) },
+          { tag: 'text', attributes: Object.assign(label, { 'font-size': BADGE_FONT_SIZE, 'font-weight': 'bold', fill: '#ffffff' }), text: badge.label },
+        ];
+      case 'icon':
+        return [
+          { tag: 'text', attributes: Object.assign(label, { 'font-size': ICON_FONT_SIZE, fill: colors.text }), text: badge.label },
+        ];
+      default:
+        return [
+          { tag: 'rect', attributes: Object.assign(pill, { fill: 'none', stroke: colors.text, 'stroke-opacity': 0.5 }) },
+          { tag: 'text', attributes: Object.assign(label, { 'font-size': BADGE_FONT_SIZE, fill: colors.text }), text: badge.label },
+        ];
+    }
+  }
+
+  // Dash pattern that draws `fraction` of a circle's outline
+  function progressDashArray(r, fraction) {
+    const circumference = 2 * Math.PI * r;
+    const round = (value) => Math.round(value * 100) / 100;
+    return `${round(circumference * fraction)} ${round(circumference)}`;
+  }
+
+  // Font attributes of a laid-out node's text
+  function getNodeFont(node) {
+    const style = node.style || {};
+    const font = { 'font-size': node.fontSize || getFontSize(node.depth) };
+    if (style.bold) font['font-weight'] = 'bold';
+    if (style.italic) font['font-style'] = 'italic';
+    return font;
+  }
+
+  function svgAttributes(attributes) {
+    return Object.keys(attributes)
+      .map((name) => ` ${name}="${escapeXml(attributes[name])}"`)
+      .join('');
+  }
+
+  function renderSvgRun(run) {
+    const attributes = getRunAttributes(run);
+    return Object.keys(attributes).length > 0
+      ? `<tspan${svgAttributes(attributes)}>${escapeXml(run.text)}</tspan>`
+      : escapeXml(run.text);
+  }
+
+  function renderSvgNode(node, theme, options) {
+    const colors = getNodeColors(node, theme);
+    const color = colors.stroke;
+    const shape = getNodeShape(node);
+    const out = [`<g transform="translate(${node.x},${node.y})">`];
+    out.push(`<${shape.tag}${svgAttributes(Object.assign({}, shape.attributes, {
+      fill: colors.fill,
+      stroke: color,
+      'stroke-width': 1.5,
+      opacity: colors.opacity,
+    }))}/>`);
+
+    const font = getNodeFont(node);
+    const lineHeight = font['font-size'] * LINE_HEIGHT_RATIO;
+    const textLines = getLineRuns(node);
+    const textTop = node.textTop || 0;
+    const startY = textTop + NODE_PADDING_Y + lineHeight / 2;
+    const decorations = getNodeDecorations(node);
+    const tspans = textLines.map((runs, i) =>
+      `<tspan x="${decorations.textX}" y="${startY + i * lineHeight}" dominant-baseline="central">${runs.map(renderSvgRun).join('')}</tspan>`
+    );
+    out.push(`<text${svgAttributes(Object.assign({ x: decorations.textX, 'text-anchor': 'middle' }, font, { fill: colors.text }))}>${tspans.join('')}</text>`);
+
+    const checkbox = decorations.checkbox;
+    if (checkbox) {
+      out.push(`<g transform="translate(${checkbox.x},${checkbox.y})">`);
+      out.push(`<rect${svgAttributes({
+        width: checkbox.size,
+        height: checkbox.size,
+        rx: 2,
+        fill: node.done ? colors.text : 'none',
+        stroke: colors.text,
+        'stroke-width': 1.5,
+      })}/>`);
+      if (node.done) {
+        out.push(`<path d="M3,6.5 L5.5,9 L9.5,3.5" fill="none" stroke="${escapeXml(theme.background)}" stroke-width="1.5"/>`);
+      }
+      out.push('</g>');
+    }
+
+    for (const badge of decorations.badges) {
+      for (const part of getBadgeParts(badge, colors)) {
+        out.push(part.text === undefined
+          ? `<${part.tag}${svgAttributes(part.attributes)}/>`
+          : `<${part.tag}${svgAttributes(part.attributes)}>${escapeXml(part.text)}</${part.tag}>`);
+      }
+    }
+
+    const progress = decorations.progress;
+    if (progress) {
+      out.push(`<circle cx="${progress.cx}" cy="${progress.cy}" r="${progress.r}" fill="none" stroke="${escapeXml(colors.text)}" stroke-opacity="0.25" stroke-width="2"/>`);
+      out.push(`<circle${svgAttributes({
+        cx: progress.cx,
+        cy: progress.cy,
+        r: progress.r,
+        fill: 'none',
+        stroke: colors.text,
+        'stroke-width': 2,
+        'stroke-dasharray': progressDashArray(progress.r, progress.fraction),
+        transform: `rotate(-90 ${progress.cx} ${progress.cy})`,
+      })}/>`);
+      out.push(`<text x="${progress.labelX}" y="${progress.cy}" text-anchor="end" dominant-baseline="central" font-size="${progress.fontSize}" fill="${escapeXml(colors.text)}">${progress.label}</text>`);
+    }
+
+    if (node.hasNote) {
+      out.push(`<text x="5" y="10" font-size="9" opacity="0.8" fill="${escapeXml(node.depth === 0 ? theme.rootForeground : color)}">\u270E</text>`);
+    }
+
+    if (node.links && node.links.length > 0) {
+      out.push(`<text x="${node.width - 5}" y="10" font-size="9" text-anchor="end" opacity="0.8" fill="${escapeXml(node.depth === 0 ? theme.rootForeground : color)}">\u2197</text>`);
+    }
+
+    if (node.hasChildren) {
+      const position = getCollapseIndicatorPosition(node, options.layoutMode);
+      out.push(
+        `<g transform="translate(${position.x},${position.y})">` +
+        `<circle r="8" fill="${escapeXml(theme.background)}" stroke="${escapeXml(color)}" stroke-width="1.5"/>` +
+        `<text text-anchor="middle" dominant-baseline="central" font-size="11" fill="${escapeXml(color)}">${node.collapsed ? '+' : '\u2212'}</text>` +
+        '</g>'
+      );
+    }
+
+    if (node.image) {
+      const imgW = node.imageWidth || IMAGE_THUMBNAIL_WIDTH;
+      const imgH = node.imageHeight || IMAGE_THUMBNAIL_HEIGHT;
+      const textBlockHeight = textLines.length * lineHeight + NODE_PADDING_Y * 2;
+      out.push(`<image${svgAttributes({
+        href: options.images[node.image] || node.image,
+        x: (node.width - imgW) / 2,
+        y: textTop + textBlockHeight + IMAGE_PADDING / 2,
+        width: imgW,
+        height: imgH,
+        preserveAspectRatio: 'xMidYMid meet',
+      })}/>`);
+    }
+
+    out.push('</g>');
+    return out.join('');
+  }
+
+  // Standalone SVG markup for a positioned layout tree. Options: theme
+  // (merged over DEFAULT_THEME), the layoutMode it was positioned with,
+  // padding, background (false for transparent) and images mapping image
+  // paths to hrefs such as data URIs.
+  function renderSvg(layoutRoot, options) {
+    options = Object.assign({ layoutMode: 'right', padding: 20, background: true, images: {} }, options);
+    const theme = Object.assign({}, DEFAULT_THEME, options.theme);
+
+    const nodes = [];
+    (function collect(node) {
+      nodes.push(node);
+      node.children.forEach(collect);
+    })(layoutRoot);
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const node of nodes) {
+      minX = Math.min(minX, node.x);
+      minY = Math.min(minY, node.y);
+      maxX = Math.max(maxX, node.x + node.width);
+      maxY = Math.max(maxY, node.y + node.height);
+    }
+    const x = minX - options.padding;
+    const y = minY - options.padding;
+    const width = maxX - minX + options.padding * 2;
+    const height = maxY - minY + options.padding * 2;
+
+    const out = [
+      `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${x} ${y} ${width} ${height}" width="${width}" height="${height}" font-family="${escapeXml(theme.fontFamily)}">`,
+    ];
+    if (options.background) {
+      out.push(`<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${escapeXml(theme.background)}"/>`);
+    }
+    for (const node of nodes) {
+      for (const child of node.children) {
+        out.push(`<path${svgAttributes({
+          d: getConnectionPath(node, child, options.layoutMode),
+          fill: 'none',
+          stroke: getBranchColor(theme, child.branchIndex),
+          'stroke-width': 2,
+          opacity: theme.connectionOpacity,
+        })}/>`);
+      }
+    }
+    for (const node of nodes) {
+      out.push(renderSvgNode(node, theme, options));
+    }
+    out.push('</svg>');
+    return out.join('\n') + '\n';
+  }
+
+  // ─── OPML ───────────────────────────────────────────────────
+  // Outlines map one-to-one onto nodes. Notes travel in the `_note`
+  // attribute and folding in the head's `expansionState`: the indices, in
+  // document order, of the outlines that are expanded.
+  function treeToOpml(root) {
+    const outlines = [];
+    const expanded = [];
+    let index = 0;
+    (function write(node, depth) {
+      const indent = '  '.repeat(depth + 2);
+      const note = getNodeNote(node);
+      const attributes = ` text="${escapeXml(node.text)}"` + (note ? ` _note="${escapeXml(note)}"` : '');
+      if (node.children.length > 0 && !node.collapsed) {
+        expanded.push(index);
+      }
+      index++;
+      if (node.children.length === 0) {
+        outlines.push(`${indent}<outline${attributes}/>`);
+        return;
+      }
+      outlines.push(`${indent}<outline${attributes}>`);
+      node.children.forEach((child) => write(child, depth + 1));
+      outlines.push(`${indent}</outline>`);
+    })(root, 0);
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<opml version="2.0">',
+      '  <head>',
+      `    <title>${escapeXml(root.text)}</title>`,
+    ];
+    if (expanded.length > 0) {
+      lines.push(`    <expansionState>${expanded.join(',')}</expansionState>`);
+    }
+    lines.push('  </head>', '  <body>', ...outlines, '  </body>', '</opml>');
+    return lines.join('\n') + '\n';
+  }
+
+  // A body with a single outline becomes the root; otherwise the title is
+  // the root and the outlines its branches. Nodes below the root are list
+  // items, so any depth of nesting can be written back as Markdown.
+  function opmlToTree(text) {
+    const opml = parseXml(text);
+    if (opml.name !== 'opml') {
+      throw new Error('Not an OPML document');
+    }
+    const head = childElements(opml, 'head')[0];
+    const body = childElements(opml, 'body')[0];
+    const title = head && childElements(head, 'title')[0];
+    const expansion = head && childElements(head, 'expansionState')[0];
+    const expanded = expansion
+      ? new Set(expansion.text.split(',').map((s) => parseInt(s, 10)))
+      : null;
+    let index = 0;
+
+    function toNode(outline) {
+      const own = index++;
+      const node = {
+        id: generateId(),
+        text: singleLine(outline.attributes.text || outline.attributes.title || ''),
+        collapsed: false,
+        children: childElements(outline, 'outline').map(toNode),
+        body: [],
+      };
+      if (expanded && node.children.length > 0) {
+        node.collapsed = !expanded.has(own);
+      }
+      if (outline.attributes._note) {
+        setNodeNote(node, outline.attributes._note);
+      }
+      return node;
+    }
+
+    const outlines = body ? childElements(body, 'outline') : [];
+    let root;
+    if (outlines.length === 1) {
+      root = toNode(outlines[0]);
+    } else {
+      root = {
+        id: generateId(),
+        text: singleLine((title && title.text) || '') || 'Central Topic',
+        collapsed: false,
+        children: outlines.map(toNode),
+        body: [],
+      };
+    }
+    root.headingLevel = 1;
+    if (root.body.length > 0) {
+      setNodeNote(root, getNodeNote(root));
+    }
+    return root;
+  }
+
+  // ─── FreeMind ───────────────────────────────────────────────
+  // FreeMind / Freeplane `.mm` maps. Built-in icons become emoji in front of
+  // the node text, LINK becomes a Markdown link around it and HTML notes
+  // (richcontent TYPE="NOTE") become plain-text notes.
+  const FREEMIND_ICONS = {
+    idea: '💡',
+    help: '❓',
+    yes: '❗',
+    messagebox_warning: '⚠️',
+    info: 'ℹ️',
+    button_ok: '✅',
+    button_cancel: '❌',
+    'stop-sign': '🛑',
+    flag: '🚩',
+    bookmark: '🔖',
+    attach: '📎',
+    clock: '⏰',
+    calendar: '📅',
+    list: '📋',
+    pencil: '✏️',
+    launch: '🚀',
+    password: '🔑',
+    mail: '✉️',
+    home: '🏠',
+    forward: '➡️',
+    back: '⬅️',
+    ksmiletris: '🙂',
+    smily_bad: '🙁',
+    'full-1': '1️⃣',
+    'full-2': '2️⃣',
+    'full-3': '3️⃣',
+    'full-4': '4️⃣',
+    'full-5': '5️⃣',
+    'full-6': '6️⃣',
+    'full-7': '7️⃣',
+    'full-8': '8️⃣',
+    'full-9': '9️⃣',
+  };
+  const MARKDOWN_LINK_RE = /^\[((?:[^\]\\]|\\.)*)\]\(([^)\s]+)\)$/;
+  const HTML_BLOCKS = ['p', 'div', 'li', 'tr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+  // Plain text of an HTML fragment: block elements and <br> end lines
+  function htmlToText(element) {
+    let text = '';
+    (function walk(node) {
+      if (node.name === '#text') {
+        text += node.text.replace(/\s+/g, ' ');
+      } else if (node.name === 'br') {
+        text += '\n';
+      } else if (node.name !== 'head') {
+        const block = HTML_BLOCKS.includes(node.name.toLowerCase());
+        if (block) text += '\n';
+        node.children.forEach(walk);
+        if (block) text += '\n';
+      }
+    })(element);
+    return text.split('\n').map((line) => line.trim()).join('\n')
+      .replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  function findElement(element, name) {
+    for (const child of element.children) {
+      if (child.name === name) return child;
+      const found = findElement(child, name);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  function richContent(element, type) {
+    return element.children.find((child) => child.name === 'richcontent' &&
+      (child.attributes.TYPE || '').toUpperCase() === type) || null;
+  }
+
+  function freemindToNode(element) {
+    const nodeHtml = richContent(element, 'NODE');
+    let text = element.attributes.TEXT || element.attributes.LOCALIZED_TEXT || '';
+    let image = null;
+    if (!element.attributes.TEXT && nodeHtml) {
+      text = htmlToText(nodeHtml);
+      const img = findElement(nodeHtml, 'img');
+      image = img ? img.attributes.src || null : null;
+    }
+    text = singleLine(text);
+    if (element.attributes.LINK) {
+      text = `[${text.replace(/[\[\]]/g, '\\$&')}](${element.attributes.LINK})`;
+    }
+    const icons = childElements(element, 'icon')
+      .map((icon) => FREEMIND_ICONS[icon.attributes.BUILTIN])
+      .filter(Boolean);
+    if (icons.length > 0) {
+      text = `${icons.join('')} ${text}`.trim();
+    }
+
+    const node = {
+      id: generateId(),
+      text,
+      collapsed: false,
+      children: childElements(element, 'node').map(freemindToNode),
+      body: [],
+    };
+    if (element.attributes.FOLDED === 'true' && node.children.length > 0) {
+      node.collapsed = true;
+    }
+    if (image) {
+      node.image = image;
+    }
+    const note = richContent(element, 'NOTE');
+    if (note) {
+      setNodeNote(node, htmlToText(note));
+    }
+    return node;
+  }
+
+  function freemindToTree(text) {
+    const map = parseXml(text);
+    if (map.name !== 'map') {
+      throw new Error('Not a FreeMind map');
+    }
+    const top = childElements(map, 'node')[0];
+    if (!top) {
+      throw new Error('FreeMind map has no root node');
+    }
+    const root = freemindToNode(top);
+    root.headingLevel = 1;
+    if (root.body.length > 0) {
+      setNodeNote(root, getNodeNote(root));
+    }
+    return root;
+  }
+
+  // Split leading icon emoji off node text; inverse of the import mapping
+  function splitFreemindIcons(text) {
+    const byEmoji = Object.keys(FREEMIND_ICONS)
+      .map((name) => [FREEMIND_ICONS[name], name])
+      .sort((a, b) => b[0].length - a[0].length);
+    const icons = [];
+    let rest = text;
+    for (;;) {
+      const hit = byEmoji.find(([emoji]) => rest.startsWith(emoji));
+      if (!hit) break;
+      icons.push(hit[1]);
+      rest = rest.slice(hit[0].length).replace(/^ /, '');
+    }
+    return { icons, text: rest };
+  }
+
+  function htmlParagraphs(text) {
+    return text.split('\n').map((line) => `<p>${escapeXml(line)}</p>`).join('');
+  }
+
+  function treeToFreemind(root) {
+    const lines = ['<map version="1.0.1">'];
+    (function write(node, depth) {
+      const split = splitFreemindIcons(node.text);
+      let text = split.text;
+      let link = null;
+      const linkMatch = text.match(MARKDOWN_LINK_RE);
+      if (linkMatch) {
+        text = linkMatch[1].replace(/\\(.)/g, '$1');
+        link = linkMatch[2];
+      }
+      let attributes = node.image ? '' : ` TEXT="${escapeXml(text)}"`;
+      if (link) attributes += ` LINK="${escapeXml(link)}"`;
+      if (node.collapsed && node.children.length > 0) attributes += ' FOLDED="true"';
+      if (depth === 1) attributes += ' POSITION="right"';
+
+      const inner = split.icons.map((icon) => `<icon BUILTIN="${icon}"/>`);
+      if (node.image) {
+        inner.push(`<richcontent TYPE="NODE"><html><head></head><body>${htmlParagraphs(text)}` +
+          `<img src="${escapeXml(node.image)}"/></body></html></richcontent>`);
+      }
+      const note = getNodeNote(node);
+      if (note) {
+        inner.push(`<richcontent TYPE="NOTE"><html><head></head><body>${htmlParagraphs(note)}</body></html></richcontent>`);
+      }
+      if (inner.length === 0 && node.children.length === 0) {
+        lines.push(`<node${attributes}/>`);
+        return;
+      }
+      lines.push(`<node${attributes}>`, ...inner);
+      node.children.forEach((child) => write(child, depth + 1));
+      lines.push('</node>');
+    })(root, 0);
+    lines.push('</map>');
+    return lines.join('\n') + '\n';
+  }
+
+  // ─── XMind ──────────────────────────────────────────────────
+  // Sheets of an XMind archive, from content.json (XMind 2020 and later) or
+  // content.xml (XMind 8), as [{ title, root, resources }]. Labels become
+  // `#tags`, hyperlinks Markdown links, and embedded images point into
+  // `assets/`; `resources` lists the archive entries to copy there as
+  // { entry, asset }.
+  function xmindTag(label) {
+    return '#' + label.trim().replace(/\s+/g, '-');
+  }
+
+  // Path in assets/ for an archive entry: the last part of its name, made
+  // safe as a file name and numbered when another entry already has it
+  function xmindAssetPath(entry, resources) {
+    const base = entry.split(/[\\/]/).pop().replace(/[:*?"<>|\s]+/g, '-').replace(/^\.+/, '');
+    const name = base || 'image';
+    const dot = name.lastIndexOf('.');
+    const stem = dot > 0 ? name.slice(0, dot) : name;
+    const extension = dot > 0 ? name.slice(dot) : '';
+    for (let n = 1; ; n++) {
+      const asset = `assets/${stem}${n > 1 ? `-${n}` : ''}${extension}`;
+      if (!resources.some((r) => r.asset === asset)) return asset;
+    }
+  }
+
+  function xmindImage(src, resources) {
+    const entry = src.replace(/^xap:/, '');
+    const known = resources.find((r) => r.entry === entry);
+    if (known) return known.asset;
+    const asset = xmindAssetPath(entry, resources);
+    resources.push({ entry, asset });
+    return asset;
+  }
+
+  function xmindNode(topic, resources) {
+    let text = singleLine(topic.title || '');
+    if (topic.href && !/^xap:/.test(topic.href)) {
+      text = `[${text.replace(/[\[\]]/g, '\\$&')}](${topic.href})`;
+    }
+    if (topic.labels.length > 0) {
+      text = [text, ...topic.labels.map(xmindTag)].join(' ').trim();
+    }
+    const node = {
+      id: generateId(),
+      text,
+      collapsed: false,
+      children: topic.children.map((child) => xmindNode(child, resources)),
+      body: [],
+    };
+    if (topic.folded && node.children.length > 0) {
+      node.collapsed = true;
+    }
+    if (topic.image) {
+      node.image = xmindImage(topic.image.src, resources);
+      if (topic.image.width && topic.image.height) {
+        node.imageWidth = Math.round(topic.image.width);
+        node.imageHeight = Math.round(topic.image.height);
+      }
+    }
+    if (topic.note) {
+      setNodeNote(node, topic.note);
+    }
+    return node;
+  }
+
+  function xmindSheet(title, topic) {
+    const resources = [];
+    const root = xmindNode(topic, resources);
+    root.headingLevel = 1;
+    if (root.body.length > 0) {
+      setNodeNote(root, getNodeNote(root));
+    }
+    return { title: singleLine(title || '') || root.text, root, resources };
+  }
+
+  // Floating (detached) topics are kept as extra branches of the root
+  function xmindJsonTopic(topic) {
+    const children = topic.children || {};
+    const note = topic.notes && topic.notes.plain && topic.notes.plain.content;
+    return {
+      title: topic.title,
+      href: topic.href,
+      labels: topic.labels || [],
+      folded: topic.branch === 'folded',
+      image: topic.image && topic.image.src ? topic.image : null,
+      note: note ? note.replace(/\r\n?/g, '\n') : '',
+      children: (children.attached || []).concat(children.detached || []).map(xmindJsonTopic),
+    };
+  }
+
+  function xmindJsonToTrees(sheets) {
+    if (!Array.isArray(sheets)) {
+      throw new Error('Not an XMind content.json');
+    }
+    return sheets
+      .filter((sheet) => sheet.rootTopic)
+      .map((sheet) => xmindSheet(sheet.title, xmindJsonTopic(sheet.rootTopic)));
+  }
+
+  function xmindXmlTopic(element) {
+    const first = (parent, name) => parent && childElements(parent, name)[0];
+    const children = [];
+    for (const topics of childElements(first(element, 'children') || { children: [] }, 'topics')) {
+      if (topics.attributes.type === 'attached' || topics.attributes.type === 'detached') {
+        children.push(...childElements(topics, 'topic'));
+      }
+    }
+    const img = first(element, 'xhtml:img');
+    const notes = first(first(element, 'notes'), 'plain');
+    const labels = first(element, 'labels');
+    return {
+      title: (first(element, 'title') || { text: '' }).text,
+      href: element.attributes['xlink:href'],
+      labels: labels ? childElements(labels, 'label').map((label) => label.text) : [],
+      folded: element.attributes.branch === 'folded',
+      image: img ? {
+        src: img.attributes['xhtml:src'],
+        width: parseFloat(img.attributes['svg:width']) || null,
+        height: parseFloat(img.attributes['svg:height']) || null,
+      } : null,
+      note: notes ? notes.text.replace(/\r\n?/g, '\n') : '',
+      children: children.map(xmindXmlTopic),
+    };
+  }
+
+  function xmindXmlToTrees(text) {
+    const content = parseXml(text);
+    if (content.name !== 'xmap-content') {
+      throw new Error('Not an XMind content.xml');
+    }
+    return childElements(content, 'sheet')
+      .filter((sheet) => childElements(sheet, 'topic').length > 0)
+      .map((sheet) => {
+        const title = childElements(sheet, 'title')[0];
+        return xmindSheet(title ? title.text : '', xmindXmlTopic(childElements(sheet, 'topic')[0]));
+      });
+  }
+
+  // ─── Undo History ───────────────────────────────────────────
+  // Undo/redo stacks of document commands. An entry is
+  // { label, before, after, selectionBefore, selectionAfter } where
+  // before/after are the full Markdown text. Consecutive records with the
+  // same coalesce key (e.g. typing into one node) merge into one entry.
+  function createHistory(limit) {
+    const max = limit || HISTORY_LIMIT;
+    const undoStack = [];
+    const redoStack = [];
+    let lastKey = null;
+    let lastTime = 0;
+
+    function record(entry, coalesceKey, now) {
+      const time = now === undefined ? Date.now() : now;
+      const top = undoStack[undoStack.length - 1];
+      if (top && coalesceKey && coalesceKey === lastKey && time - lastTime < HISTORY_COALESCE_MS) {
+        top.after = entry.after;
+        top.selectionAfter = entry.selectionAfter;
+        if (top.before === top.after) {
+          undoStack.pop();
+        }
+      } else if (entry.before !== entry.after) {
+        undoStack.push(Object.assign({}, entry));
+        if (undoStack.length > max) {
+          undoStack.shift();
+        }
+      } else {
+        return;
+      }
+      redoStack.length = 0;
+      lastKey = coalesceKey || null;
+      lastTime = time;
+    }
+
+    function undo() {
+      const entry = undoStack.pop();
+      if (!entry) return null;
+      redoStack.push(entry);
+      lastKey = null;
+      return entry;
+    }
+
+    function redo() {
+      const entry = redoStack.pop();
+      if (!entry) return null;
+      undoStack.push(entry);
+      lastKey = null;
+      return entry;
+    }
+
+    function clear() {
+      undoStack.length = 0;
+      redoStack.length = 0;
+      lastKey = null;
+    }
+
+    return {
+      record,
+      undo,
+      redo,
+      clear,
+      canUndo: () => undoStack.length > 0,
+      canRedo: () => redoStack.length > 0,
+      peekUndo: () => undoStack[undoStack.length - 1] || null,
+      peekRedo: () => redoStack[redoStack.length - 1] || null,
+    };
+  }
+
+  // ─── Document Sync ──────────────────────────────────────────
+  // The text the webview last knew to be in the document. A save posts the
+  // new text and swallows the update that echoes it back; a save that
+  // changes nothing is not posted, since the host would apply no edit and
+  // no update would come back to swallow.
+  function createDocumentSync() {
+    let text = null;
+    let awaitingEcho = false;
+
+    // Whether `next` has to be posted to the host
+    function save(next) {
+      if (next === text) return false;
+      text = next;
+      awaitingEcho = true;
+      return true;
+    }
+
+    // Whether an update from the host is a change to show rather than the
+    // echo of a save
+    function receive(next) {
+      if (awaitingEcho) {
+        awaitingEcho = false;
+        return false;
+      }
+      text = next;
+      return true;
+    }
+
+    return {
+      save,
+      receive,
+      text: () => text,
+    };
   }
 
   // ─── Public API ─────────────────────────────────────────────
@@ -297,17 +2936,84 @@
     IMAGE_PADDING,
     MAX_NODE_WIDTH,
     LINE_HEIGHT_RATIO,
+    HISTORY_LIMIT,
+    HISTORY_COALESCE_MS,
+    LAYOUT_MODES,
+    THEMES,
+    DEFAULT_THEME,
+    NODE_SHAPES,
+    MIN_STYLE_FONT_SIZE,
+    MAX_STYLE_FONT_SIZE,
+    NODE_ICONS,
     // Functions
     generateId,
     parseMarkdown,
     serializeToMarkdown,
+    validateMarkdown,
+    normalizeMarkdown,
+    treeToMermaid,
+    mermaidToTree,
+    treeToPlantUml,
+    plantUmlToTree,
+    parseInlineMarkdown,
+    stripInlineMarkdown,
+    getNodeLinks,
+    parseLinkTarget,
+    isTask,
+    getTaskProgress,
+    getNodeDecorations,
+    setNodeMarkers,
+    setNodeText,
+    getNodeEditText,
+    hasTag,
+    collectTags,
+    getBadgeParts,
+    progressDashArray,
+    findNodeByAnchor,
     measureTextWidth,
+    wrapRuns,
     wrapText,
     getFontSize,
     getNodeHeight,
+    getNodeFontSize,
     layoutTree,
     computeSubtreeHeight,
     positionNodes,
-    preserveCollapsedState,
+    splitBranches,
+    positionBalanced,
+    positionLayout,
+    computeSubtreeWidth,
+    getConnectionPath,
+    getCollapseIndicatorPosition,
+    getDocumentSetting,
+    setDocumentSetting,
+    reconcileTree,
+    createHistory,
+    createDocumentSync,
+    getSelectionRoots,
+    groupNodes,
+    serializeSubtrees,
+    parseOutlineText,
+    parseXml,
+    escapeXml,
+    resolveTheme,
+    selectThemeName,
+    withAlpha,
+    getBranchColor,
+    getNodeColors,
+    getNodeShape,
+    getNodeFont,
+    getRunAttributes,
+    getLineRuns,
+    renderSvg,
+    treeToOpml,
+    opmlToTree,
+    freemindToTree,
+    treeToFreemind,
+    xmindJsonToTrees,
+    xmindXmlToTrees,
+    getNodeNote,
+    setNodeNote,
+    setNodeStyle,
   };
 });
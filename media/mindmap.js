@@ -12,22 +12,39 @@
     MAX_NODE_WIDTH, LINE_HEIGHT_RATIO,
     generateId, parseMarkdown, serializeToMarkdown,
     measureTextWidth, wrapText, getFontSize, getNodeHeight,
-    layoutTree, computeSubtreeHeight, positionNodes,
-    preserveCollapsedState,
+    MIN_STYLE_FONT_SIZE, MAX_STYLE_FONT_SIZE,
+    LAYOUT_MODES, layoutTree, computeSubtreeHeight, positionLayout,
+    getConnectionPath, getCollapseIndicatorPosition,
+    getDocumentSetting, setDocumentSetting,
+    reconcileTree, createHistory, createDocumentSync, getSelectionRoots, groupNodes,
+    serializeSubtrees, parseOutlineText, getNodeNote, setNodeNote, setNodeStyle,
+    THEMES, DEFAULT_THEME, resolveTheme, selectThemeName,
+    getBranchColor, getNodeColors, getNodeShape, getNodeFont,
+    getRunAttributes, getLineRuns, stripInlineMarkdown,
+    parseLinkTarget, findNodeByAnchor,
+    isTask, getNodeDecorations, progressDashArray,
+    NODE_ICONS, setNodeMarkers, setNodeText, getNodeEditText, hasTag, collectTags, getBadgeParts,
   } = MindmapCore;
 
   // ─── Constants (UI-only) ────────────────────────────────────
   const MIN_ZOOM = 0.2;
   const MAX_ZOOM = 3.0;
   const ZOOM_STEP = 0.1;
-  const BRANCH_COLORS = [
-    '#4fc3f7', '#81c784', '#ffb74d', '#e57373',
-    '#ba68c8', '#4dd0e1', '#aed581', '#ff8a65',
-  ];
 
   // ─── State ───────────────────────────────────────────────────
   let root = null;
-  let selectedNodeId = null;
+  let selectedNodeId = null; // primary (focused) node
+  const selectedNodeIds = new Set(); // whole selection, contains the primary
+  let bandStartX = 0;
+  let bandStartY = 0;
+  let bandEl = null;         // rubber-band selection rectangle
+  let renderedNodes = [];    // layout nodes of the last render
+  let layoutMode = 'right';  // one of LAYOUT_MODES
+  let documentTheme = '';    // theme named in the document; '' follows the settings
+  let themeSetting = 'auto';
+  let customThemes = {};
+  let theme = DEFAULT_THEME;
+  let tagFilter = '';        // tag the map is filtered by; '' shows all
   let zoom = 1;
   let panX = 40;
   let panY = 0;
@@ -43,10 +60,11 @@
   let dragGhostEl = null;    // ドラッグゴーストHTML要素
   let isEditing = false;
   let isLocked = false;
-  let suppressNextUpdate = false;
   let viewMode = 'split'; // 'split' | 'preview'
   let editorUpdateFromMindmap = false;
   let assetsBaseUri = '';
+  const undoHistory = createHistory();
+  const documentSync = createDocumentSync();
   const imageUriCache = {}; // relativePath -> webview URI
 
   // ─── DOM refs ────────────────────────────────────────────────
@@ -61,6 +79,16 @@
   const divider = document.getElementById('divider');
   const btnSplit = document.getElementById('btn-split');
   const btnPreview = document.getElementById('btn-preview');
+  const notesPanel = document.getElementById('notes-panel');
+  const notesEditor = document.getElementById('notes-editor');
+  const notesTitle = document.getElementById('notes-title');
+  const btnNotes = document.getElementById('btn-notes');
+  const btnAddChild = document.getElementById('btn-add-child');
+  const btnAddSibling = document.getElementById('btn-add-sibling');
+  const btnGroup = document.getElementById('btn-group');
+  const layoutSelect = document.getElementById('layout-select');
+  const themeSelect = document.getElementById('theme-select');
+  const tagFilterSelect = document.getElementById('tag-filter');
 
   // Search/Replace elements
   const searchBar = document.getElementById('search-bar');
@@ -111,6 +139,18 @@
   });
 
   // ─── Markdown Editor Sync ──────────────────────────────────
+  // Replace the tree with a re-parsed one, keeping node ids and selection
+  function adoptTree(newRoot) {
+    const selected = root ? reconcileTree(root, newRoot, selectedNodeId) : null;
+    root = newRoot;
+    selectedNodeId = selected || root.id;
+    const layout = getDocumentSetting(root, 'layout');
+    layoutMode = LAYOUT_MODES.includes(layout) ? layout : 'right';
+    layoutSelect.value = layoutMode;
+    documentTheme = getDocumentSetting(root, 'theme') || '';
+    updateTheme();
+  }
+
   let editorDebounceTimer = null;
 
   markdownEditor.addEventListener('input', () => {
@@ -118,18 +158,11 @@
     clearTimeout(editorDebounceTimer);
     editorDebounceTimer = setTimeout(() => {
       const text = markdownEditor.value;
-      const newRoot = parseMarkdown(text);
-      if (root) {
-        preserveCollapsedState(root, newRoot);
-      }
-      root = newRoot;
-      if (!selectedNodeId) {
-        selectedNodeId = root.id;
-      }
+      const selectionBefore = selectionPath();
+      adoptTree(parseMarkdown(text));
       render();
       // Save to document
-      suppressNextUpdate = true;
-      vscode.postMessage({ type: 'save', text: text });
+      commitDocument(text, 'Edit Markdown', selectionBefore, 'markdown');
     }, 300);
   });
 
@@ -351,6 +384,110 @@
     }
   });
 
+  // ─── Notes Panel ────────────────────────────────────────────────
+  let notesEnabled = true;
+  let notesNodeId = null;
+  let notesDebounceTimer = null;
+
+  function updateNotesPanel() {
+    const node = root && selectedNodeId ? findNode(root, selectedNodeId) : null;
+    if (!notesEnabled || !node) {
+      notesPanel.style.display = 'none';
+      notesNodeId = null;
+      return;
+    }
+    notesPanel.style.display = '';
+    notesEditor.readOnly = isLocked;
+    notesTitle.textContent = stripInlineMarkdown(node.text);
+    // Don't overwrite what the user is typing
+    if (node.id === notesNodeId && document.activeElement === notesEditor) return;
+    notesNodeId = node.id;
+    notesEditor.value = getNodeNote(node);
+  }
+
+  function commitNote() {
+    clearTimeout(notesDebounceTimer);
+    if (isLocked || !root || !notesNodeId) return;
+    const node = findNode(root, notesNodeId);
+    if (!node || getNodeNote(node) === notesEditor.value.replace(/\s+$/, '')) return;
+    setNodeNote(node, notesEditor.value);
+    saveAndRender('Edit Note', selectionPath(node.id), `note:${node.id}`);
+  }
+
+  function focusNoteEditor() {
+    if (!selectedNodeId) return;
+    notesEnabled = true;
+    btnNotes.classList.add('active');
+    notesPanel.classList.remove('collapsed');
+    updateNotesPanel();
+    notesEditor.focus();
+  }
+
+  notesEditor.addEventListener('input', () => {
+    clearTimeout(notesDebounceTimer);
+    notesDebounceTimer = setTimeout(commitNote, 500);
+  });
+  notesEditor.addEventListener('blur', commitNote);
+  notesEditor.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      commitNote();
+      notesEditor.blur();
+    }
+  });
+
+  document.getElementById('notes-toggle').addEventListener('click', () => {
+    notesPanel.classList.toggle('collapsed');
+  });
+
+  btnNotes.addEventListener('click', () => {
+    notesEnabled = !notesEnabled;
+    btnNotes.classList.toggle('active', notesEnabled);
+    updateNotesPanel();
+  });
+
+  // ─── Theme ────────────────────────────────────────────────────
+  // The document's theme wins over the user's setting; with neither, the
+  // built-in theme for the VS Code color theme kind is used, on the
+  // editor's own background and text colors.
+  function themeKind() {
+    const classes = document.body.classList;
+    if (classes.contains('vscode-high-contrast-light')) return 'high-contrast-light';
+    if (classes.contains('vscode-high-contrast')) return 'high-contrast';
+    if (classes.contains('vscode-light')) return 'light';
+    return 'dark';
+  }
+
+  function cssVariable(name) {
+    return getComputedStyle(document.body).getPropertyValue(name).trim();
+  }
+
+  function updateTheme() {
+    const kind = themeKind();
+    const name = selectThemeName([documentTheme, themeSetting], kind, customThemes);
+    theme = resolveTheme(name, customThemes);
+    if (name === kind && !Object.prototype.hasOwnProperty.call(customThemes, name)) {
+      theme.background = cssVariable('--vscode-editor-background') || theme.background;
+      theme.foreground = cssVariable('--vscode-editor-foreground') || theme.foreground;
+    }
+    container.style.backgroundColor = theme.background;
+    themeSelect.value = resolveTheme(documentTheme, customThemes) ? documentTheme : '';
+  }
+
+  // Built-in themes first, then the custom ones from the settings
+  function populateThemeSelect() {
+    while (themeSelect.options.length > 1) {
+      themeSelect.remove(1);
+    }
+    const names = Object.keys(THEMES).concat(Object.keys(customThemes).filter((name) => !THEMES[name]));
+    for (const name of names) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name.split('-').map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+      themeSelect.appendChild(option);
+    }
+  }
+
   // ─── Rendering ────────────────────────────────────────────────
   function flattenLayout(layoutNode, list) {
     list = list || [];
@@ -361,16 +498,42 @@
     return list;
   }
 
+  function layoutMap(tree = root) {
+    const layoutRoot = layoutTree(tree, 0, 0);
+    positionLayout(layoutRoot, layoutMode);
+    return layoutRoot;
+  }
+
+  function drawMap(g, allNodes) {
+    // Draw connections first (below nodes)
+    for (const node of allNodes) {
+      for (const child of node.children) {
+        drawConnection(g, node, child);
+      }
+    }
+
+    // Draw nodes
+    for (const node of allNodes) {
+      drawNode(g, node);
+    }
+  }
+
   function render() {
     if (!root) return;
 
-    const layoutRoot = layoutTree(root, 0, 0);
-    positionNodes(layoutRoot, 0, 0);
+    const layoutRoot = layoutMap();
     const allNodes = flattenLayout(layoutRoot);
+    renderedNodes = allNodes;
+    syncSelection();
 
     // Update node count
     const totalCount = countNodes(root);
-    nodeCountEl.textContent = `${totalCount} nodes`;
+    nodeCountEl.textContent = selectedNodeIds.size > 1
+      ? `${totalCount} nodes · ${selectedNodeIds.size} selected`
+      : `${totalCount} nodes`;
+    updateNotesPanel();
+    updateSelectionControls();
+    updateTagFilter();
 
     // Clear SVG
     while (svg.firstChild) {
@@ -381,40 +544,38 @@
     const g = createSvgElement('g');
     g.setAttribute('transform', `translate(${panX},${panY}) scale(${zoom})`);
     svg.appendChild(g);
-
-    // Draw connections first (below nodes)
-    for (const node of allNodes) {
-      for (const child of node.children) {
-        drawConnection(g, node, child);
-      }
-    }
-
-    // Draw nodes
-    for (const node of allNodes) {
-      drawNode(g, node);
-    }
+    drawMap(g, allNodes);
 
     // Draw drop indicator for before/after
     if (isDragging && dropTargetId && (dropPosition === 'before' || dropPosition === 'after')) {
       const targetLayoutNode = allNodes.find(n => n.id === dropTargetId);
       if (targetLayoutNode) {
-        const indicatorY = dropPosition === 'before'
-          ? targetLayoutNode.y - NODE_GAP_Y / 2
-          : targetLayoutNode.y + targetLayoutNode.height + NODE_GAP_Y / 2;
-        const x1 = targetLayoutNode.x;
-        const x2 = targetLayoutNode.x + targetLayoutNode.width;
+        let x1, y1, x2, y2;
+        if (siblingsInRow(targetLayoutNode)) {
+          x1 = x2 = dropPosition === 'before'
+            ? targetLayoutNode.x - NODE_GAP_Y / 2
+            : targetLayoutNode.x + targetLayoutNode.width + NODE_GAP_Y / 2;
+          y1 = targetLayoutNode.y;
+          y2 = targetLayoutNode.y + targetLayoutNode.height;
+        } else {
+          y1 = y2 = dropPosition === 'before'
+            ? targetLayoutNode.y - NODE_GAP_Y / 2
+            : targetLayoutNode.y + targetLayoutNode.height + NODE_GAP_Y / 2;
+          x1 = targetLayoutNode.x;
+          x2 = targetLayoutNode.x + targetLayoutNode.width;
+        }
 
         const line = createSvgElement('line');
         line.setAttribute('x1', String(x1));
-        line.setAttribute('y1', String(indicatorY));
+        line.setAttribute('y1', String(y1));
         line.setAttribute('x2', String(x2));
-        line.setAttribute('y2', String(indicatorY));
+        line.setAttribute('y2', String(y2));
         line.setAttribute('class', 'mm-drop-indicator-line');
         g.appendChild(line);
 
         const dot = createSvgElement('circle');
         dot.setAttribute('cx', String(x1));
-        dot.setAttribute('cy', String(indicatorY));
+        dot.setAttribute('cy', String(y1));
         dot.setAttribute('r', '4');
         dot.setAttribute('class', 'mm-drop-indicator-dot');
         g.appendChild(dot);
@@ -423,69 +584,230 @@
   }
 
   function drawConnection(parent, fromNode, toNode) {
-    const x1 = fromNode.x + fromNode.width;
-    const y1 = fromNode.y + fromNode.height / 2;
-    const x2 = toNode.x;
-    const y2 = toNode.y + toNode.height / 2;
-
-    const cpx = (x1 + x2) / 2;
-
     const path = createSvgElement('path');
-    path.setAttribute('d', `M${x1},${y1} C${cpx},${y1} ${cpx},${y2} ${x2},${y2}`);
+    path.setAttribute('d', getConnectionPath(fromNode, toNode, layoutMode));
     path.setAttribute('class', 'mm-connection');
-    path.setAttribute('stroke', getBranchColor(toNode.branchIndex));
+    path.setAttribute('stroke', getBranchColor(theme, toNode.branchIndex));
+    path.setAttribute('opacity', String(theme.connectionOpacity));
+    if (tagFilter && !hasTag(toNode, tagFilter)) {
+      path.classList.add('mm-dimmed');
+    }
     parent.appendChild(path);
   }
 
+  // A plain run is a text node; a formatted one a tspan carrying its styling
+  function createTextRun(run) {
+    const attributes = getRunAttributes(run);
+    const names = Object.keys(attributes);
+    if (names.length === 0) {
+      return document.createTextNode(run.text);
+    }
+    const tspan = createSvgElement('tspan');
+    for (const name of names) {
+      tspan.setAttribute(name, attributes[name]);
+    }
+    if (run.link) {
+      tspan.setAttribute('class', 'mm-link');
+      tspan.setAttribute('data-link', run.link);
+      if (run.wiki) tspan.setAttribute('data-wiki', 'true');
+    }
+    tspan.textContent = run.text;
+    return tspan;
+  }
+
   function drawNode(parent, node) {
     const group = createSvgElement('g');
-    group.setAttribute('class', `mm-node depth-${Math.min(node.depth, 2)}${node.id === selectedNodeId ? ' selected' : ''}`);
+    group.setAttribute('class', `mm-node depth-${Math.min(node.depth, 2)}${selectedNodeIds.has(node.id) ? ' selected' : ''}`);
     group.setAttribute('data-id', node.id);
     group.setAttribute('transform', `translate(${node.x},${node.y})`);
 
-    const color = getBranchColor(node.depth === 0 ? 0 : node.branchIndex);
-    const opacity = Math.max(0.4, 1 - node.depth * 0.15);
-
-    // Rectangle
-    const rect = createSvgElement('rect');
-    rect.setAttribute('width', String(node.width));
-    rect.setAttribute('height', String(node.height));
-    rect.setAttribute('fill', node.depth === 0 ? color : adjustColor(color, 0.2));
-    rect.setAttribute('stroke', color);
-    rect.setAttribute('opacity', String(opacity));
-    group.appendChild(rect);
+    const colors = getNodeColors(node, theme);
+    const color = colors.stroke;
+
+    // Outline shape; an underline leaves the box empty, so a transparent
+    // rectangle keeps the whole node clickable
+    const shape = getNodeShape(node);
+    if (shape.tag !== 'rect') {
+      const hitArea = createSvgElement('rect');
+      hitArea.setAttribute('width', String(node.width));
+      hitArea.setAttribute('height', String(node.height));
+      hitArea.setAttribute('fill', 'transparent');
+      hitArea.setAttribute('class', 'mm-node-hit');
+      group.appendChild(hitArea);
+    }
+    const outline = createSvgElement(shape.tag);
+    for (const name of Object.keys(shape.attributes)) {
+      outline.setAttribute(name, String(shape.attributes[name]));
+    }
+    outline.setAttribute('fill', colors.fill);
+    outline.setAttribute('stroke', color);
+    outline.setAttribute('opacity', String(colors.opacity));
+    outline.setAttribute('class', 'mm-node-shape');
+    group.appendChild(outline);
 
     // Text (multi-line with tspan)
-    const fontSize = getFontSize(node.depth);
-    const lineHeight = fontSize * LINE_HEIGHT_RATIO;
-    const textLines = node.textLines || [node.text];
+    const font = getNodeFont(node);
+    const lineHeight = font['font-size'] * LINE_HEIGHT_RATIO;
+    const textLines = getLineRuns(node);
+    const textTop = node.textTop || 0;
     const textBlockHeight = textLines.length * lineHeight + NODE_PADDING_Y * 2;
+    const decorations = getNodeDecorations(node);
     const text = createSvgElement('text');
-    text.setAttribute('x', String(node.width / 2));
+    text.setAttribute('x', String(decorations.textX));
     text.setAttribute('text-anchor', 'middle');
-    text.setAttribute('font-size', String(fontSize));
-    text.setAttribute('fill', node.depth === 0 ? '#1e1e1e' : 'var(--vscode-editor-foreground, #cccccc)');
-    const startY = NODE_PADDING_Y + lineHeight / 2;
+    for (const name of Object.keys(font)) {
+      text.setAttribute(name, String(font[name]));
+    }
+    text.setAttribute('fill', colors.text);
+    const startY = textTop + NODE_PADDING_Y + lineHeight / 2;
     for (let i = 0; i < textLines.length; i++) {
       const tspan = createSvgElement('tspan');
-      tspan.setAttribute('x', String(node.width / 2));
+      tspan.setAttribute('x', String(decorations.textX));
       tspan.setAttribute('y', String(startY + i * lineHeight));
       tspan.setAttribute('dominant-baseline', 'central');
-      tspan.textContent = textLines[i];
+      for (const run of textLines[i]) {
+        tspan.appendChild(createTextRun(run));
+      }
       text.appendChild(tspan);
     }
     group.appendChild(text);
 
+    // Task checkbox: clicking it toggles the task
+    const checkbox = decorations.checkbox;
+    if (checkbox) {
+      const checkboxGroup = createSvgElement('g');
+      checkboxGroup.setAttribute('class', `mm-task-checkbox${node.done ? ' done' : ''}`);
+      checkboxGroup.setAttribute('transform', `translate(${checkbox.x},${checkbox.y})`);
+      const box = createSvgElement('rect');
+      box.setAttribute('width', String(checkbox.size));
+      box.setAttribute('height', String(checkbox.size));
+      box.setAttribute('rx', '2');
+      box.setAttribute('fill', node.done ? colors.text : 'transparent');
+      box.setAttribute('stroke', colors.text);
+      box.setAttribute('stroke-width', '1.5');
+      checkboxGroup.appendChild(box);
+      if (node.done) {
+        const check = createSvgElement('path');
+        check.setAttribute('d', 'M3,6.5 L5.5,9 L9.5,3.5');
+        check.setAttribute('fill', 'none');
+        check.setAttribute('stroke', theme.background);
+        check.setAttribute('stroke-width', '1.5');
+        checkboxGroup.appendChild(check);
+      }
+      checkboxGroup.addEventListener('mousedown', (e) => e.stopPropagation());
+      checkboxGroup.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleTask([node.id]);
+      });
+      group.appendChild(checkboxGroup);
+    }
+
+    // Priority, icon and tag badges; clicking a tag filters the map by it
+    for (const badge of decorations.badges) {
+      const badgeGroup = createSvgElement('g');
+      badgeGroup.setAttribute('class', `mm-badge mm-badge-${badge.kind}`);
+      for (const part of getBadgeParts(badge, colors)) {
+        const el = createSvgElement(part.tag);
+        for (const name of Object.keys(part.attributes)) {
+          el.setAttribute(name, String(part.attributes[name]));
+        }
+        if (part.text !== undefined) el.textContent = part.text;
+        badgeGroup.appendChild(el);
+      }
+      if (badge.kind === 'tag') {
+        const filtered = tagFilter.toLowerCase() === badge.name.toLowerCase();
+        const tooltip = createSvgElement('title');
+        tooltip.textContent = filtered ? 'Show all nodes' : `Show only #${badge.name}`;
+        badgeGroup.appendChild(tooltip);
+        badgeGroup.addEventListener('mousedown', (e) => e.stopPropagation());
+        badgeGroup.addEventListener('click', (e) => {
+          e.stopPropagation();
+          setTagFilter(filtered ? '' : badge.name);
+        });
+      }
+      group.appendChild(badgeGroup);
+    }
+
+    // Progress ring and count of the tasks below the node
+    const progress = decorations.progress;
+    if (progress) {
+      const progressGroup = createSvgElement('g');
+      progressGroup.setAttribute('class', 'mm-task-progress');
+      const track = createSvgElement('circle');
+      track.setAttribute('cx', String(progress.cx));
+      track.setAttribute('cy', String(progress.cy));
+      track.setAttribute('r', String(progress.r));
+      track.setAttribute('fill', 'none');
+      track.setAttribute('stroke', colors.text);
+      track.setAttribute('stroke-opacity', '0.25');
+      track.setAttribute('stroke-width', '2');
+      progressGroup.appendChild(track);
+      const ring = createSvgElement('circle');
+      ring.setAttribute('cx', String(progress.cx));
+      ring.setAttribute('cy', String(progress.cy));
+      ring.setAttribute('r', String(progress.r));
+      ring.setAttribute('fill', 'none');
+      ring.setAttribute('stroke', colors.text);
+      ring.setAttribute('stroke-width', '2');
+      ring.setAttribute('stroke-dasharray', progressDashArray(progress.r, progress.fraction));
+      ring.setAttribute('transform', `rotate(-90 ${progress.cx} ${progress.cy})`);
+      progressGroup.appendChild(ring);
+      const label = createSvgElement('text');
+      label.setAttribute('x', String(progress.labelX));
+      label.setAttribute('y', String(progress.cy));
+      label.setAttribute('text-anchor', 'end');
+      label.setAttribute('dominant-baseline', 'central');
+      label.setAttribute('font-size', String(progress.fontSize));
+      label.setAttribute('fill', colors.text);
+      label.textContent = progress.label;
+      progressGroup.appendChild(label);
+      group.appendChild(progressGroup);
+    }
+
+    // Note glyph
+    if (node.hasNote) {
+      const glyph = createSvgElement('text');
+      glyph.setAttribute('x', '5');
+      glyph.setAttribute('y', '10');
+      glyph.setAttribute('font-size', '9');
+      glyph.setAttribute('class', 'mm-note-glyph');
+      glyph.setAttribute('fill', node.depth === 0 ? colors.text : color);
+      glyph.textContent = '\u270E';
+      group.appendChild(glyph);
+    }
+
+    // Link glyph: opens the first link
+    if (node.links.length > 0) {
+      const linkGlyph = createSvgElement('text');
+      linkGlyph.setAttribute('x', String(node.width - 5));
+      linkGlyph.setAttribute('y', '10');
+      linkGlyph.setAttribute('font-size', '9');
+      linkGlyph.setAttribute('text-anchor', 'end');
+      linkGlyph.setAttribute('class', 'mm-link-glyph');
+      linkGlyph.setAttribute('fill', node.depth === 0 ? colors.text : color);
+      linkGlyph.textContent = '\u2197';
+      const tooltip = createSvgElement('title');
+      tooltip.textContent = node.links[0].target;
+      linkGlyph.appendChild(tooltip);
+      linkGlyph.addEventListener('mousedown', (e) => e.stopPropagation());
+      linkGlyph.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openLink(node.links[0]);
+      });
+      group.appendChild(linkGlyph);
+    }
+
     // Collapse indicator
     if (node.hasChildren) {
       const collapsed = node.collapsed;
       const indicatorGroup = createSvgElement('g');
       indicatorGroup.setAttribute('class', 'mm-collapse-indicator');
-      indicatorGroup.setAttribute('transform', `translate(${node.width - 2},${node.height / 2})`);
+      const indicatorPos = getCollapseIndicatorPosition(node, layoutMode);
+      indicatorGroup.setAttribute('transform', `translate(${indicatorPos.x},${indicatorPos.y})`);
 
       const circle = createSvgElement('circle');
       circle.setAttribute('r', '8');
-      circle.setAttribute('fill', 'var(--vscode-editor-background, #1e1e1e)');
+      circle.setAttribute('fill', theme.background);
       circle.setAttribute('stroke', color);
       circle.setAttribute('stroke-width', '1.5');
       indicatorGroup.appendChild(circle);
@@ -511,11 +833,12 @@
       const imgW = node.imageWidth || IMAGE_THUMBNAIL_WIDTH;
       const imgH = node.imageHeight || IMAGE_THUMBNAIL_HEIGHT;
       const imgX = (node.width - imgW) / 2;
-      const imgY = textBlockHeight + IMAGE_PADDING / 2;
+      const imgY = textTop + textBlockHeight + IMAGE_PADDING / 2;
       const cachedUri = imageUriCache[node.image];
       if (cachedUri) {
         const img = createSvgElement('image');
         img.setAttribute('href', cachedUri);
+        img.setAttribute('data-src', node.image);
         img.setAttribute('x', String(imgX));
         img.setAttribute('y', String(imgY));
         img.setAttribute('width', String(imgW));
@@ -551,27 +874,32 @@
       group.classList.add('mm-drop-target');
     }
 
+    if (tagFilter) {
+      group.classList.add(hasTag(node, tagFilter) ? 'mm-tag-match' : 'mm-dimmed');
+    }
+
     // Event listeners
     group.addEventListener('mousedown', (e) => onNodeMouseDown(e, node));
     group.addEventListener('click', (e) => {
       e.stopPropagation();
-      selectNode(node.id);
+      // Ctrl/Cmd+click follows the clicked link, or the node's first link
+      if ((e.ctrlKey || e.metaKey) && !e.shiftKey && node.links.length > 0) {
+        const linkEl = e.target.closest('.mm-link');
+        openLink(linkEl
+          ? { target: linkEl.getAttribute('data-link'), wiki: linkEl.hasAttribute('data-wiki') }
+          : node.links[0]);
+        return;
+      }
+      if (e.shiftKey || e.ctrlKey || e.metaKey) {
+        toggleSelection(node.id);
+      } else {
+        selectNode(node.id);
+      }
     });
 
     parent.appendChild(group);
   }
 
-  function getBranchColor(index) {
-    return BRANCH_COLORS[index % BRANCH_COLORS.length];
-  }
-
-  function adjustColor(hex, alpha) {
-    const r = parseInt(hex.slice(1, 3), 16);
-    const g = parseInt(hex.slice(3, 5), 16);
-    const b = parseInt(hex.slice(5, 7), 16);
-    return `rgba(${r},${g},${b},${alpha})`;
-  }
-
   function createSvgElement(tag) {
     return document.createElementNS('http://www.w3.org/2000/svg', tag);
   }
@@ -603,51 +931,199 @@
     return null;
   }
 
+  // Child-index path of a node; history stores selections this way because
+  // ids of deleted nodes don't survive re-parsing the restored text.
+  function selectionPath(id) {
+    const targetId = id || selectedNodeId;
+    if (!root || !targetId) return null;
+    function search(node, path) {
+      if (node.id === targetId) return path;
+      for (let i = 0; i < node.children.length; i++) {
+        const found = search(node.children[i], path.concat(i));
+        if (found) return found;
+      }
+      return null;
+    }
+    return search(root, []);
+  }
+
+  function nodeAtPath(path) {
+    let node = root;
+    for (const index of path) {
+      node = node && node.children[index];
+    }
+    return node || null;
+  }
+
   function selectNode(id) {
-    const prev = selectedNodeId;
     selectedNodeId = id;
+    selectedNodeIds.clear();
+    selectedNodeIds.add(id);
     // Update visual selection without full re-render to preserve DOM for dblclick
-    if (prev) {
-      const prevEl = svg.querySelector(`g.mm-node[data-id="${prev}"]`);
-      if (prevEl) prevEl.classList.remove('selected');
+    updateSelectionClasses();
+  }
+
+  // ─── Multi-Selection ──────────────────────────────────────────
+  // Keep selectedNodeIds consistent after code that only moves the primary
+  // selection: moving it outside the selection collapses the selection.
+  function syncSelection() {
+    if (!selectedNodeId) {
+      selectedNodeIds.clear();
+      return;
+    }
+    if (!selectedNodeIds.has(selectedNodeId)) {
+      selectedNodeIds.clear();
+      selectedNodeIds.add(selectedNodeId);
+    }
+    for (const id of Array.from(selectedNodeIds)) {
+      if (!findNode(root, id)) selectedNodeIds.delete(id);
+    }
+  }
+
+  function toggleSelection(id) {
+    syncSelection();
+    if (selectedNodeIds.has(id)) {
+      selectedNodeIds.delete(id);
+      if (selectedNodeId === id) {
+        const next = selectedNodeIds.values().next();
+        selectedNodeId = next.done ? null : next.value;
+      }
+    } else {
+      selectedNodeIds.add(id);
+      selectedNodeId = id;
+    }
+    updateSelectionClasses();
+  }
+
+  function updateSelectionClasses() {
+    svg.querySelectorAll('g.mm-node').forEach((el) => {
+      el.classList.toggle('selected', selectedNodeIds.has(el.getAttribute('data-id')));
+    });
+    const totalCount = root ? countNodes(root) : 0;
+    nodeCountEl.textContent = selectedNodeIds.size > 1
+      ? `${totalCount} nodes · ${selectedNodeIds.size} selected`
+      : `${totalCount} nodes`;
+    updateNotesPanel();
+    updateSelectionControls();
+  }
+
+  // Selected subtrees that can be moved or deleted (never the root)
+  function selectedSubtrees() {
+    if (!root) return [];
+    const ids = new Set(selectedNodeIds);
+    ids.delete(root.id);
+    return getSelectionRoots(root, ids);
+  }
+
+  function updateSelectionControls() {
+    const multi = selectedNodeIds.size > 1;
+    btnAddChild.disabled = multi;
+    btnAddSibling.disabled = multi;
+    btnGroup.disabled = selectedSubtrees().length === 0;
+  }
+
+  function groupSelection() {
+    if (isLocked || !root || !selectedNodeId) return;
+    const selectionBefore = selectionPath();
+    const ids = new Set(selectedNodeIds);
+    ids.delete(root.id);
+    const group = groupNodes(root, ids);
+    if (!group) return;
+    selectedNodeId = group.id;
+    saveAndRender('Group', selectionBefore);
+    startEditing({ id: group.id });
+  }
+
+  // ─── Rubber-Band Selection ────────────────────────────────────
+  function startBand(e) {
+    const containerRect = container.getBoundingClientRect();
+    bandStartX = e.clientX - containerRect.left;
+    bandStartY = e.clientY - containerRect.top;
+    bandEl = document.createElement('div');
+    bandEl.className = 'mm-selection-band';
+    container.appendChild(bandEl);
+    updateBand(e);
+  }
+
+  function bandRect(e) {
+    const containerRect = container.getBoundingClientRect();
+    const x = e.clientX - containerRect.left;
+    const y = e.clientY - containerRect.top;
+    return {
+      left: Math.min(x, bandStartX),
+      top: Math.min(y, bandStartY),
+      width: Math.abs(x - bandStartX),
+      height: Math.abs(y - bandStartY),
+    };
+  }
+
+  function updateBand(e) {
+    const r = bandRect(e);
+    bandEl.style.left = `${r.left}px`;
+    bandEl.style.top = `${r.top}px`;
+    bandEl.style.width = `${r.width}px`;
+    bandEl.style.height = `${r.height}px`;
+  }
+
+  function finishBand(e) {
+    const r = bandRect(e);
+    bandEl.remove();
+    bandEl = null;
+    // Band in canvas coordinates
+    const x1 = (r.left - panX) / zoom;
+    const y1 = (r.top - panY) / zoom;
+    const x2 = (r.left + r.width - panX) / zoom;
+    const y2 = (r.top + r.height - panY) / zoom;
+    syncSelection();
+    for (const node of renderedNodes) {
+      if (node.x < x2 && node.x + node.width > x1 && node.y < y2 && node.y + node.height > y1) {
+        selectedNodeIds.add(node.id);
+        if (!selectedNodeId) selectedNodeId = node.id;
+      }
     }
-    const newEl = svg.querySelector(`g.mm-node[data-id="${id}"]`);
-    if (newEl) newEl.classList.add('selected');
+    render();
   }
 
   function addChild() {
-    if (isLocked || !selectedNodeId || !root) return;
+    if (isLocked || !selectedNodeId || !root || selectedNodeIds.size > 1) return;
     const parent = findNode(root, selectedNodeId);
     if (!parent) return;
+    const selectionBefore = selectionPath();
     parent.collapsed = false;
     const newNode = { id: generateId(), text: 'New Topic', children: [] };
     parent.children.push(newNode);
     selectedNodeId = newNode.id;
-    saveAndRender();
+    saveAndRender('Add Child', selectionBefore);
     startEditing({ id: newNode.id, text: newNode.text });
   }
 
   function addSibling() {
-    if (isLocked || !selectedNodeId || !root) return;
+    if (isLocked || !selectedNodeId || !root || selectedNodeIds.size > 1) return;
     if (selectedNodeId === root.id) return; // Can't add sibling to root
     const parent = findParent(root, selectedNodeId);
     if (!parent) return;
+    const selectionBefore = selectionPath();
     const index = parent.children.findIndex((c) => c.id === selectedNodeId);
     const newNode = { id: generateId(), text: 'New Topic', children: [] };
     parent.children.splice(index + 1, 0, newNode);
     selectedNodeId = newNode.id;
-    saveAndRender();
+    saveAndRender('Add Sibling', selectionBefore);
     startEditing({ id: newNode.id, text: newNode.text });
   }
 
-  function deleteNode() {
+  function deleteNode(label) {
     if (isLocked || !selectedNodeId || !root) return;
-    if (selectedNodeId === root.id) return; // Can't delete root
-    const parent = findParent(root, selectedNodeId);
+    syncSelection();
+    const targets = selectedSubtrees(); // Can't delete root
+    if (targets.length === 0) return;
+    const parent = findParent(root, targets[0].id);
     if (!parent) return;
-    const index = parent.children.findIndex((c) => c.id === selectedNodeId);
-    if (index === -1) return;
-    parent.children.splice(index, 1);
+    const index = parent.children.indexOf(targets[0]);
+    const selectionBefore = selectionPath();
+    for (const target of targets) {
+      const from = findParent(root, target.id);
+      from.children.splice(from.children.indexOf(target), 1);
+    }
 
     // Select next logical node
     if (parent.children.length > 0) {
@@ -656,57 +1132,242 @@
     } else {
       selectedNodeId = parent.id;
     }
-    saveAndRender();
+    saveAndRender(label || (targets.length > 1 ? 'Delete Nodes' : 'Delete'), selectionBefore);
   }
 
+  // Toggle one node, or the whole selection: collapse all if any selected
+  // branch is open, otherwise expand all.
   function toggleCollapse(id) {
     if (!root) return;
-    const node = findNode(root, id || selectedNodeId);
-    if (!node || node.children.length === 0) return;
-    node.collapsed = !node.collapsed;
-    render();
+    syncSelection();
+    const ids = id ? [id] : Array.from(selectedNodeIds);
+    const nodes = ids.map((nodeId) => findNode(root, nodeId))
+      .filter((node) => node && node.children.length > 0);
+    if (nodes.length === 0) return;
+    const collapse = nodes.some((node) => !node.collapsed);
+    for (const node of nodes) {
+      node.collapsed = collapse;
+    }
+    // Folding is stored in the document; a locked map only folds in view
+    if (isLocked) {
+      render();
+    } else {
+      saveAndRender(collapse ? 'Collapse' : 'Expand', selectionPath(nodes[0].id));
+    }
   }
 
-  // ─── Navigation ───────────────────────────────────────────────
-  function navigateUp() {
-    if (!selectedNodeId || !root) return;
-    if (selectedNodeId === root.id) return;
-    const parent = findParent(root, selectedNodeId);
-    if (!parent) return;
-    const index = parent.children.findIndex((c) => c.id === selectedNodeId);
-    if (index > 0) {
-      selectedNodeId = parent.children[index - 1].id;
+  // ─── Node Styles ──────────────────────────────────────────────
+  const STYLE_COLORS = [
+    '#e53935', '#fb8c00', '#fdd835', '#43a047',
+    '#1e88e5', '#8e24aa', '#6d4c41', '#757575',
+  ];
+
+  function selectedNodes() {
+    return Array.from(selectedNodeIds).map((id) => findNode(root, id)).filter(Boolean);
+  }
+
+  // Set style properties on every selected node; `changesFor` returns the
+  // changes for one node (null removes a property)
+  function styleSelection(label, changesFor) {
+    if (isLocked || !root) return;
+    syncSelection();
+    const nodes = selectedNodes();
+    if (nodes.length === 0) return;
+    for (const node of nodes) {
+      setNodeStyle(node, changesFor(node));
     }
-    render();
+    saveAndRender(label, selectionPath(nodes[0].id));
   }
 
-  function navigateDown() {
-    if (!selectedNodeId || !root) return;
-    if (selectedNodeId === root.id) return;
-    const parent = findParent(root, selectedNodeId);
-    if (!parent) return;
-    const index = parent.children.findIndex((c) => c.id === selectedNodeId);
-    if (index < parent.children.length - 1) {
-      selectedNodeId = parent.children[index + 1].id;
+  function toggleStyleFlag(flag, label) {
+    syncSelection();
+    const value = !selectedNodes().every((node) => node.style && node.style[flag]);
+    styleSelection(label, () => ({ [flag]: value }));
+  }
+
+  // Step the font size by `delta` from what the node is drawn with; 0 resets it
+  function stepFontSize(delta) {
+    styleSelection('Change Font Size', (node) => {
+      if (delta === 0) return { fontSize: null };
+      const layoutNode = layoutNodeOf(node.id);
+      const current = layoutNode ? layoutNode.fontSize : getFontSize(2);
+      return { fontSize: Math.min(MAX_STYLE_FONT_SIZE, Math.max(MIN_STYLE_FONT_SIZE, current + delta)) };
+    });
+  }
+
+  // ─── Tasks ────────────────────────────────────────────────────
+  // Toggle the given nodes, or the selection: nodes that are not tasks yet
+  // become open tasks, otherwise all are checked unless all are done
+  function toggleTask(ids) {
+    if (isLocked || !root) return;
+    syncSelection();
+    const nodes = ids ? ids.map((id) => findNode(root, id)).filter(Boolean) : selectedNodes();
+    if (nodes.length === 0) return;
+    const done = nodes.every(isTask) ? !nodes.every((node) => node.done) : false;
+    for (const node of nodes) {
+      node.done = done;
+    }
+    saveAndRender(done ? 'Check Task' : 'Uncheck Task', selectionPath(nodes[0].id));
+  }
+
+  function removeTasks() {
+    if (isLocked || !root) return;
+    syncSelection();
+    const nodes = selectedNodes().filter(isTask);
+    if (nodes.length === 0) return;
+    for (const node of nodes) {
+      delete node.done;
     }
+    saveAndRender('Remove Checkbox', selectionPath(nodes[0].id));
+  }
+
+  // ─── Markers ──────────────────────────────────────────────────
+  // Give the selection a priority, or take it away when all have it
+  function setPriority(priority) {
+    if (isLocked || !root) return;
+    syncSelection();
+    const nodes = selectedNodes();
+    if (nodes.length === 0) return;
+    const value = priority && !nodes.every((node) => node.priority === priority) ? priority : null;
+    for (const node of nodes) {
+      setNodeMarkers(node, { priority: value });
+    }
+    saveAndRender(value ? 'Set Priority' : 'Remove Priority', selectionPath(nodes[0].id));
+  }
+
+  // Add an icon to the selection, or remove it when all have it; no icon
+  // clears them all
+  function toggleIcon(icon) {
+    if (isLocked || !root) return;
+    syncSelection();
+    const nodes = selectedNodes();
+    if (nodes.length === 0) return;
+    const add = !!icon && !nodes.every((node) => (node.icons || []).includes(icon));
+    for (const node of nodes) {
+      const icons = (node.icons || []).filter((name) => icon && name !== icon);
+      setNodeMarkers(node, { icons: add ? icons.concat(icon) : icons });
+    }
+    saveAndRender(icon ? 'Toggle Icon' : 'Clear Icons', selectionPath(nodes[0].id));
+  }
+
+  // Filtering only changes the view, so it also works on a locked map
+  function setTagFilter(tag) {
+    tagFilter = tag;
     render();
   }
 
-  function navigateLeft() {
+  // Tag choices follow the tags in the map; a filter whose tag is gone ends
+  function updateTagFilter() {
+    const tags = collectTags(root);
+    if (tagFilter && !tags.some((tag) => tag.toLowerCase() === tagFilter.toLowerCase())) {
+      tagFilter = '';
+    }
+    const current = Array.from(tagFilterSelect.options).slice(1).map((option) => option.value);
+    if (current.join('\n') !== tags.join('\n')) {
+      while (tagFilterSelect.options.length > 1) {
+        tagFilterSelect.remove(1);
+      }
+      for (const tag of tags) {
+        const option = document.createElement('option');
+        option.value = tag;
+        option.textContent = `#${tag}`;
+        tagFilterSelect.appendChild(option);
+      }
+    }
+    tagFilterSelect.style.display = tags.length > 0 ? '' : 'none';
+    tagFilterSelect.value = tags.find((tag) => tag.toLowerCase() === tagFilter.toLowerCase()) || '';
+  }
+
+  // ─── Navigation ───────────────────────────────────────────────
+  // Arrow keys follow the tree as drawn: towards the parent, into the
+  // children or across siblings. The key for each move depends on the
+  // layout and, in the balanced layout, on the side of the root.
+  function layoutNodeOf(id) {
+    return renderedNodes.find((n) => n.id === id) || null;
+  }
+
+  // Siblings drawn side by side instead of stacked
+  function siblingsInRow(layoutNode) {
+    return layoutMode === 'org' || (layoutMode === 'timeline' && layoutNode.depth === 1);
+  }
+
+  function navigationMoves(layoutNode) {
+    if (layoutNode.depth === 0) {
+      if (layoutMode === 'org') return { ArrowDown: 'child' };
+      if (layoutMode === 'balanced') return { ArrowLeft: 'child:left', ArrowRight: 'child:right' };
+      return { ArrowRight: 'child' };
+    }
+    if (siblingsInRow(layoutNode)) {
+      return { ArrowUp: 'parent', ArrowDown: 'child', ArrowLeft: 'prev', ArrowRight: 'next' };
+    }
+    if (layoutNode.side === 'left') {
+      return { ArrowUp: 'prev', ArrowDown: 'next', ArrowLeft: 'child', ArrowRight: 'parent' };
+    }
+    return { ArrowUp: 'prev', ArrowDown: 'next', ArrowLeft: 'parent', ArrowRight: 'child' };
+  }
+
+  function navigate(key) {
     if (!selectedNodeId || !root) return;
-    if (selectedNodeId === root.id) return;
+    const layoutNode = layoutNodeOf(selectedNodeId);
+    const move = layoutNode && navigationMoves(layoutNode)[key];
+    if (!move) return;
+    const node = findNode(root, selectedNodeId);
     const parent = findParent(root, selectedNodeId);
-    if (parent) {
-      selectedNodeId = parent.id;
+    let target = null;
+    if (move === 'parent') {
+      target = parent;
+    } else if (move === 'prev' || move === 'next') {
+      const index = parent.children.findIndex((c) => c.id === selectedNodeId);
+      target = parent.children[index + (move === 'prev' ? -1 : 1)] || null;
+    } else if (!node.collapsed) {
+      const side = move.split(':')[1];
+      target = side
+        ? node.children.find((c) => layoutNodeOf(c.id) && layoutNodeOf(c.id).side === side)
+        : node.children[0];
+    }
+    if (target) {
+      selectedNodeId = target.id;
       render();
     }
   }
 
-  function navigateRight() {
-    if (!selectedNodeId || !root) return;
-    const node = findNode(root, selectedNodeId);
-    if (node && node.children.length > 0 && !node.collapsed) {
-      selectedNodeId = node.children[0].id;
+  // ─── Links ────────────────────────────────────────────────────
+  // Links to a node of this map are followed here; URLs and files are
+  // opened by the extension host
+  function openLink(link) {
+    const target = parseLinkTarget(link.target, link.wiki);
+    if (target.url || target.paths) {
+      vscode.postMessage({ type: 'openLink', target: link.target, wiki: link.wiki });
+    } else if (target.anchor) {
+      focusAnchor(target.anchor);
+    }
+  }
+
+  // Select the node an anchor names and scroll it to the center, unfolding
+  // the branches that hide it
+  function focusAnchor(anchor) {
+    if (!root) return;
+    const node = findNodeByAnchor(root, anchor);
+    if (!node) return;
+    let unfolded = false;
+    for (let parent = findParent(root, node.id); parent; parent = findParent(root, parent.id)) {
+      if (parent.collapsed) {
+        parent.collapsed = false;
+        unfolded = true;
+      }
+    }
+    selectedNodeId = node.id;
+    syncSelection();
+    if (unfolded && !isLocked) {
+      saveAndRender('Expand', selectionPath(node.id));
+    } else {
+      render();
+    }
+    const layoutNode = layoutNodeOf(node.id);
+    if (layoutNode) {
+      const containerRect = container.getBoundingClientRect();
+      panX = containerRect.width / 2 - (layoutNode.x + layoutNode.width / 2) * zoom;
+      panY = containerRect.height / 2 - (layoutNode.y + layoutNode.height / 2) * zoom;
       render();
     }
   }
@@ -736,7 +1397,8 @@
 
     const input = document.createElement('input');
     input.className = 'mm-inline-editor';
-    input.value = node.text;
+    const editText = getNodeEditText(node);
+    input.value = editText;
     input.style.left = `${rect.left - containerRect.left}px`;
     input.style.top = `${rect.top - containerRect.top}px`;
     input.style.width = `${Math.max(rect.width, 100)}px`;
@@ -757,9 +1419,9 @@
       isEditing = false;
       restoreSvgText();
       const newText = input.value.trim();
-      if (newText && newText !== node.text) {
-        node.text = newText;
-        saveAndRender();
+      if (newText && newText !== editText) {
+        setNodeText(node, newText);
+        saveAndRender('Edit Text', selectionPath(node.id), `text:${node.id}`);
       } else {
         render();
       }
@@ -799,6 +1461,16 @@
     return check(ancestor);
   }
 
+  // Nodes moved by the current drag: the selection if the dragged node is
+  // part of it, otherwise just the dragged node
+  function draggedNodes() {
+    if (selectedNodeIds.has(dragNodeId) && selectedNodeIds.size > 1) {
+      return selectedSubtrees();
+    }
+    const node = findNode(root, dragNodeId);
+    return node ? [node] : [];
+  }
+
   function onNodeMouseDown(e, node) {
     if (e.button !== 0 || isEditing) return;
     if (isLocked) return;
@@ -816,9 +1488,9 @@
       const dy = e.clientY - dragStartY;
       if (!isDragging && (Math.abs(dx) > 5 || Math.abs(dy) > 5)) {
         isDragging = true;
-        const dragNode = findNode(root, dragNodeId);
-        if (dragNode) {
-          createDragGhost(dragNode.text, e.clientX, e.clientY);
+        const moving = draggedNodes();
+        if (moving.length > 0) {
+          createDragGhost(moving.length > 1 ? `${moving.length} nodes` : moving[0].text, e.clientX, e.clientY);
         }
       }
       if (isDragging) {
@@ -826,7 +1498,7 @@
 
         // Find node under cursor
         const target = findNodeAtPoint(e.clientX, e.clientY);
-        if (target && target !== dragNodeId && !isDescendant(dragNodeId, target)) {
+        if (target && !draggedNodes().some((n) => isDescendant(n.id, target))) {
           dropTargetId = target;
 
           // Determine drop position based on cursor Y within target node
@@ -837,11 +1509,15 @@
             if (target === root.id) {
               dropPosition = 'child';
             } else {
+              // Along the sibling axis: vertical, or horizontal for rows
               const rect = targetEl.getBoundingClientRect();
-              const relY = (e.clientY - rect.top) / rect.height;
-              if (relY < 0.3) {
+              const targetLayoutNode = layoutNodeOf(target);
+              const rel = targetLayoutNode && siblingsInRow(targetLayoutNode)
+                ? (e.clientX - rect.left) / rect.width
+                : (e.clientY - rect.top) / rect.height;
+              if (rel < 0.3) {
                 dropPosition = 'before';
-              } else if (relY > 0.7) {
+              } else if (rel > 0.7) {
                 dropPosition = 'after';
               } else {
                 dropPosition = 'child';
@@ -856,6 +1532,10 @@
       }
     }
 
+    if (bandEl) {
+      updateBand(e);
+    }
+
     if (isPanning) {
       panX += e.clientX - panStartX;
       panY += e.clientY - panStartY;
@@ -865,18 +1545,21 @@
     }
   }
 
-  function onMouseUp() {
+  function onMouseUp(e) {
     if (isDragging && dragNodeId && dropTargetId && dropPosition && root) {
-      const parent = findParent(root, dragNodeId);
-      if (parent) {
-        const index = parent.children.findIndex((c) => c.id === dragNodeId);
-        const [movedNode] = parent.children.splice(index, 1);
+      const movedNodes = draggedNodes();
+      const selectionBefore = selectionPath(dragNodeId);
+      if (movedNodes.length > 0) {
+        for (const movedNode of movedNodes) {
+          const parent = findParent(root, movedNode.id);
+          parent.children.splice(parent.children.indexOf(movedNode), 1);
+        }
 
         if (dropPosition === 'child') {
           // Add as child of target
           const targetNode = findNode(root, dropTargetId);
           if (targetNode) {
-            targetNode.children.push(movedNode);
+            targetNode.children.push(...movedNodes);
             targetNode.collapsed = false;
           }
         } else {
@@ -886,18 +1569,24 @@
           const targetIndex = insertParent.children.findIndex((c) => c.id === dropTargetId);
           if (targetIndex !== -1) {
             const insertIndex = dropPosition === 'before' ? targetIndex : targetIndex + 1;
-            insertParent.children.splice(insertIndex, 0, movedNode);
+            insertParent.children.splice(insertIndex, 0, ...movedNodes);
           } else {
             // Fallback: add as child
-            insertParent.children.push(movedNode);
+            insertParent.children.push(...movedNodes);
           }
         }
 
-        selectedNodeId = movedNode.id;
-        saveAndRender();
+        if (!selectedNodeIds.has(dragNodeId)) {
+          selectedNodeId = dragNodeId;
+        }
+        saveAndRender(movedNodes.length > 1 ? 'Move Nodes' : 'Move', selectionBefore);
       }
     }
 
+    if (bandEl) {
+      finishBand(e);
+    }
+
     removeDragGhost();
     dragNodeId = null;
     isDragging = false;
@@ -973,6 +1662,11 @@
 
   function onContainerMouseDown(e) {
     if (e.target === svg || e.target === container) {
+      // Shift+drag on the background selects with a rubber band
+      if (e.shiftKey) {
+        startBand(e);
+        return;
+      }
       isPanning = true;
       panStartX = e.clientX;
       panStartY = e.clientY;
@@ -997,20 +1691,12 @@
   function fitToScreen() {
     if (!root) return;
 
-    const layoutRoot = layoutTree(root, 0, 0);
-    positionNodes(layoutRoot, 0, 0);
+    const layoutRoot = layoutMap();
     const allNodes = flattenLayout(layoutRoot);
 
     if (allNodes.length === 0) return;
 
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    for (const node of allNodes) {
-      minX = Math.min(minX, node.x);
-      minY = Math.min(minY, node.y);
-      maxX = Math.max(maxX, node.x + node.width);
-      maxY = Math.max(maxY, node.y + node.height);
-    }
-
+    const { minX, minY, maxX, maxY } = contentBounds(allNodes);
     const contentWidth = maxX - minX;
     const contentHeight = maxY - minY;
     const containerRect = container.getBoundingClientRect();
@@ -1027,79 +1713,337 @@
   }
 
   // ─── Export ───────────────────────────────────────────────────
-  function exportSvg() {
-    const svgClone = svg.cloneNode(true);
-    svgClone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  const EXPORT_PADDING = 20;
+  // Largest canvas side browsers reliably allocate
+  const MAX_CANVAS_SIZE = 16384;
+  // Properties the stylesheet and theme variables provide; standalone
+  // copies of the canvas carry them as concrete attribute values
+  const EXPORT_STYLE_PROPS = [
+    'fill', 'stroke', 'stroke-width', 'stroke-dasharray', 'opacity',
+    'fill-opacity', 'stroke-opacity', 'font-family', 'font-size', 'font-weight',
+    'font-style',
+  ];
+
+  function contentBounds(allNodes) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const node of allNodes) {
+      minX = Math.min(minX, node.x);
+      minY = Math.min(minY, node.y);
+      maxX = Math.max(maxX, node.x + node.width);
+      maxY = Math.max(maxY, node.y + node.height);
+    }
+    return { minX, minY, maxX, maxY };
+  }
+
+  // Frame a copy of the canvas around the content, without pan/zoom.
+  // Returns the padded size.
+  function fitSvgToContent(svgClone, bounds) {
+    const width = bounds.maxX - bounds.minX + EXPORT_PADDING * 2;
+    const height = bounds.maxY - bounds.minY + EXPORT_PADDING * 2;
+    svgClone.setAttribute('viewBox', `${bounds.minX - EXPORT_PADDING} ${bounds.minY - EXPORT_PADDING} ${width} ${height}`);
+    svgClone.setAttribute('width', String(width));
+    svgClone.setAttribute('height', String(height));
+
+    const mainGroup = svgClone.querySelector('g');
+    if (mainGroup) {
+      mainGroup.setAttribute('transform', '');
+    }
+    return { width, height };
+  }
+
+  function readAsDataUrl(uri) {
+    return fetch(uri)
+      .then((response) => response.blob())
+      .then((blob) => new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+      }));
+  }
+
+  function expandedCopy(node) {
+    return { ...node, collapsed: false, children: node.children.map(expandedCopy) };
+  }
 
-    // Set viewBox based on content
-    if (root) {
-      const layoutRoot = layoutTree(root, 0, 0);
-      positionNodes(layoutRoot, 0, 0);
-      const allNodes = flattenLayout(layoutRoot);
-
-      let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-      for (const node of allNodes) {
-        minX = Math.min(minX, node.x);
-        minY = Math.min(minY, node.y);
-        maxX = Math.max(maxX, node.x + node.width);
-        maxY = Math.max(maxY, node.y + node.height);
+  // Images not shown yet have no cached URI; they live next to the document
+  function cacheImageUris(allNodes) {
+    if (!assetsBaseUri) return;
+    for (const node of allNodes) {
+      if (node.image && !imageUriCache[node.image]) {
+        imageUriCache[node.image] = `${assetsBaseUri}/${encodeURI(node.image)}`;
       }
+    }
+  }
 
-      const padding = 20;
-      svgClone.setAttribute('viewBox', `${minX - padding} ${minY - padding} ${maxX - minX + padding * 2} ${maxY - minY + padding * 2}`);
-      svgClone.setAttribute('width', String(maxX - minX + padding * 2));
-      svgClone.setAttribute('height', String(maxY - minY + padding * 2));
+  // Copy of the whole map that renders the same anywhere: colors and fonts
+  // resolved to concrete values, no selection or hover state, images
+  // embedded as data URIs, over the given background color (transparent
+  // when null). The map is drawn on an off-screen stage so collapsed
+  // branches can be expanded without touching the document.
+  // Resolves to { svg, width, height }.
+  async function buildStandaloneSvg(expandCollapsed, background) {
+    const allNodes = flattenLayout(layoutMap(expandCollapsed ? expandedCopy(root) : root));
+    cacheImageUris(allNodes);
+
+    const stage = createSvgElement('svg');
+    stage.setAttribute('class', 'mm-export-stage');
+    const g = createSvgElement('g');
+    stage.appendChild(g);
+    // Export the whole map, not the tag filter's view of it
+    const filter = tagFilter;
+    tagFilter = '';
+    drawMap(g, allNodes);
+    tagFilter = filter;
+    container.appendChild(stage);
+
+    const svgClone = stage.cloneNode(true);
+    const sources = stage.querySelectorAll('*');
+    const copies = svgClone.querySelectorAll('*');
+    sources.forEach((source, i) => {
+      const copy = copies[i];
+      if (source.classList.contains('mm-node-hit')) {
+        copy.remove();
+        return;
+      }
+      const computed = getComputedStyle(source);
+      for (const prop of EXPORT_STYLE_PROPS) {
+        const value = computed.getPropertyValue(prop);
+        if (value) copy.setAttribute(prop, value);
+      }
+      copy.removeAttribute('class');
+    });
+    stage.remove();
+
+    svgClone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    const bounds = contentBounds(allNodes);
+    const { width, height } = fitSvgToContent(svgClone, bounds);
+    if (background) {
+      const backdrop = createSvgElement('rect');
+      backdrop.setAttribute('x', String(bounds.minX - EXPORT_PADDING));
+      backdrop.setAttribute('y', String(bounds.minY - EXPORT_PADDING));
+      backdrop.setAttribute('width', String(width));
+      backdrop.setAttribute('height', String(height));
+      backdrop.setAttribute('fill', background);
+      svgClone.insertBefore(backdrop, svgClone.firstChild);
+    }
 
-      // Reset the transform to fit content without pan/zoom
-      const mainGroup = svgClone.querySelector('g');
-      if (mainGroup) {
-        mainGroup.setAttribute('transform', '');
+    // Unreadable images fall back to their path relative to the document
+    for (const image of svgClone.querySelectorAll('image')) {
+      const relativePath = image.getAttribute('data-src');
+      image.removeAttribute('data-src');
+      try {
+        image.setAttribute('href', await readAsDataUrl(image.getAttribute('href')));
+      } catch (err) {
+        image.setAttribute('href', relativePath);
       }
     }
 
-    const serializer = new XMLSerializer();
-    const svgString = serializer.serializeToString(svgClone);
-    vscode.postMessage({ type: 'saveSvg', svg: svgString });
+    return { svg: new XMLSerializer().serializeToString(svgClone), width, height };
   }
 
-  function exportMarkdown() {
+  // Draw a standalone SVG onto a canvas at the given scale
+  function rasterize(standalone, scale) {
+    const factor = Math.min(scale, MAX_CANVAS_SIZE / standalone.width, MAX_CANVAS_SIZE / standalone.height);
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(standalone.width * factor));
+        canvas.height = Math.max(1, Math.round(standalone.height * factor));
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        resolve(canvas);
+      };
+      image.onerror = () => reject(new Error('The mindmap could not be rendered as an image.'));
+      image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(standalone.svg);
+    });
+  }
+
+  // options carries the export settings from the host; PDF pages are
+  // always opaque
+  async function exportImage(format, options) {
     if (!root) return;
-    const md = serializeToMarkdown(root);
-    vscode.postMessage({ type: 'saveMarkdown', markdown: md });
+    try {
+      const background = format !== 'pdf' && options.transparent ? null : theme.background;
+      const standalone = await buildStandaloneSvg(options.expandCollapsed, background);
+      if (format === 'svg') {
+        vscode.postMessage({ type: 'saveSvg', svg: standalone.svg });
+        return;
+      }
+      const canvas = await rasterize(standalone, options.scale > 0 ? options.scale : 1);
+      if (format === 'pdf') {
+        vscode.postMessage({
+          type: 'savePdf',
+          data: canvas.toDataURL('image/jpeg', 0.92),
+          pixelWidth: canvas.width,
+          pixelHeight: canvas.height,
+          width: standalone.width,
+          height: standalone.height,
+        });
+      } else {
+        vscode.postMessage({ type: 'savePng', data: canvas.toDataURL('image/png') });
+      }
+    } catch (err) {
+      vscode.postMessage({ type: 'exportFailed', message: err.message });
+    }
+  }
+
+  // Text formats are converted from the document by the host
+  function exportText(format) {
+    vscode.postMessage({ type: 'exportText', format });
   }
 
   // ─── Save & Render ────────────────────────────────────────────
-  function saveAndRender() {
+  // Write text to the document and record the change as one undoable
+  // command. selectionBefore is the selection path before the change.
+  function commitDocument(text, label, selectionBefore, coalesceKey) {
+    const before = documentSync.text();
+    if (!documentSync.save(text)) return;
+    if (before !== null) {
+      undoHistory.record({
+        label,
+        before,
+        after: text,
+        selectionBefore,
+        selectionAfter: selectionPath(),
+      }, coalesceKey);
+    }
+    vscode.postMessage({ type: 'save', text });
+    updateHistoryButtons();
+  }
+
+  function saveAndRender(label, selectionBefore, coalesceKey) {
     if (!root) return;
-    suppressNextUpdate = true;
     const markdown = serializeToMarkdown(root);
-    vscode.postMessage({ type: 'save', text: markdown });
+    commitDocument(markdown, label || 'Edit', selectionBefore || null, coalesceKey);
     updateMarkdownEditor(markdown);
     render();
   }
 
+  // ─── Undo / Redo ──────────────────────────────────────────────
+  const btnUndo = document.getElementById('btn-undo');
+  const btnRedo = document.getElementById('btn-redo');
+
+  function applyHistoryText(text, selection) {
+    adoptTree(parseMarkdown(text));
+    const node = selection && nodeAtPath(selection);
+    if (node) {
+      selectedNodeId = node.id;
+    }
+    if (documentSync.save(text)) {
+      vscode.postMessage({ type: 'save', text });
+    }
+    updateMarkdownEditor(text);
+    render();
+    updateHistoryButtons();
+  }
+
+  function undo() {
+    if (isLocked || isEditing) return;
+    commitNote();
+    const entry = undoHistory.undo();
+    if (entry) {
+      applyHistoryText(entry.before, entry.selectionBefore);
+    }
+  }
+
+  function redo() {
+    if (isLocked || isEditing) return;
+    const entry = undoHistory.redo();
+    if (entry) {
+      applyHistoryText(entry.after, entry.selectionAfter);
+    }
+  }
+
+  function updateHistoryButtons() {
+    const nextUndo = undoHistory.peekUndo();
+    const nextRedo = undoHistory.peekRedo();
+    btnUndo.disabled = !nextUndo;
+    btnRedo.disabled = !nextRedo;
+    btnUndo.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl/Cmd+Z)` : 'Undo (Ctrl/Cmd+Z)';
+    btnRedo.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl/Cmd+Shift+Z)` : 'Redo (Ctrl/Cmd+Shift+Z)';
+  }
+
   // ─── Event Handlers ───────────────────────────────────────────
   // Toolbar buttons
-  document.getElementById('btn-add-child').addEventListener('click', addChild);
-  document.getElementById('btn-add-sibling').addEventListener('click', addSibling);
-  document.getElementById('btn-delete').addEventListener('click', deleteNode);
+  btnAddChild.addEventListener('click', addChild);
+  btnAddSibling.addEventListener('click', addSibling);
+  btnGroup.addEventListener('click', groupSelection);
+  document.getElementById('btn-delete').addEventListener('click', () => deleteNode());
   document.getElementById('btn-collapse').addEventListener('click', () => toggleCollapse());
+  btnUndo.addEventListener('click', undo);
+  btnRedo.addEventListener('click', redo);
   document.getElementById('btn-zoom-in').addEventListener('click', zoomIn);
   document.getElementById('btn-zoom-out').addEventListener('click', zoomOut);
   document.getElementById('btn-fit').addEventListener('click', fitToScreen);
-  document.getElementById('btn-export-svg').addEventListener('click', exportSvg);
-  document.getElementById('btn-export-md').addEventListener('click', exportMarkdown);
+  document.getElementById('btn-export-svg').addEventListener('click', () => {
+    vscode.postMessage({ type: 'requestImageExport', format: 'svg' });
+  });
+  document.getElementById('btn-export-md').addEventListener('click', () => exportText('markdown'));
+  const exportSelect = document.getElementById('export-select');
+  // Image exports also go through the host, which supplies the export settings
+  const EXPORTERS = {
+    opml: () => exportText('opml'),
+    mermaid: () => exportText('mermaid'),
+    plantuml: () => exportText('plantuml'),
+    png: () => vscode.postMessage({ type: 'requestImageExport', format: 'png' }),
+    pdf: () => vscode.postMessage({ type: 'requestImageExport', format: 'pdf' }),
+  };
+  exportSelect.addEventListener('change', () => {
+    const exporter = EXPORTERS[exportSelect.value];
+    exportSelect.value = '';
+    exportSelect.blur();
+    if (exporter) exporter();
+  });
 
   // View mode toggle
   btnSplit.addEventListener('click', () => setViewMode('split'));
   btnPreview.addEventListener('click', () => setViewMode('preview'));
 
+  // Layout selection is stored in the document; a locked map only changes
+  // the view
+  layoutSelect.addEventListener('change', () => {
+    if (!root) return;
+    layoutMode = layoutSelect.value;
+    if (!isLocked && setDocumentSetting(root, 'layout', layoutMode === 'right' ? null : layoutMode)) {
+      saveAndRender('Change Layout', selectionPath());
+    }
+    fitToScreen();
+    layoutSelect.blur();
+  });
+
+  // Theme selection follows the same rules as layout selection
+  themeSelect.addEventListener('change', () => {
+    if (!root) return;
+    documentTheme = themeSelect.value;
+    updateTheme();
+    if (!isLocked && setDocumentSetting(root, 'theme', documentTheme || null)) {
+      saveAndRender('Change Theme', selectionPath());
+    } else {
+      render();
+    }
+    themeSelect.blur();
+  });
+  populateThemeSelect();
+
+  tagFilterSelect.addEventListener('change', () => {
+    setTagFilter(tagFilterSelect.value);
+    tagFilterSelect.blur();
+  });
+
+  // VS Code swaps the body classes when the color theme changes
+  new MutationObserver(() => {
+    updateTheme();
+    render();
+  }).observe(document.body, { attributes: true, attributeFilter: ['class'] });
+
   // Lock toggle
   const btnLock = document.getElementById('btn-lock');
   btnLock.addEventListener('click', () => {
     isLocked = !isLocked;
     btnLock.classList.toggle('active', isLocked);
     btnLock.textContent = isLocked ? 'Locked' : 'Lock';
+    notesEditor.readOnly = isLocked;
   });
 
   // Keyboard shortcuts
@@ -1111,10 +2055,32 @@
       if (e.key === 'h') { e.preventDefault(); openSearch(true); return; }
     }
 
-    // Don't intercept keys when in search bar or editing markdown textarea
+    // Don't intercept keys when in search bar, notes or editing markdown textarea
     if (searchBar.contains(document.activeElement)) return;
+    if (document.activeElement === notesEditor || document.activeElement instanceof HTMLSelectElement) return;
     if (isEditing || document.activeElement === markdownEditor) return;
 
+    // Undo / Redo
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z')) {
+      e.preventDefault();
+      e.shiftKey ? redo() : undo();
+      return;
+    }
+    if (e.ctrlKey && e.key === 'y') {
+      e.preventDefault();
+      redo();
+      return;
+    }
+    if ((e.ctrlKey || e.metaKey) && e.key === 'g') {
+      e.preventDefault();
+      groupSelection();
+      return;
+    }
+    if (e.key === 'Escape' && selectedNodeIds.size > 1 && contextMenu.style.display === 'none') {
+      selectNode(selectedNodeId);
+      return;
+    }
+
     // Preview mode: arrow keys and hjkl pan the view
     if (viewMode === 'preview') {
       let handled = true;
@@ -1161,27 +2127,32 @@
         e.preventDefault();
         toggleCollapse();
         break;
+      case 'x':
+        if (e.ctrlKey || e.metaKey || e.altKey) break;
+        e.preventDefault();
+        toggleTask();
+        break;
+      case '1':
+      case '2':
+      case '3':
+        if (e.ctrlKey || e.metaKey || e.altKey) break;
+        e.preventDefault();
+        setPriority(Number(e.key));
+        break;
       case 'F2':
         e.preventDefault();
-        if (selectedNodeId) {
+        if (e.shiftKey) {
+          focusNoteEditor();
+        } else if (selectedNodeId) {
           startEditing({ id: selectedNodeId });
         }
         break;
       case 'ArrowUp':
-        e.preventDefault();
-        navigateUp();
-        break;
       case 'ArrowDown':
-        e.preventDefault();
-        navigateDown();
-        break;
       case 'ArrowLeft':
-        e.preventDefault();
-        navigateLeft();
-        break;
       case 'ArrowRight':
         e.preventDefault();
-        navigateRight();
+        navigate(e.key);
         break;
       case '+':
       case '=':
@@ -1224,11 +2195,52 @@
     vscode.postMessage({ type: 'getImageUri', relativePath });
   }
 
+  // ─── Clipboard ──────────────────────────────────────────────────
+  // Subtrees travel as indented Markdown lists so they paste into other
+  // mindmaps and plain documents alike.
+  function isCanvasClipboardTarget() {
+    if (isEditing || !root || !selectedNodeId) return false;
+    const active = document.activeElement;
+    return active !== markdownEditor && active !== notesEditor && !searchBar.contains(active);
+  }
+
+  function copySelection(e) {
+    syncSelection();
+    const nodes = getSelectionRoots(root, selectedNodeIds);
+    if (nodes.length === 0) return false;
+    e.preventDefault();
+    e.clipboardData.setData('text/plain', serializeSubtrees(nodes));
+    return true;
+  }
+
+  function pasteOutline(text) {
+    const target = findNode(root, selectedNodeId);
+    const nodes = parseOutlineText(text);
+    if (!target || nodes.length === 0) return;
+    const selectionBefore = selectionPath();
+    target.collapsed = false;
+    target.children.push(...nodes);
+    selectedNodeId = nodes[0].id;
+    selectedNodeIds.clear();
+    nodes.forEach((node) => selectedNodeIds.add(node.id));
+    saveAndRender(nodes.length > 1 ? 'Paste Nodes' : 'Paste', selectionBefore);
+  }
+
+  document.addEventListener('copy', (e) => {
+    if (!isCanvasClipboardTarget()) return;
+    copySelection(e);
+  });
+
+  document.addEventListener('cut', (e) => {
+    if (!isCanvasClipboardTarget() || isLocked) return;
+    if (copySelection(e)) {
+      deleteNode('Cut');
+    }
+  });
+
   document.addEventListener('paste', (e) => {
-    // Skip if editing markdown or inline editing
-    if (isEditing || document.activeElement === markdownEditor) return;
-    // Skip if no node selected
-    if (!selectedNodeId || !root) return;
+    // Skip if editing markdown, notes or inline editing
+    if (!isCanvasClipboardTarget()) return;
 
     const items = e.clipboardData && e.clipboardData.items;
     if (!items) return;
@@ -1256,19 +2268,47 @@
         return; // 1回のペーストで1画像のみ
       }
     }
+
+    const text = e.clipboardData.getData('text/plain');
+    if (text && text.trim() && !isLocked) {
+      e.preventDefault();
+      pasteOutline(text);
+    }
   });
 
   // ─── Context Menu ──────────────────────────────────────────────
   const contextMenu = document.getElementById('context-menu');
 
   function showContextMenu(x, y, hasNode) {
+    const count = selectedNodeIds.size;
+    const multi = hasNode && count > 1;
     const items = contextMenu.querySelectorAll('.context-menu-item');
     items.forEach((item) => {
       const action = item.getAttribute('data-action');
-      if (['edit', 'add-child', 'add-sibling', 'collapse', 'delete'].includes(action)) {
+      if (['edit', 'add-child', 'add-sibling', 'edit-note'].includes(action)) {
+        item.classList.toggle('disabled', !hasNode || multi);
+      } else if (['collapse', 'delete'].includes(action)) {
         item.classList.toggle('disabled', !hasNode);
+      } else if (action === 'group') {
+        item.classList.toggle('disabled', !hasNode || selectedSubtrees().length === 0);
+      } else if (action.startsWith('style-') || action === 'toggle-task') {
+        item.classList.toggle('disabled', !hasNode || isLocked);
+      } else if (action === 'remove-task') {
+        item.classList.toggle('disabled', !hasNode || isLocked || !selectedNodes().some(isTask));
       }
     });
+    contextMenu.querySelectorAll('.context-menu-row').forEach((row) => {
+      row.classList.toggle('disabled', !hasNode || isLocked);
+    });
+    for (const flag of ['bold', 'italic']) {
+      const on = hasNode && selectedNodes().every((node) => node.style && node.style[flag]);
+      const label = flag === 'bold' ? 'Bold' : 'Italic';
+      contextMenu.querySelector(`[data-action="style-${flag}"]`).textContent = on ? `\u2713 ${label}` : label;
+    }
+    contextMenu.querySelector('[data-action="delete"]').textContent = multi ? `Delete ${count} Nodes` : 'Delete';
+    contextMenu.querySelector('[data-action="group"]').textContent = multi
+      ? `Group ${count} Nodes (Ctrl+G)`
+      : 'Group Under New Parent (Ctrl+G)';
 
     contextMenu.style.display = 'block';
     contextMenu.style.left = `${x}px`;
@@ -1288,12 +2328,49 @@
     contextMenu.style.display = 'none';
   }
 
+  // Color swatches for fill and border, led by one that removes the color
+  function populateSwatches(rowId, action) {
+    const row = document.getElementById(rowId);
+    for (const color of ['', ...STYLE_COLORS]) {
+      const swatch = document.createElement('span');
+      swatch.className = 'context-menu-choice context-menu-swatch';
+      swatch.setAttribute('data-action', action);
+      swatch.setAttribute('data-value', color);
+      swatch.title = color || 'Default';
+      if (color) {
+        swatch.style.backgroundColor = color;
+      } else {
+        swatch.textContent = '\u00D7';
+      }
+      row.appendChild(swatch);
+    }
+  }
+
+  // Icon choices, led by one that removes all icons
+  function populateIcons(rowId) {
+    const row = document.getElementById(rowId);
+    for (const name of ['', ...Object.keys(NODE_ICONS)]) {
+      const choice = document.createElement('span');
+      choice.className = 'context-menu-choice';
+      choice.setAttribute('data-action', 'marker-icon');
+      choice.setAttribute('data-value', name);
+      choice.title = name ? name.charAt(0).toUpperCase() + name.slice(1) : 'No Icons';
+      choice.textContent = name ? NODE_ICONS[name] : '\u00D7';
+      row.appendChild(choice);
+    }
+  }
+
+  populateIcons('marker-icons');
+  populateSwatches('style-fill-swatches', 'style-fill');
+  populateSwatches('style-stroke-swatches', 'style-stroke');
+
   container.addEventListener('contextmenu', (e) => {
     e.preventDefault();
     hideContextMenu();
 
     const nodeId = findNodeAtPoint(e.clientX, e.clientY);
-    if (nodeId) {
+    // Keep a multi-selection when right-clicking one of its nodes
+    if (nodeId && !selectedNodeIds.has(nodeId)) {
       selectNode(nodeId);
     }
 
@@ -1301,10 +2378,11 @@
   });
 
   contextMenu.addEventListener('click', (e) => {
-    const item = e.target.closest('.context-menu-item');
-    if (!item || item.classList.contains('disabled')) return;
+    const item = e.target.closest('.context-menu-item, .context-menu-choice');
+    if (!item || item.closest('.disabled')) return;
 
     const action = item.getAttribute('data-action');
+    const value = item.getAttribute('data-value');
     hideContextMenu();
 
     switch (action) {
@@ -1317,12 +2395,54 @@
       case 'add-sibling':
         addSibling();
         break;
+      case 'edit-note':
+        focusNoteEditor();
+        break;
+      case 'group':
+        groupSelection();
+        break;
       case 'collapse':
         toggleCollapse();
         break;
       case 'delete':
         deleteNode();
         break;
+      case 'toggle-task':
+        toggleTask();
+        break;
+      case 'remove-task':
+        removeTasks();
+        break;
+      case 'marker-priority':
+        setPriority(Number(value));
+        break;
+      case 'marker-icon':
+        toggleIcon(value);
+        break;
+      case 'style-bold':
+        toggleStyleFlag('bold', 'Bold');
+        break;
+      case 'style-italic':
+        toggleStyleFlag('italic', 'Italic');
+        break;
+      case 'style-shape':
+        // Rounded is the default shape, so it is stored as no shape
+        styleSelection('Change Shape', () => ({ shape: value === 'rounded' ? null : value }));
+        break;
+      case 'style-size':
+        stepFontSize(Number(value));
+        break;
+      case 'style-fill':
+        styleSelection('Change Fill Color', () => ({ fill: value || null }));
+        break;
+      case 'style-stroke':
+        styleSelection('Change Border Color', () => ({ stroke: value || null }));
+        break;
+      case 'style-clear':
+        styleSelection('Clear Style', () => ({
+          fill: null, stroke: null, shape: null, bold: null, italic: null, fontSize: null,
+        }));
+        break;
     }
   });
 
@@ -1343,28 +2463,29 @@
     const message = event.data;
     switch (message.type) {
       case 'update': {
-        if (suppressNextUpdate) {
-          suppressNextUpdate = false;
+        const previous = documentSync.text();
+        if (!documentSync.receive(message.text)) {
           return;
         }
-        const newRoot = parseMarkdown(message.text);
-        // Preserve collapsed state from old tree
-        if (root) {
-          preserveCollapsedState(root, newRoot);
-        }
-        root = newRoot;
-        if (!selectedNodeId) {
-          selectedNodeId = root.id;
+        // Changes made outside this editor invalidate the canvas history
+        if (previous !== null && message.text !== previous) {
+          undoHistory.clear();
         }
+        updateHistoryButtons();
+        adoptTree(parseMarkdown(message.text));
         updateMarkdownEditor(message.text);
         render();
         break;
       }
-      case 'exportSvg':
-        exportSvg();
+      case 'exportImage':
+        exportImage(message.format, message);
         break;
-      case 'exportMarkdown':
-        exportMarkdown();
+      case 'setThemeSettings':
+        themeSetting = message.theme || 'auto';
+        customThemes = message.customThemes || {};
+        populateThemeSelect();
+        updateTheme();
+        render();
         break;
       case 'setDocumentInfo':
         assetsBaseUri = message.assetsBaseUri || '';
@@ -1376,9 +2497,12 @@
           node.image = message.relativePath;
         }
         imageUriCache[message.relativePath] = message.webviewUri;
-        saveAndRender();
+        saveAndRender('Paste Image', selectionPath(message.nodeId));
         break;
       }
+      case 'focusNode':
+        focusAnchor(message.anchor);
+        break;
       case 'imageUriResolved':
         imageUriCache[message.relativePath] = message.webviewUri;
         render();
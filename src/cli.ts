@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+// cli.ts — Command-line converter for *.mindmap.md files, for builds and CI.
+// Runs on the same core module as the editor and never touches the vscode API.
+
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  LAYOUT_MODES,
+  THEMES,
+  MarkdownProblem,
+  MindmapNode,
+  normalizeMarkdown,
+  parseMarkdown,
+  resolveTheme,
+  treeToFreemind,
+  treeToMermaid,
+  treeToOpml,
+  treeToPlantUml,
+  validateMarkdown,
+} from './mindmapCore';
+import { renderMindmapSvg } from './renderMindmap';
+
+const USAGE = `Usage: mindmap <command> [options] <file>
+
+Commands:
+  render <file>             Render the map as a standalone SVG
+  convert <file> --to <fmt> Convert to markdown, opml, mermaid, plantuml or freemind
+  validate <file>...        Report lines that are not part of the map
+
+Options:
+  -o, --output <file>   Write to a file instead of standard output
+  -t, --to <format>     Target format for convert
+  --layout <mode>       Layout for render: ${LAYOUT_MODES.join(', ')}
+                        (default: the document's layout)
+  --theme <name>        Theme for render: ${Object.keys(THEMES).join(', ')}
+                        (default: the document's theme, else dark)
+  --expand              Render collapsed branches expanded
+  --transparent         Render without a background
+  -h, --help            Show this help
+
+Use - as the file to read standard input. Exits with 1 when a file has
+problems, 2 on usage errors.
+`;
+
+const CONVERTERS: Record<string, (root: MindmapNode) => string> = {
+  opml: treeToOpml,
+  mermaid: treeToMermaid,
+  plantuml: treeToPlantUml,
+  freemind: treeToFreemind,
+};
+
+/** Where the CLI reads standard input and writes its output. */
+export interface CliIo {
+  stdin(): string;
+  stdout(text: string): void;
+  stderr(text: string): void;
+}
+
+interface CliOptions {
+  command: string;
+  files: string[];
+  output?: string;
+  to?: string;
+  layout?: string;
+  theme?: string;
+  expand: boolean;
+  transparent: boolean;
+  help: boolean;
+}
+
+class UsageError extends Error {}
+
+const processIo: CliIo = {
+  stdin: () => fs.readFileSync(0, 'utf-8'),
+  stdout: (text) => process.stdout.write(text),
+  stderr: (text) => process.stderr.write(text),
+};
+
+function parseArgs(args: string[]): CliOptions {
+  const options: CliOptions = { command: '', files: [], expand: false, transparent: false, help: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = () => {
+      if (i + 1 >= args.length) throw new UsageError(`Missing value for ${arg}`);
+      return args[++i];
+    };
+    switch (arg) {
+      case '-o':
+      case '--output':
+        options.output = value();
+        break;
+      case '-t':
+      case '--to':
+        options.to = value();
+        break;
+      case '--layout':
+        options.layout = value();
+        if (!LAYOUT_MODES.includes(options.layout)) throw new UsageError(`Unknown layout ${options.layout}`);
+        break;
+      case '--theme':
+        options.theme = value();
+        if (!resolveTheme(options.theme)) throw new UsageError(`Unknown theme ${options.theme}`);
+        break;
+      case '--expand':
+        options.expand = true;
+        break;
+      case '--transparent':
+        options.transparent = true;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('-') && arg !== '-') throw new UsageError(`Unknown option ${arg}`);
+        if (!options.command) {
+          options.command = arg;
+        } else {
+          options.files.push(arg);
+        }
+    }
+  }
+  return options;
+}
+
+function readInput(file: string, io: CliIo): string {
+  return file === '-' ? io.stdin() : fs.readFileSync(file, 'utf-8');
+}
+
+function formatProblems(file: string, problems: MarkdownProblem[]): string {
+  const name = file === '-' ? '<stdin>' : file;
+  return problems.map((problem) => `${name}:${problem.line}: ${problem.message}\n`).join('');
+}
+
+function convert(text: string, root: MindmapNode, format: string | undefined): string {
+  if (format === 'markdown') {
+    return normalizeMarkdown(text);
+  }
+  const converter = format && CONVERTERS[format];
+  if (!converter) {
+    throw new UsageError(format ? `Unknown format ${format}` : 'Missing --to <format>');
+  }
+  return converter(root);
+}
+
+/** Run the CLI with the given arguments and return the exit code. */
+export function runCli(args: string[], io: CliIo = processIo): number {
+  let options: CliOptions;
+  try {
+    options = parseArgs(args);
+    if (options.help) {
+      io.stdout(USAGE);
+      return 0;
+    }
+    if (!['render', 'convert', 'validate'].includes(options.command)) {
+      throw new UsageError(options.command ? `Unknown command ${options.command}` : 'Missing command');
+    }
+    if (options.files.length === 0) {
+      throw new UsageError('Missing input file');
+    }
+    if (options.command !== 'validate' && options.files.length > 1) {
+      throw new UsageError(`${options.command} takes one input file`);
+    }
+  } catch (err) {
+    io.stderr(`mindmap: ${(err as Error).message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  let status = 0;
+  for (const file of options.files) {
+    try {
+      const text = readInput(file, io);
+      const problems = validateMarkdown(text);
+      if (problems.length > 0) {
+        io.stderr(formatProblems(file, problems));
+        status = 1;
+        continue;
+      }
+      if (options.command === 'validate') {
+        continue;
+      }
+      const root = parseMarkdown(text);
+
+      const result = options.command === 'render'
+        ? renderMindmapSvg(root, {
+          layout: options.layout,
+          theme: options.theme,
+          expand: options.expand,
+          transparent: options.transparent,
+          baseDir: file === '-' ? process.cwd() : path.dirname(file),
+        })
+        : convert(text, root, options.to);
+      if (options.output) {
+        fs.writeFileSync(options.output, result, 'utf-8');
+      } else {
+        io.stdout(result);
+      }
+    } catch (err) {
+      io.stderr(`mindmap: ${(err as Error).message}\n`);
+      if (err instanceof UsageError) {
+        return 2;
+      }
+      // Carry on so one unreadable file does not hide problems in the rest
+      status = 1;
+    }
+  }
+  return status;
+}
+
+if (require.main === module) {
+  process.exitCode = runCli(process.argv.slice(2));
+}
@@ -0,0 +1,87 @@
+import * as vscode from 'vscode';
+import {
+  MindmapNode,
+  parseMarkdown,
+  serializeToMarkdown,
+  treeToFreemind,
+  treeToMermaid,
+  treeToOpml,
+  treeToPlantUml,
+} from './mindmapCore';
+
+interface TextExport {
+  label: string;
+  extensions: string[];
+  suffix: string;
+  convert: (root: MindmapNode) => string;
+}
+
+/** Text formats, converted from the document on the host. */
+export const TEXT_EXPORTS: Record<string, TextExport> = {
+  markdown: { label: 'Markdown', extensions: ['md'], suffix: '-export.md', convert: serializeToMarkdown },
+  opml: { label: 'OPML', extensions: ['opml'], suffix: '.opml', convert: treeToOpml },
+  mermaid: { label: 'Mermaid', extensions: ['mmd'], suffix: '.mmd', convert: treeToMermaid },
+  plantuml: { label: 'PlantUML', extensions: ['puml'], suffix: '.puml', convert: treeToPlantUml },
+  freemind: { label: 'FreeMind', extensions: ['mm'], suffix: '.mm', convert: treeToFreemind },
+};
+
+/** Ask where to save an export of the document and write it there. */
+export async function saveExport(
+  document: vscode.TextDocument,
+  label: string,
+  extensions: string[],
+  suffix: string,
+  content: string | Uint8Array
+): Promise<void> {
+  const uri = await vscode.window.showSaveDialog({
+    filters: { [`${label} Files`]: extensions },
+    defaultUri: vscode.Uri.file(document.uri.fsPath.replace('.mindmap.md', suffix)),
+  });
+  if (uri) {
+    const data = typeof content === 'string' ? Buffer.from(content, 'utf-8') : content;
+    await vscode.workspace.fs.writeFile(uri, data);
+    vscode.window.showInformationMessage(`${label} exported to ${uri.fsPath}`);
+  }
+}
+
+/**
+ * Ask a mindmap webview to render a self-contained SVG, a PNG or a PDF. The
+ * webview answers with a saveSvg, savePng or savePdf message.
+ */
+export function requestImageExport(webview: vscode.Webview, format: 'svg' | 'png' | 'pdf'): void {
+  const config = vscode.workspace.getConfiguration('cursorMindmap.export');
+  webview.postMessage({
+    type: 'exportImage',
+    format,
+    scale: config.get<number>('imageScale', 2),
+    transparent: config.get<string>('imageBackground', 'opaque') === 'transparent',
+    expandCollapsed: config.get<boolean>('expandCollapsed', false),
+  });
+}
+
+/** Convert a mindmap document to one of the TEXT_EXPORTS formats and save it. */
+export async function exportDocument(document: vscode.TextDocument, format: string): Promise<void> {
+  const exporter = TEXT_EXPORTS[format];
+  if (!exporter) {
+    vscode.window.showErrorMessage(`Unknown export format: ${format}`);
+    return;
+  }
+  const content = exporter.convert(parseMarkdown(document.getText()));
+  await saveExport(document, exporter.label, exporter.extensions, exporter.suffix, content);
+}
+
+/**
+ * Export the mindmap in the active editor tab, whether it is open in the
+ * mindmap editor or as text. Works from the host alone, without the webview.
+ */
+export async function exportActiveMindmap(format: string): Promise<void> {
+  const input = vscode.window.tabGroups.activeTabGroup.activeTab?.input;
+  const uri = input instanceof vscode.TabInputCustom || input instanceof vscode.TabInputText
+    ? input.uri
+    : undefined;
+  if (!uri || !uri.fsPath.endsWith('.mindmap.md')) {
+    vscode.window.showErrorMessage('Open a mindmap to export it');
+    return;
+  }
+  await exportDocument(await vscode.workspace.openTextDocument(uri), format);
+}
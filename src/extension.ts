@@ -1,5 +1,7 @@
 import * as vscode from 'vscode';
 import { MindmapEditorProvider } from './mindmapEditorProvider';
+import { MarkdownIt, mindmapMarkdownItPlugin } from './markdownPreview';
+import { getThemeSettings } from './themeSettings';
 
 export function activate(context: vscode.ExtensionContext) {
   context.subscriptions.push(
@@ -37,6 +39,14 @@ export function activate(context: vscode.ExtensionContext) {
       await vscode.commands.executeCommand('vscode.openWith', uri, 'cursorMindmap.mindmapEditor');
     })
   );
+
+  // Picked up by the built-in Markdown preview
+  return {
+    extendMarkdownIt(md: MarkdownIt) {
+      mindmapMarkdownItPlugin(md, getThemeSettings);
+      return md;
+    },
+  };
 }
 
 export function deactivate() {}
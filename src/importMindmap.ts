@@ -0,0 +1,154 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { readZip } from './zip';
+import { MindmapNode, XmindSheet, serializeToMarkdown, xmindJsonToTrees, xmindXmlToTrees } from './mindmapCore';
+
+/**
+ * Ask for a file in another format, convert it to mindmap Markdown and open
+ * the result in the mindmap editor. The new `*.mindmap.md` is suggested next
+ * to the source file.
+ */
+export async function importMindmap(
+  label: string,
+  filters: { [name: string]: string[] },
+  convert: (data: Uint8Array) => string
+): Promise<void> {
+  const selected = await vscode.window.showOpenDialog({
+    canSelectMany: false,
+    filters,
+    openLabel: `Import ${label}`,
+  });
+  if (!selected || selected.length === 0) {
+    return;
+  }
+  const source = selected[0];
+
+  let markdown: string;
+  try {
+    markdown = convert(await vscode.workspace.fs.readFile(source));
+  } catch (err) {
+    const reason = err instanceof Error ? err.message : String(err);
+    vscode.window.showErrorMessage(`Failed to import ${label}: ${reason}`);
+    return;
+  }
+
+  const baseName = path.basename(source.fsPath).replace(/\.[^.]+$/, '');
+  const target = await vscode.window.showSaveDialog({
+    filters: { 'Mindmap Files': ['md'] },
+    defaultUri: vscode.Uri.joinPath(source, '..', `${baseName}.mindmap.md`),
+  });
+  if (!target) {
+    return;
+  }
+  await vscode.workspace.fs.writeFile(target, Buffer.from(markdown, 'utf-8'));
+  await vscode.commands.executeCommand('vscode.openWith', target, 'cursorMindmap.mindmapEditor');
+}
+
+/**
+ * Import every sheet of an XMind archive as its own `*.mindmap.md` in a
+ * chosen folder, copy embedded images into that folder's `assets/` and open
+ * the new mindmaps.
+ */
+export async function importXmind(): Promise<void> {
+  const selected = await vscode.window.showOpenDialog({
+    canSelectMany: false,
+    filters: { 'XMind Files': ['xmind'] },
+    openLabel: 'Import XMind',
+  });
+  if (!selected || selected.length === 0) {
+    return;
+  }
+  const source = selected[0];
+
+  let files: Map<string, Uint8Array>;
+  let sheets: XmindSheet[];
+  try {
+    files = readZip(await vscode.workspace.fs.readFile(source));
+    // Newer archives also carry a placeholder content.xml; prefer the JSON
+    const json = files.get('content.json');
+    const xml = files.get('content.xml');
+    if (json) {
+      sheets = xmindJsonToTrees(JSON.parse(decodeText(json)));
+    } else if (xml) {
+      sheets = xmindXmlToTrees(decodeText(xml));
+    } else {
+      throw new Error('content.json or content.xml not found');
+    }
+    if (sheets.length === 0) {
+      throw new Error('the file has no sheets');
+    }
+  } catch (err) {
+    const reason = err instanceof Error ? err.message : String(err);
+    vscode.window.showErrorMessage(`Failed to import XMind: ${reason}`);
+    return;
+  }
+
+  const folders = await vscode.window.showOpenDialog({
+    canSelectFiles: false,
+    canSelectFolders: true,
+    defaultUri: vscode.Uri.joinPath(source, '..'),
+    openLabel: 'Import Here',
+  });
+  if (!folders || folders.length === 0) {
+    return;
+  }
+  const folder = folders[0];
+  const assets = vscode.Uri.joinPath(folder, 'assets');
+  const baseName = path.basename(source.fsPath).replace(/\.xmind$/i, '');
+  const copied = new Map<string, string>(); // archive entry -> asset path written
+
+  for (let i = 0; i < sheets.length; i++) {
+    const sheet = sheets[i];
+    const name = sheets.length === 1
+      ? baseName
+      : `${baseName}-${sheet.title.replace(/[\\/:*?"<>|\s]+/g, '-') || i + 1}`;
+    if (sheet.resources.length > 0) {
+      await vscode.workspace.fs.createDirectory(assets);
+    }
+    // Existing files are never overwritten; images get the next free name
+    const renamed = new Map<string, string>();
+    for (const { entry, asset } of sheet.resources) {
+      let written = copied.get(entry);
+      const data = files.get(entry);
+      if (!written && data) {
+        const extension = path.posix.extname(asset);
+        const uri = await unusedUri(assets, path.posix.basename(asset, extension), extension);
+        await vscode.workspace.fs.writeFile(uri, data);
+        written = `assets/${path.posix.basename(uri.path)}`;
+        copied.set(entry, written);
+      }
+      if (written && written !== asset) {
+        renamed.set(asset, written);
+      }
+    }
+    renameImages(sheet.root, renamed);
+    const target = await unusedUri(folder, name, '.mindmap.md');
+    await vscode.workspace.fs.writeFile(target, Buffer.from(serializeToMarkdown(sheet.root), 'utf-8'));
+    await vscode.commands.executeCommand('vscode.openWith', target, 'cursorMindmap.mindmapEditor');
+  }
+}
+
+function renameImages(node: MindmapNode, renamed: Map<string, string>): void {
+  const image = node.image && renamed.get(node.image);
+  if (image) {
+    node.image = image;
+  }
+  node.children.forEach((child) => renameImages(child, renamed));
+}
+
+// `<name><extension>` in the folder, numbered if that file already exists
+async function unusedUri(folder: vscode.Uri, name: string, extension: string): Promise<vscode.Uri> {
+  for (let n = 1; ; n++) {
+    const uri = vscode.Uri.joinPath(folder, `${name}${n > 1 ? `-${n}` : ''}${extension}`);
+    try {
+      await vscode.workspace.fs.stat(uri);
+    } catch {
+      return uri;
+    }
+  }
+}
+
+/** Decode file contents as UTF-8 text, dropping a byte order mark. */
+export function decodeText(data: Uint8Array): string {
+  return Buffer.from(data).toString('utf-8').replace(/^\uFEFF/, '');
+}
@@ -0,0 +1,79 @@
+// markdownPreview.ts — markdown-it plugin for VS Code's Markdown preview:
+// renders *.mindmap.md documents and ```mindmap fenced blocks as read-only
+// SVG mindmaps.
+
+import * as path from 'path';
+import { parseMarkdown } from './mindmapCore';
+import { ThemeSettings, renderMindmapSvg } from './renderMindmap';
+
+// The parts of markdown-it the plugin uses
+interface Token {
+  info: string;
+  content: string;
+}
+
+interface StateCore {
+  src: string;
+  env: PreviewEnv | undefined;
+  tokens: Token[];
+  Token: new (type: string, tag: string, nesting: number) => Token;
+}
+
+type RenderRule = (tokens: Token[], idx: number, options: unknown, env: PreviewEnv | undefined, self: Renderer) => string;
+
+interface Renderer {
+  rules: Record<string, RenderRule | undefined>;
+  renderToken(tokens: Token[], idx: number, options: unknown): string;
+}
+
+export interface MarkdownIt {
+  renderer: Renderer;
+  core: { ruler: { push(name: string, rule: (state: StateCore) => void): void } };
+}
+
+// The preview passes the document being rendered as a vscode.Uri
+interface PreviewEnv {
+  currentDocument?: { scheme: string; fsPath: string; path: string };
+}
+
+function documentPath(env: PreviewEnv | undefined): string | undefined {
+  return env?.currentDocument?.path;
+}
+
+function baseDir(env: PreviewEnv | undefined): string | undefined {
+  const document = env?.currentDocument;
+  return document && document.scheme === 'file' ? path.dirname(document.fsPath) : undefined;
+}
+
+// Null when the text has no level-1 heading, so there is no map to draw
+function renderMindmapHtml(text: string, env: PreviewEnv | undefined, themeSettings?: ThemeSettings): string | null {
+  const root = parseMarkdown(text);
+  if (root.headingLevel !== 1) {
+    return null;
+  }
+  const svg = renderMindmapSvg(root, { baseDir: baseDir(env), themeSettings });
+  return `<div class="mindmap-preview">${svg}</div>\n`;
+}
+
+/** `getThemeSettings` is asked on every render, so maps follow theme changes. */
+export function mindmapMarkdownItPlugin(md: MarkdownIt, getThemeSettings?: () => ThemeSettings): void {
+  const fence = md.renderer.rules.fence;
+  md.renderer.rules.fence = (tokens, idx, options, env, self) => {
+    const token = tokens[idx];
+    if (token.info.trim().split(/\s+/)[0] === 'mindmap') {
+      const html = renderMindmapHtml(token.content, env, getThemeSettings && getThemeSettings());
+      if (html !== null) return html;
+    }
+    return fence ? fence(tokens, idx, options, env, self) : self.renderToken(tokens, idx, options);
+  };
+
+  // A whole mindmap document becomes a single map in place of its outline
+  md.core.ruler.push('mindmap_document', (state) => {
+    if (!documentPath(state.env)?.endsWith('.mindmap.md')) return;
+    const html = renderMindmapHtml(state.src, state.env, getThemeSettings && getThemeSettings());
+    if (html === null) return;
+    const token = new state.Token('html_block', '', 0);
+    token.content = html;
+    state.tokens = [token];
+  });
+}
@@ -0,0 +1,142 @@
+// mindmapCore.ts — Typed access to the shared core module (media/mindmap-core.js)
+// from the extension host, so conversions run on the same code as the webview.
+
+/** A node as produced by `parseMarkdown`. */
+export interface MindmapNode {
+  id: string;
+  text: string;
+  children: MindmapNode[];
+  collapsed?: boolean;
+  headingLevel?: number;
+  body?: string[];
+  image?: string;
+  style?: NodeStyle;
+  /** Set on GitHub task items (`[ ]` / `[x]`): whether the task is checked. */
+  done?: boolean;
+  /** Marker tokens at the end of the text: `!1`-`!3`, `:icon:` and `#tag`. */
+  priority?: number;
+  icons?: string[];
+  tags?: string[];
+  preamble?: string[];
+}
+
+/** Per-node styling from the `{.bold shape=ellipse ...}` attribute block. */
+export interface NodeStyle {
+  fill?: string;
+  stroke?: string;
+  shape?: 'rounded' | 'ellipse' | 'underline' | 'cloud';
+  bold?: boolean;
+  italic?: boolean;
+  fontSize?: number;
+}
+
+/** A node of `layoutTree`, placed by `positionLayout`. */
+export interface LayoutNode {
+  id: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  children: LayoutNode[];
+}
+
+/** Colors and font for `renderSvg`; missing entries come from the default theme. */
+export interface MindmapTheme {
+  background?: string;
+  foreground?: string;
+  rootForeground?: string;
+  branchColors?: string[];
+  fontFamily?: string;
+  fillOpacity?: number;
+  depthFade?: number;
+  connectionOpacity?: number;
+}
+
+/** A theme from the `cursorMindmap.customThemes` setting. */
+export interface CustomTheme extends MindmapTheme {
+  base?: string;
+}
+
+export interface RenderSvgOptions {
+  theme?: MindmapTheme;
+  layoutMode?: string;
+  padding?: number;
+  background?: boolean;
+  images?: Record<string, string>;
+}
+
+/** Where a node link points, from `parseLinkTarget`. */
+export interface LinkTarget {
+  url?: string;
+  /** Candidate files relative to the document, in order of preference. */
+  paths?: string[];
+  line?: number;
+  anchor?: string;
+}
+
+/** A problem found by `validateMarkdown`; lines are 1-based. */
+export interface MarkdownProblem {
+  line: number;
+  message: string;
+}
+
+/** One sheet of an XMind archive; `resources` are archive entries to copy into assets/. */
+export interface XmindSheet {
+  title: string;
+  root: MindmapNode;
+  resources: { entry: string; asset: string }[];
+}
+
+interface MindmapCore {
+  LAYOUT_MODES: string[];
+  THEMES: Record<string, MindmapTheme>;
+  parseMarkdown(text: string, problems?: MarkdownProblem[]): MindmapNode;
+  serializeToMarkdown(root: MindmapNode): string;
+  validateMarkdown(text: string): MarkdownProblem[];
+  normalizeMarkdown(text: string): string;
+  getDocumentSetting(root: MindmapNode, key: string): string | null;
+  layoutTree(root: MindmapNode, depth: number, branchIndex: number): LayoutNode;
+  positionLayout(layoutRoot: LayoutNode, mode: string): void;
+  renderSvg(layoutRoot: LayoutNode, options?: RenderSvgOptions): string;
+  resolveTheme(name: string, customThemes?: Record<string, CustomTheme>): MindmapTheme | null;
+  selectThemeName(choices: (string | null | undefined)[], kind: string, customThemes?: Record<string, CustomTheme>): string;
+  parseLinkTarget(target: string, wiki?: boolean): LinkTarget;
+  treeToOpml(root: MindmapNode): string;
+  opmlToTree(text: string): MindmapNode;
+  treeToMermaid(root: MindmapNode): string;
+  mermaidToTree(text: string): MindmapNode;
+  treeToPlantUml(root: MindmapNode): string;
+  plantUmlToTree(text: string): MindmapNode;
+  treeToFreemind(root: MindmapNode): string;
+  freemindToTree(text: string): MindmapNode;
+  xmindJsonToTrees(sheets: unknown): XmindSheet[];
+  xmindXmlToTrees(text: string): XmindSheet[];
+}
+
+const core: MindmapCore = require('../media/mindmap-core.js');
+
+export const {
+  LAYOUT_MODES,
+  THEMES,
+  parseMarkdown,
+  serializeToMarkdown,
+  validateMarkdown,
+  normalizeMarkdown,
+  getDocumentSetting,
+  layoutTree,
+  positionLayout,
+  renderSvg,
+  resolveTheme,
+  selectThemeName,
+  parseLinkTarget,
+  treeToOpml,
+  opmlToTree,
+  treeToMermaid,
+  mermaidToTree,
+  treeToPlantUml,
+  plantUmlToTree,
+  treeToFreemind,
+  freemindToTree,
+  xmindJsonToTrees,
+  xmindXmlToTrees,
+} = core;
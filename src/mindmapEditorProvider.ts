@@ -1,4 +1,11 @@
 import * as vscode from 'vscode';
+import { computeLineEdits } from './textDiff';
+import { importMindmap, importXmind, decodeText } from './importMindmap';
+import { exportActiveMindmap, exportDocument, requestImageExport, saveExport } from './exportMindmap';
+import { jpegToPdf } from './pdf';
+import { openLink } from './openLink';
+import { getThemeSettings } from './themeSettings';
+import { freemindToTree, mermaidToTree, opmlToTree, plantUmlToTree, serializeToMarkdown } from './mindmapCore';
 
 export class MindmapEditorProvider implements vscode.CustomTextEditorProvider {
   public static readonly viewType = 'cursorMindmap.mindmapEditor';
@@ -12,21 +19,56 @@ export class MindmapEditorProvider implements vscode.CustomTextEditorProvider {
         provider,
         { webviewOptions: { retainContextWhenHidden: true } }
       ),
-      vscode.commands.registerCommand('cursorMindmap.exportSvg', () => {
-        provider.activeWebview?.postMessage({ type: 'exportSvg' });
-      }),
-      vscode.commands.registerCommand('cursorMindmap.exportMarkdown', () => {
-        provider.activeWebview?.postMessage({ type: 'exportMarkdown' });
-      }),
+      vscode.commands.registerCommand('cursorMindmap.exportSvg', () => provider.exportImage('svg')),
+      vscode.commands.registerCommand('cursorMindmap.exportMarkdown', () => exportActiveMindmap('markdown')),
+      vscode.commands.registerCommand('cursorMindmap.exportPng', () => provider.exportImage('png')),
+      vscode.commands.registerCommand('cursorMindmap.exportPdf', () => provider.exportImage('pdf')),
+      vscode.commands.registerCommand('cursorMindmap.exportOpml', () => exportActiveMindmap('opml')),
+      vscode.commands.registerCommand('cursorMindmap.importOpml', () =>
+        importMindmap('OPML', { 'OPML Files': ['opml', 'xml'] }, (data) =>
+          serializeToMarkdown(opmlToTree(decodeText(data)))
+        )
+      ),
+      vscode.commands.registerCommand('cursorMindmap.exportMermaid', () => exportActiveMindmap('mermaid')),
+      vscode.commands.registerCommand('cursorMindmap.importMermaid', () =>
+        importMindmap('Mermaid', { 'Mermaid Files': ['mmd', 'mermaid'] }, (data) =>
+          serializeToMarkdown(mermaidToTree(decodeText(data)))
+        )
+      ),
+      vscode.commands.registerCommand('cursorMindmap.exportPlantUml', () => exportActiveMindmap('plantuml')),
+      vscode.commands.registerCommand('cursorMindmap.importPlantUml', () =>
+        importMindmap('PlantUML', { 'PlantUML Files': ['puml', 'plantuml', 'pu', 'wsd'] }, (data) =>
+          serializeToMarkdown(plantUmlToTree(decodeText(data)))
+        )
+      ),
+      vscode.commands.registerCommand('cursorMindmap.exportFreemind', () => exportActiveMindmap('freemind')),
+      vscode.commands.registerCommand('cursorMindmap.importFreemind', () =>
+        importMindmap('FreeMind', { 'FreeMind Maps': ['mm'] }, (data) =>
+          serializeToMarkdown(freemindToTree(decodeText(data)))
+        )
+      ),
+      vscode.commands.registerCommand('cursorMindmap.importXmind', importXmind),
     ];
 
     return vscode.Disposable.from(...registrations);
   }
 
   private activeWebview: vscode.Webview | undefined;
+  // Open editors by document URI, and nodes to focus once one has opened
+  private readonly panels = new Map<string, vscode.WebviewPanel>();
+  private readonly pendingFocus = new Map<string, string>();
 
   constructor(private readonly context: vscode.ExtensionContext) {}
 
+  // Images are drawn by the webview, so they need an open mindmap editor
+  private exportImage(format: 'svg' | 'png' | 'pdf'): void {
+    if (!this.activeWebview) {
+      vscode.window.showErrorMessage('Open a mindmap in the mindmap editor to export it as an image');
+      return;
+    }
+    requestImageExport(this.activeWebview, format);
+  }
+
   public async resolveCustomTextEditor(
     document: vscode.TextDocument,
     webviewPanel: vscode.WebviewPanel,
@@ -42,6 +84,8 @@ export class MindmapEditorProvider implements vscode.CustomTextEditorProvider {
 
     webviewPanel.webview.html = this.getHtmlForWebview(webviewPanel.webview);
     this.activeWebview = webviewPanel.webview;
+    const documentKey = document.uri.toString();
+    this.panels.set(documentKey, webviewPanel);
 
     webviewPanel.onDidChangeViewState(() => {
       if (webviewPanel.active) {
@@ -64,59 +108,73 @@ export class MindmapEditorProvider implements vscode.CustomTextEditorProvider {
       }
     );
 
+    const sendThemeSettings = () => {
+      const { setting, customThemes } = getThemeSettings();
+      webviewPanel.webview.postMessage({ type: 'setThemeSettings', theme: setting, customThemes });
+    };
+
+    const changeConfigurationSubscription = vscode.workspace.onDidChangeConfiguration((e) => {
+      if (e.affectsConfiguration('cursorMindmap.theme') || e.affectsConfiguration('cursorMindmap.customThemes')) {
+        sendThemeSettings();
+      }
+    });
+
     webviewPanel.onDidDispose(() => {
       changeDocumentSubscription.dispose();
+      changeConfigurationSubscription.dispose();
       if (this.activeWebview === webviewPanel.webview) {
         this.activeWebview = undefined;
       }
+      if (this.panels.get(documentKey) === webviewPanel) {
+        this.panels.delete(documentKey);
+      }
     });
 
     webviewPanel.webview.onDidReceiveMessage(async (message) => {
       switch (message.type) {
         case 'save': {
+          // Only touch the changed lines so cursors, undo and diffs stay small
+          const edits = computeLineEdits(document.getText(), message.text);
+          if (edits.length === 0) {
+            break;
+          }
           const edit = new vscode.WorkspaceEdit();
-          edit.replace(
-            document.uri,
-            new vscode.Range(0, 0, document.lineCount, 0),
-            message.text
-          );
-          await vscode.workspace.applyEdit(edit);
-          break;
-        }
-        case 'saveSvg': {
-          const uri = await vscode.window.showSaveDialog({
-            filters: { 'SVG Files': ['svg'] },
-            defaultUri: vscode.Uri.file(
-              document.uri.fsPath.replace('.mindmap.md', '.svg')
-            ),
-          });
-          if (uri) {
-            await vscode.workspace.fs.writeFile(
-              uri,
-              Buffer.from(message.svg, 'utf-8')
+          for (const change of edits) {
+            edit.replace(
+              document.uri,
+              new vscode.Range(document.positionAt(change.start), document.positionAt(change.end)),
+              change.text
             );
-            vscode.window.showInformationMessage(`SVG exported to ${uri.fsPath}`);
           }
+          await vscode.workspace.applyEdit(edit);
           break;
         }
-        case 'saveMarkdown': {
-          const uri = await vscode.window.showSaveDialog({
-            filters: { 'Markdown Files': ['md'] },
-            defaultUri: vscode.Uri.file(
-              document.uri.fsPath.replace('.mindmap.md', '-export.md')
-            ),
-          });
-          if (uri) {
-            await vscode.workspace.fs.writeFile(
-              uri,
-              Buffer.from(message.markdown, 'utf-8')
-            );
-            vscode.window.showInformationMessage(
-              `Markdown exported to ${uri.fsPath}`
-            );
-          }
+        case 'saveSvg':
+          await saveExport(document, 'SVG', ['svg'], '.svg', message.svg);
+          break;
+        case 'requestImageExport':
+          requestImageExport(webviewPanel.webview, message.format);
+          break;
+        case 'savePng':
+          await saveExport(document, 'PNG', ['png'], '.png', decodeDataUrl(message.data));
+          break;
+        case 'savePdf': {
+          const pdf = jpegToPdf(
+            decodeDataUrl(message.data),
+            message.pixelWidth,
+            message.pixelHeight,
+            message.width,
+            message.height
+          );
+          await saveExport(document, 'PDF', ['pdf'], '.pdf', pdf);
           break;
         }
+        case 'exportFailed':
+          vscode.window.showErrorMessage(`Export failed: ${message.message}`);
+          break;
+        case 'exportText':
+          await exportDocument(document, message.format);
+          break;
         case 'saveImage': {
           const docDir = vscode.Uri.joinPath(document.uri, '..');
           const assetsDir = vscode.Uri.joinPath(docDir, 'assets');
@@ -127,8 +185,7 @@ export class MindmapEditorProvider implements vscode.CustomTextEditorProvider {
           }
           const fileName = message.fileName as string;
           const fileUri = vscode.Uri.joinPath(assetsDir, fileName);
-          const base64Data = (message.base64 as string).replace(/^data:[^;]+;base64,/, '');
-          await vscode.workspace.fs.writeFile(fileUri, Buffer.from(base64Data, 'base64'));
+          await vscode.workspace.fs.writeFile(fileUri, decodeDataUrl(message.base64));
           const webviewUri = webviewPanel.webview.asWebviewUri(fileUri).toString();
           webviewPanel.webview.postMessage({
             type: 'imageReady',
@@ -138,6 +195,9 @@ export class MindmapEditorProvider implements vscode.CustomTextEditorProvider {
           });
           break;
         }
+        case 'openLink':
+          await openLink(document, message.target, !!message.wiki, (uri, anchor) => this.openMindmap(uri, anchor));
+          break;
         case 'getImageUri': {
           const docDir = vscode.Uri.joinPath(document.uri, '..');
           const fileUri = vscode.Uri.joinPath(docDir, message.relativePath);
@@ -161,6 +221,27 @@ export class MindmapEditorProvider implements vscode.CustomTextEditorProvider {
       type: 'setDocumentInfo',
       assetsBaseUri,
     });
+    sendThemeSettings();
+
+    const anchor = this.pendingFocus.get(documentKey);
+    if (anchor) {
+      this.pendingFocus.delete(documentKey);
+      webviewPanel.webview.postMessage({ type: 'focusNode', anchor });
+    }
+  }
+
+  // Show a mindmap in this editor; an editor that is still opening focuses
+  // the node when it resolves
+  private async openMindmap(uri: vscode.Uri, anchor: string | undefined): Promise<void> {
+    const key = uri.toString();
+    const panel = this.panels.get(key);
+    if (panel) {
+      panel.reveal();
+      if (anchor) panel.webview.postMessage({ type: 'focusNode', anchor });
+      return;
+    }
+    if (anchor) this.pendingFocus.set(key, anchor);
+    await vscode.commands.executeCommand('vscode.openWith', uri, MindmapEditorProvider.viewType);
   }
 
   private getHtmlForWebview(webview: vscode.Webview): string {
@@ -180,7 +261,7 @@ export class MindmapEditorProvider implements vscode.CustomTextEditorProvider {
 <head>
   <meta charset="UTF-8">
   <meta http-equiv="Content-Security-Policy"
-    content="default-src 'none'; style-src ${webview.cspSource} 'nonce-${nonce}'; script-src 'nonce-${nonce}'; img-src ${webview.cspSource};">
+    content="default-src 'none'; style-src ${webview.cspSource} 'nonce-${nonce}'; script-src 'nonce-${nonce}'; img-src ${webview.cspSource} data:; connect-src ${webview.cspSource};">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <link href="${styleUri}" rel="stylesheet">
   <title>Mindmap Editor</title>
@@ -191,19 +272,46 @@ export class MindmapEditorProvider implements vscode.CustomTextEditorProvider {
     <button id="btn-add-sibling" title="Add Sibling (Cmd/Ctrl+Enter)">+ Sibling</button>
     <button id="btn-delete" title="Delete (Delete)">Delete</button>
     <button id="btn-collapse" title="Collapse/Expand (Space)">Collapse</button>
+    <button id="btn-group" title="Group Under New Parent (Ctrl/Cmd+G)">Group</button>
+    <span class="separator"></span>
+    <button id="btn-undo" title="Undo (Ctrl/Cmd+Z)" disabled>Undo</button>
+    <button id="btn-redo" title="Redo (Ctrl/Cmd+Shift+Z)" disabled>Redo</button>
     <span class="separator"></span>
     <button id="btn-zoom-in" title="Zoom In (Ctrl++)">Zoom +</button>
     <button id="btn-zoom-out" title="Zoom Out (Ctrl+-)">Zoom -</button>
     <button id="btn-fit" title="Fit (Ctrl+0)">Fit</button>
+    <select id="layout-select" title="Layout">
+      <option value="right">Mindmap</option>
+      <option value="balanced">Balanced</option>
+      <option value="logic">Logic Chart</option>
+      <option value="org">Org Chart</option>
+      <option value="tidy">Tidy Tree</option>
+      <option value="timeline">Timeline</option>
+    </select>
+    <select id="theme-select" title="Theme">
+      <option value="">Auto Theme</option>
+    </select>
+    <select id="tag-filter" title="Filter by Tag" style="display:none;">
+      <option value="">All Tags</option>
+    </select>
     <span class="separator"></span>
     <button id="btn-export-svg" title="Export SVG">Export SVG</button>
     <button id="btn-export-md" title="Export Markdown">Export MD</button>
+    <select id="export-select" title="Export As">
+      <option value="" selected disabled hidden>Export…</option>
+      <option value="opml">OPML</option>
+      <option value="mermaid">Mermaid</option>
+      <option value="plantuml">PlantUML</option>
+      <option value="png">PNG</option>
+      <option value="pdf">PDF</option>
+    </select>
     <span class="separator"></span>
     <div class="view-toggle">
       <button id="btn-split" class="active" title="Split View (Markdown + Mindmap)">Split</button>
       <button id="btn-preview" title="Mindmap Only">Preview</button>
     </div>
     <button id="btn-lock" title="Lock (prevent editing)">Lock</button>
+    <button id="btn-notes" class="active" title="Show/Hide Notes Panel">Notes</button>
     <span class="node-count" id="node-count"></span>
   </div>
   <div id="main-content" class="mode-split">
@@ -234,13 +342,59 @@ export class MindmapEditorProvider implements vscode.CustomTextEditorProvider {
     <div id="canvas-container">
       <svg id="mindmap-svg"></svg>
     </div>
+    <div id="notes-panel" style="display:none;">
+      <div id="notes-header">
+        <button id="notes-toggle" title="Collapse/Expand Notes">&#x25B6;</button>
+        <span id="notes-title">Notes</span>
+      </div>
+      <textarea id="notes-editor" spellcheck="false" placeholder="Add a note..."></textarea>
+    </div>
   </div>
   <div id="context-menu" class="context-menu" style="display:none;">
     <div class="context-menu-item" data-action="edit">Edit (F2)</div>
     <div class="context-menu-item" data-action="add-child">+ Child (Tab)</div>
     <div class="context-menu-item" data-action="add-sibling">+ Sibling (Cmd+Enter)</div>
     <div class="context-menu-separator"></div>
+    <div class="context-menu-item" data-action="edit-note">Edit Note (Shift+F2)</div>
+    <div class="context-menu-separator"></div>
+    <div class="context-menu-item" data-action="toggle-task">Toggle Task (X)</div>
+    <div class="context-menu-item" data-action="remove-task">Remove Checkbox</div>
+    <div class="context-menu-row">
+      <span class="context-menu-label">Priority</span>
+      <span class="context-menu-choice" data-action="marker-priority" data-value="1" title="Priority 1 (1)">P1</span>
+      <span class="context-menu-choice" data-action="marker-priority" data-value="2" title="Priority 2 (2)">P2</span>
+      <span class="context-menu-choice" data-action="marker-priority" data-value="3" title="Priority 3 (3)">P3</span>
+      <span class="context-menu-choice" data-action="marker-priority" data-value="" title="No Priority">&#x00D7;</span>
+    </div>
+    <div class="context-menu-row" id="marker-icons">
+      <span class="context-menu-label">Icon</span>
+    </div>
+    <div class="context-menu-separator"></div>
+    <div class="context-menu-item" data-action="style-bold">Bold</div>
+    <div class="context-menu-item" data-action="style-italic">Italic</div>
+    <div class="context-menu-row">
+      <span class="context-menu-label">Shape</span>
+      <span class="context-menu-choice" data-action="style-shape" data-value="rounded" title="Rounded">&#x25A2;</span>
+      <span class="context-menu-choice" data-action="style-shape" data-value="ellipse" title="Ellipse">&#x25EF;</span>
+      <span class="context-menu-choice" data-action="style-shape" data-value="underline" title="Underline">&#x2581;</span>
+      <span class="context-menu-choice" data-action="style-shape" data-value="cloud" title="Cloud">&#x2601;</span>
+    </div>
+    <div class="context-menu-row">
+      <span class="context-menu-label">Size</span>
+      <span class="context-menu-choice" data-action="style-size" data-value="-2" title="Smaller">A&#x2212;</span>
+      <span class="context-menu-choice" data-action="style-size" data-value="0" title="Default Size">A</span>
+      <span class="context-menu-choice" data-action="style-size" data-value="2" title="Larger">A+</span>
+    </div>
+    <div class="context-menu-row" id="style-fill-swatches">
+      <span class="context-menu-label">Fill</span>
+    </div>
+    <div class="context-menu-row" id="style-stroke-swatches">
+      <span class="context-menu-label">Border</span>
+    </div>
+    <div class="context-menu-item" data-action="style-clear">Clear Style</div>
+    <div class="context-menu-separator"></div>
     <div class="context-menu-item" data-action="collapse">Collapse/Expand (Space)</div>
+    <div class="context-menu-item" data-action="group">Group Under New Parent (Ctrl+G)</div>
     <div class="context-menu-separator"></div>
     <div class="context-menu-item" data-action="delete">Delete</div>
   </div>
@@ -260,3 +414,7 @@ function getNonce(): string {
   }
   return text;
 }
+
+function decodeDataUrl(dataUrl: string): Buffer {
+  return Buffer.from(dataUrl.replace(/^data:[^;]+;base64,/, ''), 'base64');
+}
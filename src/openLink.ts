@@ -0,0 +1,93 @@
+// openLink.ts — Follow a link clicked in a mindmap node: URLs open in the
+// browser, files in a text editor (at a line when given) and other mindmaps
+// in the mindmap editor with the linked node focused.
+
+import * as vscode from 'vscode';
+import { parseLinkTarget } from './mindmapCore';
+
+/** Opens a mindmap in the mindmap editor and focuses the node the anchor names. */
+export type OpenMindmap = (uri: vscode.Uri, anchor: string | undefined) => Thenable<void>;
+
+// Only these go to the operating system; anything else could launch a
+// local program through its handler
+const EXTERNAL_SCHEMES = ['http', 'https', 'mailto'];
+
+// Paths starting with / are relative to the document's workspace folder
+function resolveLinkPath(document: vscode.TextDocument, linkPath: string): vscode.Uri {
+  if (linkPath.startsWith('/')) {
+    const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+    return folder ? vscode.Uri.joinPath(folder.uri, linkPath) : document.uri.with({ path: linkPath });
+  }
+  return vscode.Uri.joinPath(document.uri, '..', linkPath);
+}
+
+async function isFile(uri: vscode.Uri): Promise<boolean> {
+  try {
+    const stat = await vscode.workspace.fs.stat(uri);
+    return (stat.type & vscode.FileType.File) !== 0;
+  } catch (err) {
+    return false;
+  }
+}
+
+async function findFile(document: vscode.TextDocument, paths: string[]): Promise<vscode.Uri | undefined> {
+  for (const linkPath of paths) {
+    const uri = resolveLinkPath(document, linkPath);
+    if (await isFile(uri)) {
+      return uri;
+    }
+  }
+  return undefined;
+}
+
+// Mindmaps open in the mindmap editor, other files in a text editor
+async function openFile(
+  uri: vscode.Uri,
+  line: number | undefined,
+  anchor: string | undefined,
+  openMindmap: OpenMindmap
+): Promise<void> {
+  if (uri.path.endsWith('.mindmap.md')) {
+    await openMindmap(uri, anchor);
+    return;
+  }
+  const position = new vscode.Position(Math.max(0, (line || 1) - 1), 0);
+  await vscode.window.showTextDocument(uri, {
+    selection: line ? new vscode.Range(position, position) : undefined,
+  });
+}
+
+export async function openLink(
+  document: vscode.TextDocument,
+  link: string,
+  wiki: boolean,
+  openMindmap: OpenMindmap
+): Promise<void> {
+  const target = parseLinkTarget(link, wiki);
+  if (target.url) {
+    const uri = vscode.Uri.parse(target.url);
+    if (EXTERNAL_SCHEMES.includes(uri.scheme)) {
+      await vscode.env.openExternal(uri);
+    } else if (uri.scheme === 'file') {
+      const file = uri.with({ fragment: '' });
+      if (!(await isFile(file))) {
+        vscode.window.showErrorMessage(`Link target not found: ${file.fsPath}`);
+        return;
+      }
+      const fragment = parseLinkTarget(uri.fragment ? `#${uri.fragment}` : '');
+      await openFile(file, fragment.line, fragment.anchor, openMindmap);
+    } else {
+      vscode.window.showErrorMessage(`Links with the ${uri.scheme}: scheme are not opened: ${target.url}`);
+    }
+    return;
+  }
+  if (!target.paths) {
+    return;
+  }
+  const uri = await findFile(document, target.paths);
+  if (!uri) {
+    vscode.window.showErrorMessage(`Link target not found: ${target.paths[0]}`);
+    return;
+  }
+  await openFile(uri, target.line, target.anchor, openMindmap);
+}
@@ -0,0 +1,69 @@
+// pdf.ts — Minimal PDF writer for exporting the rendered mindmap. Produces a
+// single page holding one JPEG image (DCTDecode), so no font or vector
+// support is needed.
+
+/** Points per CSS pixel (72 pt per inch over 96 px per inch). */
+const POINTS_PER_PIXEL = 72 / 96;
+
+/**
+ * Wrap a JPEG image in a one-page PDF. The image has `pixelWidth` x
+ * `pixelHeight` pixels and fills a page of `width` x `height` CSS pixels,
+ * so a high-resolution rendering keeps the map's on-screen page size.
+ */
+export function jpegToPdf(
+  jpeg: Uint8Array,
+  pixelWidth: number,
+  pixelHeight: number,
+  width: number,
+  height: number
+): Uint8Array {
+  const pageWidth = formatNumber(width * POINTS_PER_PIXEL);
+  const pageHeight = formatNumber(height * POINTS_PER_PIXEL);
+  const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q\n`;
+
+  const chunks: Buffer[] = [];
+  const offsets: number[] = [];
+  let length = 0;
+  const write = (chunk: string | Uint8Array) => {
+    const buffer = typeof chunk === 'string' ? Buffer.from(chunk, 'latin1') : Buffer.from(chunk);
+    chunks.push(buffer);
+    length += buffer.length;
+  };
+  const object = (body: string, stream?: Uint8Array) => {
+    offsets.push(length);
+    write(`${offsets.length} 0 obj\n${body}\n`);
+    if (stream) {
+      write('stream\n');
+      write(stream);
+      write('\nendstream\n');
+    }
+    write('endobj\n');
+  };
+
+  // The binary comment marks the file as binary for transfer tools
+  write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+  object('<< /Type /Catalog /Pages 2 0 R >>');
+  object('<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+  object(
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+      '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>'
+  );
+  object(
+    `<< /Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>`,
+    jpeg
+  );
+  object(`<< /Length ${content.length} >>`, Buffer.from(content, 'latin1'));
+
+  const xref = length;
+  write(`xref\n0 ${offsets.length + 1}\n0000000000 65535 f \n`);
+  for (const offset of offsets) {
+    write(`${String(offset).padStart(10, '0')} 00000 n \n`);
+  }
+  write(`trailer\n<< /Size ${offsets.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+  return Buffer.concat(chunks);
+}
+
+function formatNumber(value: number): string {
+  return String(Math.round(value * 100) / 100);
+}
@@ -0,0 +1,93 @@
+// renderMindmap.ts — Render a parsed mindmap to standalone SVG outside the
+// webview, for the CLI and the Markdown preview.
+
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  CustomTheme,
+  LAYOUT_MODES,
+  MindmapNode,
+  getDocumentSetting,
+  layoutTree,
+  positionLayout,
+  renderSvg,
+  resolveTheme,
+  selectThemeName,
+} from './mindmapCore';
+
+/** What the theme is chosen from when neither the caller nor the document names one. */
+export interface ThemeSettings {
+  /** The user's theme setting: 'auto' or a theme name. */
+  setting: string;
+  /** Kind of the VS Code color theme: dark, light, high-contrast or high-contrast-light. */
+  kind: string;
+  customThemes: Record<string, CustomTheme>;
+}
+
+export interface RenderMindmapOptions {
+  /** Layout mode; defaults to the document's layout setting. */
+  layout?: string;
+  /** Show the contents of collapsed branches. */
+  expand?: boolean;
+  transparent?: boolean;
+  /** Directory local image paths are resolved against; images are left out without it. */
+  baseDir?: string;
+  /** Theme name that wins over the document's theme setting. */
+  theme?: string;
+  themeSettings?: ThemeSettings;
+}
+
+const IMAGE_TYPES: Record<string, string> = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+};
+
+function expandAll(node: MindmapNode): void {
+  node.collapsed = false;
+  node.children.forEach(expandAll);
+}
+
+// Local images become data URIs so the SVG does not depend on its location
+function embedImages(root: MindmapNode, baseDir: string): Record<string, string> {
+  const images: Record<string, string> = {};
+  const visit = (node: MindmapNode) => {
+    const type = node.image && IMAGE_TYPES[path.extname(node.image).toLowerCase()];
+    if (node.image && type && !/^[a-z][a-z0-9+.-]*:/i.test(node.image)) {
+      const file = path.resolve(baseDir, node.image);
+      if (fs.existsSync(file)) {
+        images[node.image] = `data:${type};base64,${fs.readFileSync(file).toString('base64')}`;
+      }
+    }
+    node.children.forEach(visit);
+  };
+  visit(root);
+  return images;
+}
+
+/** Render a tree from `parseMarkdown` as SVG markup. Expanding modifies the tree. */
+export function renderMindmapSvg(root: MindmapNode, options: RenderMindmapOptions = {}): string {
+  const stored = getDocumentSetting(root, 'layout');
+  const layoutMode = options.layout || (stored && LAYOUT_MODES.includes(stored) ? stored : 'right');
+  if (options.expand) {
+    expandAll(root);
+  }
+  const settings = options.themeSettings;
+  const customThemes = settings ? settings.customThemes : {};
+  const themeName = selectThemeName(
+    [options.theme, getDocumentSetting(root, 'theme'), settings && settings.setting],
+    settings ? settings.kind : 'dark',
+    customThemes
+  );
+  const layoutRoot = layoutTree(root, 0, 0);
+  positionLayout(layoutRoot, layoutMode);
+  return renderSvg(layoutRoot, {
+    layoutMode,
+    theme: resolveTheme(themeName, customThemes) || undefined,
+    background: !options.transparent,
+    images: options.baseDir ? embedImages(root, options.baseDir) : {},
+  });
+}
@@ -0,0 +1,174 @@
+// textDiff.ts — Line-level diff used to turn a full-text save from the webview
+// into minimal edits on the TextDocument.
+
+/** Replace the characters [start, end) of the old text with `text`. */
+export interface TextEdit {
+  start: number;
+  end: number;
+  text: string;
+}
+
+/** Split text into lines that keep their line terminator. */
+export function splitLines(text: string): string[] {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+type Op = 'equal' | 'delete' | 'insert';
+
+// Myers' O((N+M)D) shortest edit script over two line arrays, in the linear
+// space variant: find the middle snake of an optimal path, then diff the
+// parts before and after it, so memory stays O(N+M) however large the
+// rewrite.
+function diffOps(a: string[], b: string[]): Op[] {
+  const ops: Op[] = [];
+  const offset = a.length + b.length + 1;
+  const forward = new Array<number>(2 * offset + 1).fill(0);
+  const backward = new Array<number>(2 * offset + 1).fill(0);
+
+  // Furthest reaching paths from both corners until they overlap; returns
+  // the snake [x, y] -> [u, v] where they meet
+  function middleSnake(aStart: number, aEnd: number, bStart: number, bEnd: number): number[] {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const delta = n - m;
+    const odd = (delta & 1) !== 0;
+    forward[offset + 1] = 0;
+    backward[offset + 1] = 0;
+    for (let d = 0; d <= Math.ceil((n + m) / 2); d++) {
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+          ? forward[offset + k + 1]
+          : forward[offset + k - 1] + 1;
+        let y = x - k;
+        const x0 = x;
+        const y0 = y;
+        while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+          x++;
+          y++;
+        }
+        forward[offset + k] = x;
+        const c = delta - k;
+        if (odd && c >= 1 - d && c <= d - 1 && x + backward[offset + c] >= n) {
+          return [aStart + x0, bStart + y0, aStart + x, bStart + y];
+        }
+      }
+      for (let c = -d; c <= d; c += 2) {
+        let x = c === -d || (c !== d && backward[offset + c - 1] < backward[offset + c + 1])
+          ? backward[offset + c + 1]
+          : backward[offset + c - 1] + 1;
+        let y = x - c;
+        const x0 = x;
+        const y0 = y;
+        while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+          x++;
+          y++;
+        }
+        backward[offset + c] = x;
+        const k = delta - c;
+        if (!odd && k >= -d && k <= d && x + forward[offset + k] >= n) {
+          return [aEnd - x, bEnd - y, aEnd - x0, bEnd - y0];
+        }
+      }
+    }
+    throw new Error('No middle snake found');
+  }
+
+  function diffRange(aStart: number, aEnd: number, bStart: number, bEnd: number): void {
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+      ops.push('equal');
+      aStart++;
+      bStart++;
+    }
+    let suffix = 0;
+    while (aStart < aEnd && bStart < bEnd && a[aEnd - 1] === b[bEnd - 1]) {
+      aEnd--;
+      bEnd--;
+      suffix++;
+    }
+    if (aStart === aEnd) {
+      for (let i = bStart; i < bEnd; i++) ops.push('insert');
+    } else if (bStart === bEnd) {
+      for (let i = aStart; i < aEnd; i++) ops.push('delete');
+    } else {
+      const [x, y, u, v] = middleSnake(aStart, aEnd, bStart, bEnd);
+      diffRange(aStart, x, bStart, y);
+      for (let i = x; i < u; i++) ops.push('equal');
+      diffRange(u, aEnd, v, bEnd);
+    }
+    for (let i = 0; i < suffix; i++) ops.push('equal');
+  }
+
+  diffRange(0, a.length, 0, b.length);
+  return ops;
+}
+
+/**
+ * Compute the edits that turn `oldText` into `newText`, touching only the
+ * lines that differ. Offsets refer to `oldText`; edits are sorted and do not
+ * overlap, so they can be applied together in one WorkspaceEdit.
+ */
+export function computeLineEdits(oldText: string, newText: string): TextEdit[] {
+  if (oldText === newText) {
+    return [];
+  }
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Trim the common prefix and suffix before running the diff
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const ops = diffOps(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix));
+
+  const edits: TextEdit[] = [];
+  let offset = 0;
+  for (let i = 0; i < prefix; i++) {
+    offset += a[i].length;
+  }
+  let ai = prefix;
+  let bi = prefix;
+  let current: TextEdit | null = null;
+  for (const op of ops) {
+    if (op === 'equal') {
+      current = null;
+      offset += a[ai].length;
+      ai++;
+      bi++;
+      continue;
+    }
+    if (!current) {
+      current = { start: offset, end: offset, text: '' };
+      edits.push(current);
+    }
+    if (op === 'delete') {
+      offset += a[ai].length;
+      current.end = offset;
+      ai++;
+    } else {
+      current.text += b[bi];
+      bi++;
+    }
+  }
+  return edits;
+}
+
+/** Apply edits produced by computeLineEdits to the old text. */
+export function applyEdits(text: string, edits: TextEdit[]): string {
+  let result = '';
+  let last = 0;
+  for (const edit of edits) {
+    result += text.slice(last, edit.start) + edit.text;
+    last = edit.end;
+  }
+  return result + text.slice(last);
+}
@@ -0,0 +1,22 @@
+// themeSettings.ts — The user's mindmap theme settings together with the kind
+// of the active VS Code color theme, as the core's theme selection takes them.
+
+import * as vscode from 'vscode';
+import { CustomTheme } from './mindmapCore';
+import { ThemeSettings } from './renderMindmap';
+
+const THEME_KINDS: Record<number, string> = {
+  [vscode.ColorThemeKind.Light]: 'light',
+  [vscode.ColorThemeKind.Dark]: 'dark',
+  [vscode.ColorThemeKind.HighContrast]: 'high-contrast',
+  [vscode.ColorThemeKind.HighContrastLight]: 'high-contrast-light',
+};
+
+export function getThemeSettings(): ThemeSettings {
+  const config = vscode.workspace.getConfiguration('cursorMindmap');
+  return {
+    setting: config.get<string>('theme', 'auto'),
+    kind: THEME_KINDS[vscode.window.activeColorTheme.kind] || 'dark',
+    customThemes: config.get<Record<string, CustomTheme>>('customThemes', {}),
+  };
+}
@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { runCli } from '../src/cli';
+
+function run(args, stdin = '') {
+  const result = { stdout: '', stderr: '' };
+  result.status = runCli(args, {
+    stdin: () => stdin,
+    stdout: (text) => { result.stdout += text; },
+    stderr: (text) => { result.stderr += text; },
+  });
+  return result;
+}
+
+describe('runCli', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mindmap-cli-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function write(name, content) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  it('should render a file as SVG', () => {
+    const file = write('map.mindmap.md', '# Root\n- Child\n');
+    const { status, stdout } = run(['render', file]);
+    expect(status).toBe(0);
+    expect(stdout.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+    expect(stdout).toContain('>Child</tspan>');
+  });
+
+  it('should use the layout stored in the document unless overridden', () => {
+    const file = write('map.mindmap.md', '<!-- mindmap-layout: org -->\n# Root\n- A\n- B\n');
+    const org = run(['render', file]).stdout;
+    expect(org).not.toBe(run(['render', file, '--layout', 'right']).stdout);
+    expect(run(['render', file, '--layout', 'org']).stdout).toBe(org);
+  });
+
+  it('should use the theme from the option, else from the document', () => {
+    const file = write('map.mindmap.md', '<!-- mindmap-theme: light -->\n# Root\n');
+    expect(run(['render', file]).stdout).toContain('fill="#ffffff"');
+    expect(run(['render', file, '--theme', 'high-contrast']).stdout).toContain('fill="#000000"');
+  });
+
+  it('should render collapsed branches only with --expand', () => {
+    const file = write('map.mindmap.md', '# Root\n- A <!-- collapsed -->\n  - Hidden\n');
+    expect(run(['render', file]).stdout).not.toContain('Hidden');
+    expect(run(['render', file, '--expand']).stdout).toContain('Hidden');
+  });
+
+  it('should embed local images as data URIs', () => {
+    fs.mkdirSync(path.join(dir, 'assets'));
+    fs.writeFileSync(path.join(dir, 'assets', 'a.png'), Buffer.from([1, 2, 3]));
+    const file = write('map.mindmap.md', '# Root\n- A\n  ![](assets/a.png)\n');
+    expect(run(['render', file]).stdout).toContain('href="data:image/png;base64,AQID"');
+  });
+
+  it('should convert to the requested format', () => {
+    const file = write('map.mindmap.md', '# Root\n- Child\n');
+    expect(run(['convert', file, '--to', 'mermaid']).stdout).toBe('mindmap\n  root(("Root"))\n    Child\n');
+    expect(run(['convert', file, '-t', 'opml']).stdout).toContain('<outline text="Child"/>');
+  });
+
+  it('should normalize Markdown', () => {
+    const file = write('map.mindmap.md', '# Root\n    - A\n        - B');
+    expect(run(['convert', file, '--to', 'markdown']).stdout).toBe('# Root\n- A\n  - B\n');
+  });
+
+  it('should write to the output file', () => {
+    const file = write('map.mindmap.md', '# Root\n');
+    const output = path.join(dir, 'map.puml');
+    const { status, stdout } = run(['convert', file, '--to', 'plantuml', '-o', output]);
+    expect(status).toBe(0);
+    expect(stdout).toBe('');
+    expect(fs.readFileSync(output, 'utf-8')).toContain('* Root');
+  });
+
+  it('should read standard input', () => {
+    expect(run(['convert', '-', '--to', 'markdown'], '# Root\n').stdout).toBe('# Root\n');
+  });
+
+  it('should validate files and report problems with line numbers', () => {
+    const good = write('good.mindmap.md', '# Root\n- A\n');
+    const bad = write('bad.mindmap.md', '- Orphan\n# Root\n');
+    expect(run(['validate', good])).toEqual({ status: 0, stdout: '', stderr: '' });
+    const { status, stderr } = run(['validate', good, bad]);
+    expect(status).toBe(1);
+    expect(stderr).toBe(`${bad}:1: List item before the level-1 heading is not part of the map\n`);
+  });
+
+  it('should not convert files with problems', () => {
+    const file = write('map.mindmap.md', 'No heading\n');
+    const { status, stdout, stderr } = run(['render', file]);
+    expect(status).toBe(1);
+    expect(stdout).toBe('');
+    expect(stderr).toContain(':1: No level-1 heading');
+  });
+
+  it('should fail on unreadable files', () => {
+    const { status, stderr } = run(['validate', path.join(dir, 'missing.md')]);
+    expect(status).toBe(1);
+    expect(stderr).toContain('mindmap: ');
+  });
+
+  it('should validate the remaining files after an unreadable one', () => {
+    const good = write('good.mindmap.md', '# Root\n');
+    const bad = write('bad.mindmap.md', '- Orphan\n# Root\n');
+    const missing = path.join(dir, 'missing.md');
+    const { status, stderr } = run(['validate', good, missing, bad]);
+    expect(status).toBe(1);
+    expect(stderr).toContain(`mindmap: ENOENT: no such file or directory, open '${missing}'\n`);
+    expect(stderr).toContain(`${bad}:1: List item before the level-1 heading is not part of the map\n`);
+  });
+
+  it('should reject bad usage with status 2', () => {
+    const file = write('map.mindmap.md', '# Root\n');
+    expect(run([]).status).toBe(2);
+    expect(run(['publish', file]).status).toBe(2);
+    expect(run(['convert', file]).status).toBe(2);
+    expect(run(['convert', file, '--to', 'docx']).status).toBe(2);
+    expect(run(['render', file, '--layout', 'spiral']).status).toBe(2);
+    expect(run(['render', file, '--theme', 'sepia']).status).toBe(2);
+    expect(run(['render', file, '--bogus']).status).toBe(2);
+  });
+
+  it('should print help', () => {
+    const { status, stdout } = run(['--help']);
+    expect(status).toBe(0);
+    expect(stdout).toContain('Usage: mindmap');
+  });
+});
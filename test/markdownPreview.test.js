@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import MarkdownIt from 'markdown-it';
+import { mindmapMarkdownItPlugin } from '../src/markdownPreview';
+
+function createMarkdownIt() {
+  const md = new MarkdownIt();
+  mindmapMarkdownItPlugin(md);
+  return md;
+}
+
+function fileUri(fsPath) {
+  return { scheme: 'file', fsPath, path: fsPath };
+}
+
+describe('mindmapMarkdownItPlugin', () => {
+  it('should render mindmap fenced blocks as SVG', () => {
+    const html = createMarkdownIt().render('Intro\n\n```mindmap\n# Root\n- Child\n```\n');
+    expect(html).toContain('<p>Intro</p>');
+    expect(html).toContain('<div class="mindmap-preview"><svg xmlns="http://www.w3.org/2000/svg"');
+    expect(html).toContain('>Child</tspan>');
+    expect(html).not.toContain('<code');
+  });
+
+  it('should leave other fenced blocks alone', () => {
+    const html = createMarkdownIt().render('```js\nconst a = 1;\n```\n');
+    expect(html).toBe('<pre><code class="language-js">const a = 1;\n</code></pre>\n');
+  });
+
+  it('should fall back to a code block when the map has no root heading', () => {
+    const html = createMarkdownIt().render('```mindmap\n- Child\n```\n');
+    expect(html).toContain('<pre><code class="language-mindmap">- Child\n</code></pre>');
+  });
+
+  it('should render a whole mindmap document as one map', () => {
+    const env = { currentDocument: fileUri('/docs/plan.mindmap.md') };
+    const html = createMarkdownIt().render('# Root\n- A\n  - B\n', env);
+    expect(html.startsWith('<div class="mindmap-preview"><svg')).toBe(true);
+    expect(html).not.toContain('<ul>');
+    expect(html).toContain('>B</tspan>');
+  });
+
+  it('should render other documents as Markdown', () => {
+    const env = { currentDocument: fileUri('/docs/README.md') };
+    expect(createMarkdownIt().render('# Root\n- A\n', env)).toBe('<h1>Root</h1>\n<ul>\n<li>A</li>\n</ul>\n');
+  });
+
+  it('should follow the theme settings unless the map names a theme', () => {
+    const md = new MarkdownIt();
+    mindmapMarkdownItPlugin(md, () => ({ setting: 'auto', kind: 'light', customThemes: {} }));
+    expect(md.render('```mindmap\n# Root\n```\n')).toContain('fill="#ffffff"');
+    expect(md.render('```mindmap\n<!-- mindmap-theme: high-contrast -->\n# Root\n```\n')).toContain('fill="#000000"');
+  });
+
+  it('should embed images next to the previewed document', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mindmap-preview-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'a.png'), Buffer.from([1, 2, 3]));
+      const env = { currentDocument: fileUri(path.join(dir, 'map.mindmap.md')) };
+      const html = createMarkdownIt().render('# Root\n- A\n  ![](a.png)\n', env);
+      expect(html).toContain('href="data:image/png;base64,AQID"');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -4,14 +4,68 @@ const core = require('../media/mindmap-core.js');
 const {
   parseMarkdown,
   serializeToMarkdown,
+  validateMarkdown,
+  normalizeMarkdown,
+  treeToMermaid,
+  mermaidToTree,
+  treeToPlantUml,
+  plantUmlToTree,
+  parseInlineMarkdown,
+  stripInlineMarkdown,
+  getNodeLinks,
+  parseLinkTarget,
+  findNodeByAnchor,
+  isTask,
+  getTaskProgress,
+  getNodeDecorations,
+  setNodeMarkers,
+  setNodeText,
+  getNodeEditText,
+  hasTag,
+  collectTags,
   measureTextWidth,
+  wrapRuns,
   wrapText,
   getFontSize,
   getNodeHeight,
   layoutTree,
   computeSubtreeHeight,
   positionNodes,
-  preserveCollapsedState,
+  splitBranches,
+  positionBalanced,
+  positionLayout,
+  computeSubtreeWidth,
+  getConnectionPath,
+  getCollapseIndicatorPosition,
+  getDocumentSetting,
+  setDocumentSetting,
+  LAYOUT_MODES,
+  reconcileTree,
+  createHistory,
+  createDocumentSync,
+  getSelectionRoots,
+  groupNodes,
+  serializeSubtrees,
+  parseOutlineText,
+  parseXml,
+  escapeXml,
+  withAlpha,
+  renderSvg,
+  DEFAULT_THEME,
+  THEMES,
+  resolveTheme,
+  selectThemeName,
+  getNodeColors,
+  getNodeShape,
+  setNodeStyle,
+  treeToOpml,
+  opmlToTree,
+  freemindToTree,
+  treeToFreemind,
+  xmindJsonToTrees,
+  xmindXmlToTrees,
+  getNodeNote,
+  setNodeNote,
   generateId,
   NODE_PADDING_X,
   NODE_PADDING_Y,
@@ -22,6 +76,7 @@ const {
   IMAGE_PADDING,
   NODE_GAP_X,
   NODE_GAP_Y,
+  HISTORY_COALESCE_MS,
 } = core;
 
 // ─── parseMarkdown ─────────────────────────────────────────────
@@ -186,6 +241,46 @@ describe('parseMarkdown', () => {
     expect(ids.size).toBe(4); // Root, A, item, B
   });
 
+  it('should keep front matter in the root preamble', () => {
+    const md = '---\ntitle: Plan\n# not a heading\n---\n# Root\n- item';
+    const tree = parseMarkdown(md);
+    expect(tree.text).toBe('Root');
+    expect(tree.preamble).toEqual(['---', 'title: Plan', '# not a heading', '---']);
+    expect(tree.children).toHaveLength(1);
+  });
+
+  it('should attach prose to the preceding node body', () => {
+    const md = '# Root\nIntro text\n## A\nAbout A\n\n- item\n  continued';
+    const tree = parseMarkdown(md);
+    expect(tree.body).toEqual(['Intro text']);
+    expect(tree.children[0].body).toEqual(['About A', '']);
+    expect(tree.children[0].children[0].body).toEqual(['  continued']);
+  });
+
+  it('should not parse tree lines inside fenced code', () => {
+    const md = '# Root\n- item\n```\n# comment\n- not a node\n```\n- next';
+    const tree = parseMarkdown(md);
+    expect(tree.children.map((c) => c.text)).toEqual(['item', 'next']);
+    expect(tree.children[0].body).toEqual(['```', '# comment', '- not a node', '```']);
+  });
+
+  it('should keep a second H1 as body text instead of replacing the root', () => {
+    const tree = parseMarkdown('# First\n- a\n# Second');
+    expect(tree.text).toBe('First');
+    expect(tree.children[0].body).toEqual(['# Second']);
+  });
+
+  it('should read the collapsed marker from headings and list items', () => {
+    const md = '# Root\n## A <!-- collapsed -->\n- x\n- B <!--collapsed-->\n  - y\n- C';
+    const tree = parseMarkdown(md);
+    expect(tree.collapsed).toBe(false);
+    expect(tree.children[0].text).toBe('A');
+    expect(tree.children[0].collapsed).toBe(true);
+    expect(tree.children[0].children[1].text).toBe('B');
+    expect(tree.children[0].children[1].collapsed).toBe(true);
+    expect(tree.children[0].children[2].collapsed).toBe(false);
+  });
+
   it('should not have headingLevel on list items', () => {
     const md = '# Root\n- item';
     const tree = parseMarkdown(md);
@@ -295,6 +390,49 @@ describe('serializeToMarkdown', () => {
     expect(result).toBe('# Root\n## Sec\n![](h.png)\n');
   });
 
+  it('should regenerate a renamed node and keep its source line otherwise', () => {
+    const tree = parseMarkdown('# Root  \n-   A   \n-   B');
+    tree.children[1].text = 'B2';
+    expect(serializeToMarkdown(tree)).toBe('# Root  \n-   A   \n- B2');
+  });
+
+  it('should reindent body lines when a node moves to another depth', () => {
+    const tree = parseMarkdown('# Root\n- A\n  - B\n    note of B\n');
+    const b = tree.children[0].children.pop();
+    tree.children.push(b);
+    expect(serializeToMarkdown(tree)).toBe('# Root\n- A\n- B\n  note of B\n');
+  });
+
+  it('should indent new children with the document indent unit', () => {
+    const tree = parseMarkdown('# Root\n- A\n    - B\n');
+    tree.children[0].children[0].children.push({ text: 'C', children: [] });
+    expect(serializeToMarkdown(tree)).toBe('# Root\n- A\n    - B\n        - C\n');
+  });
+
+  it('should write the collapsed marker for collapsed nodes with children', () => {
+    const node = {
+      text: 'Root',
+      headingLevel: 1,
+      children: [
+        { text: 'A', collapsed: true, children: [{ text: 'A1', children: [] }] },
+        { text: 'S', headingLevel: 2, collapsed: true, children: [{ text: 'S1', children: [] }] },
+        { text: 'Leaf', collapsed: true, children: [] },
+      ],
+    };
+    expect(serializeToMarkdown(node)).toBe('# Root\n- A <!-- collapsed -->\n  - A1\n## S <!-- collapsed -->\n- S1\n- Leaf\n');
+  });
+
+  it('should keep the source line when only the collapsed marker spacing differs', () => {
+    const md = '# Root\n- A   <!--collapsed-->\n  - A1\n';
+    expect(serializeToMarkdown(parseMarkdown(md))).toBe(md);
+  });
+
+  it('should update the source line when a node is expanded', () => {
+    const tree = parseMarkdown('# Root\n- A <!-- collapsed -->\n  - A1\n');
+    tree.children[0].collapsed = false;
+    expect(serializeToMarkdown(tree)).toBe('# Root\n- A\n  - A1\n');
+  });
+
   it('should round-trip parse→serialize→parse', () => {
     const md = [
       '# My Project',
@@ -325,6 +463,395 @@ describe('serializeToMarkdown', () => {
   });
 });
 
+// ─── validateMarkdown / normalizeMarkdown ──────────────────────
+describe('validateMarkdown', () => {
+  it('should accept a well-formed map', () => {
+    expect(validateMarkdown('---\ntitle: x\n---\nIntro\n# Root\n- A\n```\n# not a heading\n```\n')).toEqual([]);
+  });
+
+  it('should report tree lines outside the map', () => {
+    expect(validateMarkdown('- Orphan\n## Early\n# Root\n# Second\n')).toEqual([
+      { line: 1, message: 'List item before the level-1 heading is not part of the map' },
+      { line: 2, message: 'Heading before the level-1 heading is not part of the map' },
+      { line: 4, message: 'Second level-1 heading is not part of the map' },
+    ]);
+  });
+
+  it('should report a missing root and an unclosed fence', () => {
+    expect(validateMarkdown('Text\n```\n# Inside\n')).toEqual([
+      { line: 1, message: 'No level-1 heading for the central topic' },
+      { line: 2, message: 'Code fence is never closed' },
+    ]);
+  });
+
+  it('should leave parsing unchanged', () => {
+    const problems = [];
+    const tree = parseMarkdown('- Orphan\n# Root\n- A', problems);
+    expect(problems).toHaveLength(1);
+    expect(serializeToMarkdown(tree)).toBe('- Orphan\n# Root\n- A');
+  });
+});
+
+describe('normalizeMarkdown', () => {
+  it('should rewrite tree lines with two-space indentation', () => {
+    expect(normalizeMarkdown('#   Root\n    - A   <!--collapsed-->\n        - B\n    - C')).toBe(
+      '# Root\n- A <!-- collapsed -->\n  - B\n- C\n'
+    );
+  });
+
+  it('should keep prose and re-indent notes and images with their node', () => {
+    const text = 'Intro\n# Root\nRoot note\n    - A\n      A note\n      ![](a.png =10x20)\n';
+    expect(normalizeMarkdown(text)).toBe('Intro\n# Root\nRoot note\n- A\n  A note\n  ![](a.png =10x20)\n');
+  });
+
+  it('should be idempotent', () => {
+    const once = normalizeMarkdown('# Root\n   - A\n      - B\n## H\n- C');
+    expect(normalizeMarkdown(once)).toBe(once);
+  });
+});
+
+// ─── Node styles ────────────────────────────────────────────────
+describe('node styles', () => {
+  it('should read the attribute block before the collapsed marker', () => {
+    const tree = parseMarkdown('# Root {.bold size=20}\n- A {.italic shape=cloud fill=#ff0000 stroke=#00FF00} <!-- collapsed -->\n  - B');
+    expect(tree.text).toBe('Root');
+    expect(tree.style).toEqual({ bold: true, fontSize: 20 });
+    const a = tree.children[0];
+    expect(a.text).toBe('A');
+    expect(a.collapsed).toBe(true);
+    expect(a.style).toEqual({ italic: true, shape: 'cloud', fill: '#ff0000', stroke: '#00FF00' });
+    expect(a.children[0].style).toBeUndefined();
+  });
+
+  it('should keep braces that are not a valid style in the text', () => {
+    const tree = parseMarkdown('# Root\n- Set {a, b}\n- X {shape=star}\n- Y {size=100}\n- {.bold}\n- Z {}');
+    expect(tree.children.map((node) => node.text)).toEqual([
+      'Set {a, b}', 'X {shape=star}', 'Y {size=100}', '{.bold}', 'Z {}',
+    ]);
+    expect(tree.children.every((node) => node.style === undefined)).toBe(true);
+  });
+
+  it('should write styles in canonical order', () => {
+    const tree = parseMarkdown('# Root\n- A\n  - A1\n');
+    setNodeStyle(tree.children[0], { fontSize: 18, stroke: '#111111', italic: true, shape: 'ellipse', fill: '#222222', bold: true });
+    tree.children[0].collapsed = true;
+    expect(serializeToMarkdown(tree)).toBe(
+      '# Root\n- A {.bold .italic shape=ellipse fill=#222222 stroke=#111111 size=18} <!-- collapsed -->\n  - A1\n'
+    );
+  });
+
+  it('should keep the original line of unchanged styled nodes', () => {
+    const md = '# Root\n-   A   {size=18 .bold}\n## H {shape=underline}\n';
+    expect(serializeToMarkdown(parseMarkdown(md))).toBe(md);
+  });
+
+  it('should remove properties set to null and drop an empty style', () => {
+    const tree = parseMarkdown('# Root\n- A {.bold shape=cloud}\n');
+    const node = tree.children[0];
+    setNodeStyle(node, { shape: null, italic: true });
+    expect(node.style).toEqual({ bold: true, italic: true });
+    setNodeStyle(node, { bold: false, italic: null });
+    expect(node.style).toBeUndefined();
+    expect(serializeToMarkdown(tree)).toBe('# Root\n- A\n');
+  });
+
+  it('should keep styles in copied subtrees', () => {
+    const tree = parseMarkdown('# Root\n- A {.bold}\n');
+    expect(serializeSubtrees(tree.children)).toBe('- A {.bold}\n');
+    expect(parseOutlineText('- A {.bold}')[0].style).toEqual({ bold: true });
+  });
+
+  it('should size nodes by their font size and weight', () => {
+    const plain = layoutTree(parseMarkdown('# Root\n- Some text'), 0, 0).children[0];
+    const large = layoutTree(parseMarkdown('# Root\n- Some text {size=26}'), 0, 0).children[0];
+    const bold = layoutTree(parseMarkdown('# Root\n- Some text {.bold}'), 0, 0).children[0];
+    expect(plain.fontSize).toBe(getFontSize(1));
+    expect(large.fontSize).toBe(26);
+    expect(large.width).toBeGreaterThan(plain.width);
+    expect(large.height).toBeCloseTo(26 * LINE_HEIGHT_RATIO + NODE_PADDING_Y * 2);
+    expect(bold.width).toBeGreaterThan(plain.width);
+    expect(bold.height).toBe(plain.height);
+  });
+
+  it('should leave room for ellipse and cloud outlines', () => {
+    const plain = layoutTree(parseMarkdown('# Root\n- Some text'), 0, 0).children[0];
+    const ellipse = layoutTree(parseMarkdown('# Root\n- Some text {shape=ellipse}'), 0, 0).children[0];
+    const underline = layoutTree(parseMarkdown('# Root\n- Some text {shape=underline}'), 0, 0).children[0];
+    expect(ellipse.width).toBeGreaterThan(plain.width);
+    expect(ellipse.height).toBeGreaterThan(plain.height);
+    expect(ellipse.textTop).toBe((ellipse.height - plain.height) / 2);
+    expect(underline.width).toBe(plain.width);
+    expect(underline.textTop).toBe(0);
+  });
+
+  it('should describe each shape as an SVG element', () => {
+    const node = { width: 100, height: 40, depth: 1 };
+    expect(getNodeShape(node)).toEqual({ tag: 'rect', attributes: { width: 100, height: 40, rx: 8, ry: 8 } });
+    expect(getNodeShape({ ...node, style: { shape: 'ellipse' } }))
+      .toEqual({ tag: 'ellipse', attributes: { cx: 50, cy: 20, rx: 50, ry: 20 } });
+    expect(getNodeShape({ ...node, style: { shape: 'underline' } }))
+      .toEqual({ tag: 'path', attributes: { d: 'M0,40 H100' } });
+    const cloud = getNodeShape({ ...node, style: { shape: 'cloud' } });
+    expect(cloud.tag).toBe('path');
+    expect(cloud.attributes.d).toMatch(/^M6,6( A[\d.]+,[\d.]+ 0 0 1 [\d.]+,[\d.]+)+ Z$/);
+  });
+});
+
+// ─── Inline Markdown ────────────────────────────────────────────
+describe('parseInlineMarkdown', () => {
+  it('should return plain text as one run', () => {
+    expect(parseInlineMarkdown('Plain text')).toEqual([{ text: 'Plain text' }]);
+    expect(parseInlineMarkdown('')).toEqual([]);
+  });
+
+  it('should split formatted spans into runs', () => {
+    expect(parseInlineMarkdown('a **b** *c* ~~d~~ `e` [f](https://x.y/z)')).toEqual([
+      { text: 'a ' },
+      { text: 'b', bold: true },
+      { text: ' ' },
+      { text: 'c', italic: true },
+      { text: ' ' },
+      { text: 'd', strike: true },
+      { text: ' ' },
+      { text: 'e', code: true },
+      { text: ' ' },
+      { text: 'f', link: 'https://x.y/z' },
+    ]);
+  });
+
+  it('should nest formatting', () => {
+    expect(parseInlineMarkdown('**bold *both* `code`**')).toEqual([
+      { text: 'bold ', bold: true },
+      { text: 'both', bold: true, italic: true },
+      { text: ' ', bold: true },
+      { text: 'code', bold: true, code: true },
+    ]);
+    expect(parseInlineMarkdown('[**spec** v2](spec.md)')).toEqual([
+      { text: 'spec', link: 'spec.md', bold: true },
+      { text: ' v2', link: 'spec.md' },
+    ]);
+  });
+
+  it('should keep code span contents literal', () => {
+    expect(parseInlineMarkdown('`**a**` and ``a ` b``')).toEqual([
+      { text: '**a**', code: true },
+      { text: ' and ' },
+      { text: 'a ` b', code: true },
+    ]);
+  });
+
+  it('should leave unmatched and escaped markers as text', () => {
+    expect(stripInlineMarkdown('2 * 3 * 4')).toBe('2 * 3 * 4');
+    expect(stripInlineMarkdown('**open')).toBe('**open');
+    expect(stripInlineMarkdown('snake_case_name')).toBe('snake_case_name');
+    expect(stripInlineMarkdown('\\*not italic\\*')).toBe('*not italic*');
+    expect(stripInlineMarkdown('`unclosed')).toBe('`unclosed');
+    expect(stripInlineMarkdown('[no link]')).toBe('[no link]');
+  });
+
+  it('should read wiki links with optional labels', () => {
+    expect(parseInlineMarkdown('See [[Project Plan]] and [[notes/todo|the list]]')).toEqual([
+      { text: 'See ' },
+      { text: 'Project Plan', link: 'Project Plan', wiki: true },
+      { text: ' and ' },
+      { text: 'the list', link: 'notes/todo', wiki: true },
+    ]);
+  });
+});
+
+// ─── Links ──────────────────────────────────────────────────────
+describe('links', () => {
+  it('should list the links of a node once each', () => {
+    expect(getNodeLinks('[a](x.md) [b](x.md) [[x.md]] plain')).toEqual([
+      { target: 'x.md', wiki: false },
+      { target: 'x.md', wiki: true },
+    ]);
+    expect(getNodeLinks('no links')).toEqual([]);
+  });
+
+  it('should give layout nodes their links', () => {
+    const layout = layoutTree(parseMarkdown('# Root\n- [spec](https://example.com)'), 0, 0);
+    expect(layout.links).toEqual([]);
+    expect(layout.children[0].links).toEqual([{ target: 'https://example.com', wiki: false }]);
+  });
+
+  it('should tell URLs from files and anchors', () => {
+    expect(parseLinkTarget('https://example.com/a#b')).toEqual({ url: 'https://example.com/a#b' });
+    expect(parseLinkTarget('mailto:me@example.com')).toEqual({ url: 'mailto:me@example.com' });
+    expect(parseLinkTarget('src/a%20b.ts#L12')).toEqual({ paths: ['src/a b.ts'], line: 12 });
+    expect(parseLinkTarget('src/a.ts#L3-L9')).toEqual({ paths: ['src/a.ts'], line: 3 });
+    expect(parseLinkTarget('other.mindmap.md#next-steps')).toEqual({ paths: ['other.mindmap.md'], anchor: 'next-steps' });
+    expect(parseLinkTarget('#Goals')).toEqual({ anchor: 'Goals' });
+    expect(parseLinkTarget('C:\\docs\\a.md')).toEqual({ paths: ['C:\\docs\\a.md'] });
+  });
+
+  it('should try mindmap and Markdown files for wiki links without an extension', () => {
+    expect(parseLinkTarget('Plan#Next Steps', true)).toEqual({
+      paths: ['Plan.mindmap.md', 'Plan.md'],
+      anchor: 'Next Steps',
+    });
+    expect(parseLinkTarget('docs/a%20b.txt', true)).toEqual({ paths: ['docs/a%20b.txt'] });
+    expect(parseLinkTarget('#Goals', true)).toEqual({ anchor: 'Goals' });
+  });
+
+  it('should find nodes by text or slug in document order', () => {
+    const tree = parseMarkdown('# Root\n- Goals\n  - Next **Steps**!\n- Next Steps');
+    expect(findNodeByAnchor(tree, 'Goals')).toBe(tree.children[0]);
+    expect(findNodeByAnchor(tree, 'next-steps')).toBe(tree.children[0].children[0]);
+    expect(findNodeByAnchor(tree, 'Next Steps')).toBe(tree.children[0].children[0]);
+    expect(findNodeByAnchor(tree, 'missing')).toBeNull();
+    expect(findNodeByAnchor(tree, '')).toBeNull();
+  });
+});
+
+// ─── Tasks ──────────────────────────────────────────────────────
+describe('tasks', () => {
+  it('should parse GitHub task items into a done state', () => {
+    const tree = parseMarkdown('# Plan\n- [ ] Open\n- [x] Done {.bold}\n- [X] Upper <!-- collapsed -->\n  - Step\n- [] Not a task\n- [x]\n- Plain');
+    const [open, done, upper, notTask, empty, plain] = tree.children;
+    expect(open).toMatchObject({ text: 'Open', done: false });
+    expect(done).toMatchObject({ text: 'Done', done: true, style: { bold: true } });
+    expect(upper).toMatchObject({ text: 'Upper', done: true, collapsed: true });
+    expect(notTask.text).toBe('[] Not a task');
+    expect(empty).toMatchObject({ text: '', done: true });
+    expect(plain.done).toBeUndefined();
+    expect([open, notTask, plain].map(isTask)).toEqual([true, false, false]);
+  });
+
+  it('should round-trip task items and keep unchanged lines', () => {
+    const md = '# Plan\n- [X] Upper\n- [ ]   Spaced\n- [x]\n';
+    expect(serializeToMarkdown(parseMarkdown(md))).toBe(md);
+  });
+
+  it('should write the marker before the text and after a toggle', () => {
+    const tree = parseMarkdown('# Plan\n- [ ] A {.italic}\n  - B\n- C\n');
+    tree.children[0].done = true;
+    tree.children[0].collapsed = true;
+    tree.children[1].done = false;
+    delete tree.children[0].children[0].done;
+    expect(serializeToMarkdown(tree)).toBe('# Plan\n- [x] A {.italic} <!-- collapsed -->\n  - B\n- [ ] C\n');
+    delete tree.children[1].done;
+    expect(serializeToMarkdown(tree)).toContain('\n- C\n');
+  });
+
+  it('should count the tasks among all descendants', () => {
+    const tree = parseMarkdown('# Plan\n- Phase\n  - [x] A\n  - [ ] B\n    - [x] B1\n  - Note\n- [ ] C');
+    expect(getTaskProgress(tree)).toEqual({ done: 2, total: 4 });
+    expect(getTaskProgress(tree.children[0])).toEqual({ done: 2, total: 3 });
+    expect(getTaskProgress(tree.children[1])).toEqual({ done: 0, total: 0 });
+  });
+
+  it('should make room for the checkbox and the progress count', () => {
+    const plain = layoutTree(parseMarkdown('# Plan\n- Phase\n  - Step'), 0, 0);
+    const tasks = layoutTree(parseMarkdown('# Plan\n- [ ] Phase\n  - [x] Step'), 0, 0);
+    const [phase, step] = [tasks.children[0], tasks.children[0].children[0]];
+    expect(phase.done).toBe(false);
+    expect(phase.progress).toEqual({ done: 1, total: 1 });
+    expect(step.progress).toBeNull();
+    expect(plain.children[0].done).toBeNull();
+    expect(phase.width).toBeGreaterThan(plain.children[0].width + 30);
+    expect(step.width).toBe(plain.children[0].children[0].width + 18);
+    expect(phase.textLeft).toBeGreaterThan(0);
+    expect(phase.textRight).toBeGreaterThan(0);
+  });
+
+  it('should count the tasks of collapsed and nested branches in the layout', () => {
+    const layoutRoot = layoutTree(parseMarkdown('# Plan\n- Phase\n  - [ ] A\n    - [x] A1\n- Later <!-- collapsed -->\n  - [x] B'), 0, 0);
+    expect(layoutRoot.progress).toEqual({ done: 2, total: 3 });
+    expect(layoutRoot.children[0].progress).toEqual({ done: 1, total: 2 });
+    expect(layoutRoot.children[0].children[0].progress).toEqual({ done: 1, total: 1 });
+    expect(layoutRoot.children[1].progress).toEqual({ done: 1, total: 1 });
+  });
+
+  it('should center the text between the checkbox and the progress ring', () => {
+    const layoutRoot = layoutTree(parseMarkdown('# Plan\n- [ ] Phase\n  - [x] Step\n  - [ ] Next'), 0, 0);
+    const phase = layoutRoot.children[0];
+    const decorations = getNodeDecorations(phase);
+    expect(decorations.checkbox.x).toBe(16);
+    expect(decorations.textX).toBe((phase.textLeft + phase.width - phase.textRight) / 2);
+    expect(decorations.progress).toMatchObject({ label: '1/2', fraction: 0.5, labelX: phase.width - 16 });
+    expect(decorations.progress.cx).toBeLessThan(decorations.progress.labelX);
+    expect(decorations.progress.cx).toBeGreaterThan(decorations.textX);
+    expect(getNodeDecorations(layoutRoot.children[0].children[0]).progress).toBeNull();
+  });
+});
+
+// ─── Markers ────────────────────────────────────────────────────
+describe('markers', () => {
+  it('should read priority, icons and tags from the end of the text', () => {
+    const tree = parseMarkdown('# Plan #q3\n- [ ] Ship it #api !1 :check: #Ops {.bold} <!-- collapsed -->\n  - A\n- Fix #12 and C#\n- #only\n- Text :nope: #a');
+    expect(tree).toMatchObject({ text: 'Plan', tags: ['q3'] });
+    const [ship, fix, only, nope] = tree.children;
+    expect(ship).toMatchObject({
+      text: 'Ship it', done: false, collapsed: true, priority: 1, icons: ['check'], tags: ['api', 'Ops'], style: { bold: true },
+    });
+    expect(fix.text).toBe('Fix #12 and C#');
+    expect(fix.tags).toBeUndefined();
+    expect(only.text).toBe('#only');
+    expect(nope).toMatchObject({ text: 'Text :nope:', tags: ['a'] });
+  });
+
+  it('should stop at a second priority and drop repeated tags', () => {
+    const tree = parseMarkdown('# Root\n- A !1 !2\n- B #x #y #x');
+    expect(tree.children[0]).toMatchObject({ text: 'A !1', priority: 2 });
+    expect(tree.children[1].tags).toEqual(['y', 'x']);
+  });
+
+  it('should write markers in canonical order and keep unchanged lines', () => {
+    const md = '# Root\n- A #b :star:   !2\n';
+    expect(serializeToMarkdown(parseMarkdown(md))).toBe(md);
+    const tree = parseMarkdown(md);
+    setNodeMarkers(tree.children[0], { tags: ['b', 'c'] });
+    expect(serializeToMarkdown(tree)).toBe('# Root\n- A !2 :star: #b #c\n');
+    setNodeMarkers(tree.children[0], { priority: null, icons: [], tags: null });
+    expect(serializeToMarkdown(tree)).toBe('# Root\n- A\n');
+  });
+
+  it('should edit text together with its markers', () => {
+    const node = parseMarkdown('# Root\n- A !3 #x').children[0];
+    expect(getNodeEditText(node)).toBe('A !3 #x');
+    setNodeText(node, 'B :flag: #y');
+    expect(node).toMatchObject({ text: 'B', icons: ['flag'], tags: ['y'] });
+    expect(node.priority).toBeUndefined();
+  });
+
+  it('should edit the task box and style block like the parser reads them', () => {
+    const node = parseMarkdown('# Root\n- [ ] A !1 {.bold}').children[0];
+    expect(getNodeEditText(node)).toBe('[ ] A !1 {.bold}');
+    setNodeText(node, '[x] b {.italic}');
+    expect(node).toMatchObject({ text: 'b', done: true, style: { italic: true } });
+    expect(node.style.bold).toBeUndefined();
+    expect(node.priority).toBeUndefined();
+    setNodeText(node, 'c');
+    expect(node.done).toBeUndefined();
+    expect(node.style).toBeUndefined();
+  });
+
+  it('should match and collect tags case-insensitively', () => {
+    const tree = parseMarkdown('# Root #Zeta\n- A #api\n  - B #API #beta');
+    expect(hasTag(tree.children[0].children[0], 'Api')).toBe(true);
+    expect(hasTag(tree, 'api')).toBe(false);
+    expect(collectTags(tree)).toEqual(['api', 'beta', 'Zeta']);
+  });
+
+  it('should make room for the badges', () => {
+    const plain = layoutTree(parseMarkdown('# Root\n- Task'), 0, 0).children[0];
+    const marked = layoutTree(parseMarkdown('# Root\n- Task !1 :check: #api'), 0, 0).children[0];
+    expect(marked).toMatchObject({ priority: 1, icons: ['check'], tags: ['api'] });
+    expect(marked.width).toBe(plain.width + 24 + 18 + 36);
+    expect(marked.textLeft).toBe(24 + 18);
+    expect(marked.textRight).toBe(36);
+  });
+
+  it('should place badges beside the text', () => {
+    const node = layoutTree(parseMarkdown('# Root\n- [ ] Task !2 #api'), 0, 0).children[0];
+    const { badges, checkbox } = getNodeDecorations(node);
+    expect(badges.map((badge) => [badge.kind, badge.label])).toEqual([['priority', 'P2'], ['tag', '#api']]);
+    expect(badges[0].x).toBe(checkbox.x + 18);
+    expect(badges[1].x + badges[1].width).toBe(node.width - 16);
+  });
+});
+
 // ─── wrapText ───────────────────────────────────────────────────
 describe('wrapText', () => {
   it('should not wrap short text', () => {
@@ -339,6 +866,15 @@ describe('wrapText', () => {
     expect(lines.join('')).toBe(longText);
   });
 
+  it('should wrap the text as drawn and keep run formatting across lines', () => {
+    const lines = wrapRuns(parseInlineMarkdown(`a **${'b'.repeat(30)}**`), 14, 300);
+    expect(lines.length).toBe(2);
+    expect(lines[0][0]).toEqual({ text: 'a ' });
+    expect(lines[0][1].bold).toBe(true);
+    expect(lines[1]).toEqual([{ text: lines[1][0].text, bold: true }]);
+    expect(wrapText(`a **${'b'.repeat(30)}**`, 14, 300).join('')).toBe(`a ${'b'.repeat(30)}`);
+  });
+
   it('should respect maxWidth for wrapping', () => {
     const text = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ1234567890';
     const fontSize = 14;
@@ -386,6 +922,13 @@ describe('measureTextWidth', () => {
     const w2 = measureTextWidth('Test', 16);
     expect(w2).toBeGreaterThan(w1);
   });
+
+  it('should not count Markdown syntax', () => {
+    expect(measureTextWidth('`code` [spec](https://example.com/spec)', 14))
+      .toBe(measureTextWidth('code spec', 14));
+    expect(measureTextWidth('**bold**', 14)).toBe(measureTextWidth('bold', 14, true));
+    expect(measureTextWidth('bold', 14, true)).toBeGreaterThan(measureTextWidth('bold', 14));
+  });
 });
 
 // ─── getFontSize ────────────────────────────────────────────────
@@ -501,6 +1044,13 @@ describe('layoutTree', () => {
     expect(layout.headingLevel).toBe(2);
   });
 
+  it('should flag nodes that carry a note', () => {
+    const tree = parseMarkdown('# Root\n- A\n  a note\n- B');
+    const layout = layoutTree(tree, 0, 0);
+    expect(layout.children[0].hasNote).toBe(true);
+    expect(layout.children[1].hasNote).toBe(false);
+  });
+
   it('should handle image nodes with correct dimensions', () => {
     const node = { id: 'n1', text: 'Pic', image: 'img.png', children: [] };
     const layout = layoutTree(node, 0, 0);
@@ -573,53 +1123,1308 @@ describe('positionNodes', () => {
   });
 });
 
-// ─── preserveCollapsedState ─────────────────────────────────────
-describe('preserveCollapsedState', () => {
-  it('should copy collapsed state', () => {
-    const oldNode = { collapsed: true, children: [] };
-    const newNode = { children: [] };
-    preserveCollapsedState(oldNode, newNode);
-    expect(newNode.collapsed).toBe(true);
+// ─── Balanced layout ────────────────────────────────────────────
+function makeBranches(sizes) {
+  return {
+    id: 'root',
+    text: 'Root',
+    children: sizes.map((size, i) => ({
+      id: `b${i}`,
+      text: `Branch ${i}`,
+      children: Array.from({ length: size }, (_, j) => ({ id: `b${i}-${j}`, text: `Leaf ${j}`, children: [] })),
+    })),
+  };
+}
+
+describe('positionNodes (left side)', () => {
+  it('should grow subtrees to the left of x', () => {
+    const layout = layoutTree(makeBranches([2]).children[0], 1, 0);
+    positionNodes(layout, 0, 0, 'left');
+    expect(layout.side).toBe('left');
+    expect(layout.x + layout.width).toBeCloseTo(0, 5);
+    for (const child of layout.children) {
+      expect(child.side).toBe('left');
+      expect(child.x + child.width).toBeCloseTo(layout.x - NODE_GAP_X, 5);
+    }
   });
+});
 
-  it('should copy headingLevel', () => {
-    const oldNode = { headingLevel: 2, children: [] };
-    const newNode = { children: [] };
-    preserveCollapsedState(oldNode, newNode);
-    expect(newNode.headingLevel).toBe(2);
+describe('splitBranches', () => {
+  it('should put a single branch on the right', () => {
+    expect(splitBranches(layoutTree(makeBranches([3]), 0, 0))).toBe(1);
   });
 
-  it('should copy image properties', () => {
-    const oldNode = { image: 'pic.png', imageWidth: 100, imageHeight: 50, children: [] };
-    const newNode = { children: [] };
-    preserveCollapsedState(oldNode, newNode);
-    expect(newNode.image).toBe('pic.png');
-    expect(newNode.imageWidth).toBe(100);
-    expect(newNode.imageHeight).toBe(50);
+  it('should split equal branches in half', () => {
+    expect(splitBranches(layoutTree(makeBranches([1, 1, 1, 1]), 0, 0))).toBe(2);
   });
 
-  it('should recurse into children', () => {
-    const oldNode = {
-      collapsed: true,
-      children: [{ collapsed: true, headingLevel: 3, children: [] }],
-    };
-    const newNode = { children: [{ children: [] }] };
-    preserveCollapsedState(oldNode, newNode);
-    expect(newNode.children[0].collapsed).toBe(true);
-    expect(newNode.children[0].headingLevel).toBe(3);
+  it('should split by subtree height, not by count', () => {
+    expect(splitBranches(layoutTree(makeBranches([6, 1, 1, 1, 1, 1]), 0, 0))).toBe(1);
   });
 
-  it('should handle mismatched children lengths', () => {
-    const oldNode = {
-      children: [
-        { collapsed: true, children: [] },
-        { collapsed: true, children: [] },
-      ],
+  it('should favour the right side on ties', () => {
+    expect(splitBranches(layoutTree(makeBranches([1, 1, 1]), 0, 0))).toBe(2);
+  });
+
+  it('should return 0 for a root without children', () => {
+    expect(splitBranches(layoutTree(makeBranches([]), 0, 0))).toBe(0);
+  });
+});
+
+describe('positionBalanced', () => {
+  it('should place branches on both sides of the root', () => {
+    const layout = layoutTree(makeBranches([2, 2, 2, 2]), 0, 0);
+    positionBalanced(layout, 0, 0);
+    const [a, b, c, d] = layout.children;
+    expect([a.side, b.side, c.side, d.side]).toEqual(['right', 'right', 'left', 'left']);
+    expect(a.x).toBe(layout.width + NODE_GAP_X);
+    expect(c.x + c.width).toBeCloseTo(-NODE_GAP_X, 5);
+    expect(c.children[0].x + c.children[0].width).toBeCloseTo(c.x - NODE_GAP_X, 5);
+    expect(c.children[0].side).toBe('left');
+  });
+
+  it('should keep document order top to bottom on each side', () => {
+    const layout = layoutTree(makeBranches([1, 1, 1, 1]), 0, 0);
+    positionBalanced(layout, 0, 0);
+    const [a, b, c, d] = layout.children;
+    expect(b.y).toBeGreaterThan(a.y);
+    expect(d.y).toBeGreaterThan(c.y);
+  });
+
+  it('should be shorter than the one-sided layout', () => {
+    const bounds = (layout) => {
+      const ys = [];
+      (function walk(n) { ys.push(n.y, n.y + n.height); n.children.forEach(walk); })(layout);
+      return Math.max(...ys) - Math.min(...ys);
     };
-    const newNode = { children: [{ children: [] }] };
-    // Should not throw
-    preserveCollapsedState(oldNode, newNode);
-    expect(newNode.children[0].collapsed).toBe(true);
+    const right = layoutTree(makeBranches([2, 2, 2, 2, 2, 2]), 0, 0);
+    positionNodes(right, 0, 0);
+    const balanced = layoutTree(makeBranches([2, 2, 2, 2, 2, 2]), 0, 0);
+    positionBalanced(balanced, 0, 0);
+    expect(bounds(balanced)).toBeLessThan(bounds(right) * 0.6);
+  });
+
+  it('should center the root on the taller side', () => {
+    const layout = layoutTree(makeBranches([4, 1]), 0, 0);
+    positionBalanced(layout, 0, 0);
+    const [a] = layout.children;
+    const rootCenter = layout.y + layout.height / 2;
+    expect(rootCenter).toBeCloseTo(computeSubtreeHeight(a) / 2, 5);
+  });
+});
+
+describe('positionLayout', () => {
+  it('should default to the right-growing layout', () => {
+    const layout = layoutTree(makeBranches([1, 1]), 0, 0);
+    positionLayout(layout);
+    expect(layout.children.every((c) => c.side === 'right')).toBe(true);
+  });
+
+  it('should use the balanced layout for "balanced"', () => {
+    const layout = layoutTree(makeBranches([1, 1]), 0, 0);
+    positionLayout(layout, 'balanced');
+    expect(layout.children.map((c) => c.side)).toEqual(['right', 'left']);
+  });
+});
+
+// ─── Alternative layouts ────────────────────────────────────────
+function positioned(md, mode) {
+  const layout = layoutTree(parseMarkdown(md), 0, 0);
+  positionLayout(layout, mode);
+  const byText = {};
+  (function walk(n) { byText[n.text] = n; n.children.forEach(walk); })(layout);
+  return byText;
+}
+
+function overlaps(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+const LAYOUT_SAMPLE = '# Root\n## A\n- A1\n  - A1a\n  - A1b\n  - A1c\n- A2\n## Much longer branch\n- B1\n';
+
+describe('layout modes', () => {
+  for (const mode of LAYOUT_MODES) {
+    it(`should not overlap nodes in the "${mode}" layout`, () => {
+      const nodes = Object.values(positioned(LAYOUT_SAMPLE, mode));
+      for (let i = 0; i < nodes.length; i++) {
+        for (let j = i + 1; j < nodes.length; j++) {
+          expect(overlaps(nodes[i], nodes[j]), `${nodes[i].text} / ${nodes[j].text}`).toBe(false);
+        }
+      }
+    });
+  }
+});
+
+describe('logic chart layout', () => {
+  it('should align each depth in one column', () => {
+    const n = positioned(LAYOUT_SAMPLE, 'logic');
+    expect(n['A'].x).toBe(n['Much longer branch'].x);
+    expect(n['A1'].x).toBe(n['B1'].x);
+    expect(n['B1'].x).toBe(n['Much longer branch'].x + n['Much longer branch'].width + NODE_GAP_X);
+  });
+});
+
+describe('org chart layout', () => {
+  it('should place children below their parent', () => {
+    const n = positioned(LAYOUT_SAMPLE, 'org');
+    expect(n['A'].y).toBeGreaterThan(n['Root'].y + n['Root'].height);
+    expect(n['A1'].y).toBeGreaterThan(n['A'].y + n['A'].height);
+    expect(n['A'].y).toBe(n['Much longer branch'].y);
+  });
+
+  it('should spread siblings left to right in document order', () => {
+    const n = positioned(LAYOUT_SAMPLE, 'org');
+    expect(n['Much longer branch'].x).toBeGreaterThan(n['A'].x + n['A'].width);
+    expect(n['A1b'].x).toBeGreaterThan(n['A1a'].x);
+  });
+
+  it('should center a parent over its children', () => {
+    const n = positioned('# Root\n- A\n- B\n', 'org');
+    const center = (node) => node.x + node.width / 2;
+    expect(center(n['Root'])).toBeCloseTo((center(n['A']) + center(n['B'])) / 2, 5);
+  });
+
+  it('should use the wider of a node and its children for subtree width', () => {
+    const layout = layoutTree(parseMarkdown('# Root\n- A\n- B\n'), 0, 0);
+    const [a, b] = layout.children;
+    expect(computeSubtreeWidth(layout)).toBe(Math.max(layout.width, a.width + b.width + 24));
+  });
+});
+
+describe('tidy tree layout', () => {
+  it('should pack a shallow sibling under a deep neighbour', () => {
+    const tidy = positioned(LAYOUT_SAMPLE, 'tidy');
+    const logic = positioned(LAYOUT_SAMPLE, 'logic');
+    expect(tidy['A2'].y).toBeLessThan(logic['A2'].y);
+  });
+
+  it('should center a parent on its first and last child', () => {
+    const n = positioned(LAYOUT_SAMPLE, 'tidy');
+    const center = (node) => node.y + node.height / 2;
+    expect(center(n['A1'])).toBeCloseTo((center(n['A1a']) + center(n['A1c'])) / 2, 5);
+  });
+
+  it('should keep siblings in document order', () => {
+    const n = positioned(LAYOUT_SAMPLE, 'tidy');
+    expect(n['A1b'].y).toBeGreaterThan(n['A1a'].y);
+    expect(n['Much longer branch'].y).toBeGreaterThan(n['A'].y);
+  });
+
+  it('should start at the top of the layout', () => {
+    const nodes = Object.values(positioned(LAYOUT_SAMPLE, 'tidy'));
+    expect(Math.min(...nodes.map((node) => node.y))).toBeCloseTo(0, 5);
+  });
+});
+
+describe('timeline layout', () => {
+  it('should put first-level nodes in a row on the root axis', () => {
+    const n = positioned(LAYOUT_SAMPLE, 'timeline');
+    const center = (node) => node.y + node.height / 2;
+    expect(center(n['A'])).toBeCloseTo(center(n['Root']), 5);
+    expect(center(n['Much longer branch'])).toBeCloseTo(center(n['Root']), 5);
+    expect(n['Much longer branch'].x).toBeGreaterThan(n['A1b'].x + n['A1b'].width);
+  });
+
+  it('should hang descendants below as an indented outline', () => {
+    const n = positioned(LAYOUT_SAMPLE, 'timeline');
+    expect(n['A1'].y).toBeGreaterThan(n['A'].y + n['A'].height);
+    expect(n['A1'].x).toBeGreaterThan(n['A'].x);
+    expect(n['A1a'].x).toBeGreaterThan(n['A1'].x);
+    expect(n['A2'].y).toBeGreaterThan(n['A1c'].y);
+    expect(n['A2'].x).toBe(n['A1'].x);
+    expect(n['A1'].side).toBe('down');
+  });
+});
+
+describe('getConnectionPath', () => {
+  const from = { x: 0, y: 0, width: 100, height: 20, side: 'right' };
+  const to = { x: 160, y: 40, width: 80, height: 20, side: 'right' };
+
+  it('should draw a curve by default', () => {
+    expect(getConnectionPath(from, to, 'right')).toBe('M100,10 C130,10 130,50 160,50');
+  });
+
+  it('should attach left-side children to the opposite edges', () => {
+    const left = { x: -140, y: 40, width: 80, height: 20, side: 'left' };
+    expect(getConnectionPath(from, left, 'balanced')).toBe('M0,10 C-30,10 -30,50 -60,50');
+  });
+
+  it('should draw elbows for logic charts', () => {
+    expect(getConnectionPath(from, to, 'logic')).toBe('M100,10 H130 V50 H160');
+  });
+
+  it('should connect bottom to top in org charts', () => {
+    const below = { x: 10, y: 60, width: 80, height: 20, side: 'down' };
+    expect(getConnectionPath(from, below, 'org')).toBe('M50,20 V40 H50 V60');
+  });
+});
+
+describe('getCollapseIndicatorPosition', () => {
+  const node = { width: 100, height: 20, depth: 1, side: 'right' };
+
+  it('should sit on the edge the children grow from', () => {
+    expect(getCollapseIndicatorPosition(node, 'right')).toEqual({ x: 98, y: 10 });
+    expect(getCollapseIndicatorPosition({ ...node, side: 'left' }, 'balanced')).toEqual({ x: 2, y: 10 });
+    expect(getCollapseIndicatorPosition(node, 'org')).toEqual({ x: 50, y: 18 });
+  });
+});
+
+// ─── Document settings ──────────────────────────────────────────
+describe('document settings', () => {
+  it('should read a setting from the lines before the root', () => {
+    const tree = parseMarkdown('<!-- mindmap-layout: org -->\n# Root\n');
+    expect(getDocumentSetting(tree, 'layout')).toBe('org');
+    expect(getDocumentSetting(tree, 'theme')).toBeNull();
+  });
+
+  it('should add a setting above the root heading, after front matter', () => {
+    const tree = parseMarkdown('---\ntitle: x\n---\n# Root\n- A\n');
+    expect(setDocumentSetting(tree, 'layout', 'tidy')).toBe(true);
+    expect(serializeToMarkdown(tree)).toBe('---\ntitle: x\n---\n<!-- mindmap-layout: tidy -->\n# Root\n- A\n');
+  });
+
+  it('should replace and remove a setting', () => {
+    const tree = parseMarkdown('<!-- mindmap-layout: org -->\n# Root\n');
+    setDocumentSetting(tree, 'layout', 'timeline');
+    expect(serializeToMarkdown(tree)).toBe('<!-- mindmap-layout: timeline -->\n# Root\n');
+    setDocumentSetting(tree, 'layout', null);
+    expect(serializeToMarkdown(tree)).toBe('# Root\n');
+  });
+
+  it('should report unchanged settings', () => {
+    const tree = parseMarkdown('<!-- mindmap-layout: org -->\n# Root\n');
+    expect(setDocumentSetting(tree, 'layout', 'org')).toBe(false);
+    expect(setDocumentSetting(tree, 'theme', null)).toBe(false);
+  });
+
+  it('should not treat the setting as a node', () => {
+    const tree = parseMarkdown('<!-- mindmap-layout: org -->\n# Root\n- A\n');
+    expect(tree.text).toBe('Root');
+    expect(tree.children).toHaveLength(1);
+  });
+});
+
+// ─── reconcileTree ──────────────────────────────────────────────
+describe('reconcileTree', () => {
+  function ids(node) {
+    const map = {};
+    (function walk(n) {
+      map[n.text] = n.id;
+      n.children.forEach(walk);
+    })(node);
+    return map;
+  }
+
+  function reparse(oldMd, newMd, selectedText) {
+    const oldTree = parseMarkdown(oldMd);
+    const oldIds = ids(oldTree);
+    const newTree = parseMarkdown(newMd);
+    const selected = reconcileTree(oldTree, newTree, selectedText ? oldIds[selectedText] : null);
+    return { oldIds, newIds: ids(newTree), newTree, selected };
+  }
+
+  it('should keep ids of unchanged nodes', () => {
+    const md = '# Root\n- A\n  - A1\n- B';
+    const { oldIds, newIds } = reparse(md, md);
+    expect(newIds).toEqual(oldIds);
+  });
+
+  it('should keep ids when a node is inserted above', () => {
+    const { oldIds, newIds } = reparse('# Root\n- A\n- B', '# Root\n- New\n- A\n- B');
+    expect(newIds.A).toBe(oldIds.A);
+    expect(newIds.B).toBe(oldIds.B);
+    expect(Object.values(oldIds)).not.toContain(newIds.New);
+  });
+
+  it('should keep ids of the remaining nodes when one is deleted', () => {
+    const { oldIds, newIds } = reparse('# Root\n- A\n- B\n- C', '# Root\n- A\n- C');
+    expect(newIds.A).toBe(oldIds.A);
+    expect(newIds.C).toBe(oldIds.C);
+  });
+
+  it('should follow a node moved to another parent', () => {
+    const { oldIds, newIds } = reparse(
+      '# Root\n- A\n  - Moved\n    - Kid\n- B',
+      '# Root\n- A\n- B\n  - Moved\n    - Kid',
+    );
+    expect(newIds.Moved).toBe(oldIds.Moved);
+    expect(newIds.Kid).toBe(oldIds.Kid);
+  });
+
+  it('should follow a renamed node by position and keep its subtree', () => {
+    const { oldIds, newIds } = reparse(
+      '# Root\n- A\n- Old name\n  - Child\n- C',
+      '# Root\n- A\n- New name\n  - Child\n- C',
+    );
+    expect(newIds['New name']).toBe(oldIds['Old name']);
+    expect(newIds.Child).toBe(oldIds.Child);
+  });
+
+  it('should match a renamed root', () => {
+    const { oldIds, newIds } = reparse('# Old\n- A', '# New\n- A');
+    expect(newIds.New).toBe(oldIds.Old);
+  });
+
+  it('should keep duplicate texts in order', () => {
+    const oldTree = parseMarkdown('# Root\n- Same\n- Same');
+    const [first, second] = oldTree.children.map((c) => c.id);
+    const newTree = parseMarkdown('# Root\n- Other\n- Same\n- Same');
+    reconcileTree(oldTree, newTree, null);
+    expect(newTree.children[1].id).toBe(first);
+    expect(newTree.children[2].id).toBe(second);
+  });
+
+  it('should keep the selection on a surviving node', () => {
+    const { oldIds, selected } = reparse('# Root\n- A\n- B', '# Root\n- B\n- A', 'A');
+    expect(selected).toBe(oldIds.A);
+  });
+
+  it('should select the closest surviving ancestor of a deleted node', () => {
+    const { oldIds, selected } = reparse('# Root\n- A\n  - Gone', '# Root\n- A', 'Gone');
+    expect(selected).toBe(oldIds.A);
+  });
+
+  it('should return null when nothing was selected', () => {
+    const { selected } = reparse('# Root', '# Root', null);
+    expect(selected).toBeNull();
+  });
+
+  it('should carry collapse state only where the document does not define it', () => {
+    const oldTree = parseMarkdown('# Root\n- A <!-- collapsed -->\n  - A1');
+    const parsed = parseMarkdown('# Root\n- A\n  - A1');
+    reconcileTree(oldTree, parsed, null);
+    expect(parsed.children[0].collapsed).toBe(false);
+
+    const built = { text: 'Root', children: [{ text: 'A', children: [{ text: 'A1', children: [] }] }] };
+    reconcileTree(oldTree, built, null);
+    expect(built.children[0].collapsed).toBe(true);
+  });
+
+  it('should carry images not yet written to the document', () => {
+    const oldTree = parseMarkdown('# Root\n- A\n- B\n  ![](b.png)');
+    oldTree.children[0].image = 'pasted.png';
+    const newTree = parseMarkdown('# Root\n- A\n- B');
+    reconcileTree(oldTree, newTree, null);
+    expect(newTree.children[0].image).toBe('pasted.png');
+    expect(newTree.children[1].image).toBeUndefined();
+  });
+});
+
+// ─── getSelectionRoots ──────────────────────────────────────────
+describe('getSelectionRoots', () => {
+  const tree = () => parseMarkdown('# Root\n- A\n  - A1\n  - A2\n- B\n- C');
+
+  it('should return selected nodes in document order', () => {
+    const t = tree();
+    const [a, b, c] = t.children;
+    expect(getSelectionRoots(t, [c.id, a.id]).map((n) => n.text)).toEqual(['A', 'C']);
+    expect(getSelectionRoots(t, new Set([b.id])).map((n) => n.text)).toEqual(['B']);
+  });
+
+  it('should skip nodes inside another selected node', () => {
+    const t = tree();
+    const a = t.children[0];
+    const roots = getSelectionRoots(t, [a.children[1].id, a.id, t.children[2].id]);
+    expect(roots.map((n) => n.text)).toEqual(['A', 'C']);
+  });
+
+  it('should return an empty list for unknown ids', () => {
+    expect(getSelectionRoots(tree(), ['nope'])).toEqual([]);
+  });
+});
+
+// ─── groupNodes ─────────────────────────────────────────────────
+describe('groupNodes', () => {
+  it('should group siblings under a new node at the first position', () => {
+    const t = parseMarkdown('# Root\n- A\n- B\n- C\n');
+    const [, b, c] = t.children;
+    const group = groupNodes(t, [c.id, b.id], 'G');
+    expect(group.text).toBe('G');
+    expect(t.children.map((n) => n.text)).toEqual(['A', 'G']);
+    expect(group.children.map((n) => n.text)).toEqual(['B', 'C']);
+    expect(serializeToMarkdown(t)).toBe('# Root\n- A\n- G\n  - B\n  - C\n');
+  });
+
+  it('should gather nodes from different parents', () => {
+    const t = parseMarkdown('# Root\n- A\n  - A1\n- B\n  - B1\n');
+    const group = groupNodes(t, [t.children[0].children[0].id, t.children[1].children[0].id]);
+    expect(group.text).toBe('New Group');
+    expect(t.children[0].children.map((n) => n.text)).toEqual(['New Group']);
+    expect(t.children[1].children).toEqual([]);
+    expect(group.children.map((n) => n.text)).toEqual(['A1', 'B1']);
+  });
+
+  it('should make a heading group and demote grouped headings', () => {
+    const t = parseMarkdown('# Root\n## A\n- a\n## B\n### B1\n');
+    const group = groupNodes(t, [t.children[0].id, t.children[1].id], 'G');
+    expect(group.headingLevel).toBe(2);
+    expect(serializeToMarkdown(t)).toBe('# Root\n## G\n### A\n- a\n### B\n#### B1\n');
+  });
+
+  it('should write grouped list items before grouped headings', () => {
+    const t = parseMarkdown('# R\n## A\n## B\n- b1\n');
+    const group = groupNodes(t, [t.children[0].id, t.children[1].children[0].id], 'G');
+    const md = serializeToMarkdown(t);
+    expect(md).toBe('# R\n## G\n- b1\n### A\n## B\n');
+    const reparsed = parseMarkdown(md);
+    expect(reparsed.children[0].children.map((n) => n.text)).toEqual(['b1', 'A']);
+    expect(reparsed.children[0].text).toBe(group.text);
+  });
+
+  it('should put a heading group after the list items beside it', () => {
+    const t = parseMarkdown('# R\n- x\n- y\n## A\n');
+    groupNodes(t, [t.children[0].id, t.children[2].id], 'G');
+    const md = serializeToMarkdown(t);
+    expect(md).toBe('# R\n- y\n## G\n- x\n### A\n');
+    expect(parseMarkdown(md).children.map((n) => n.text)).toEqual(['y', 'G']);
+  });
+
+  it('should refuse grouping the root', () => {
+    const t = parseMarkdown('# Root\n- A');
+    expect(groupNodes(t, [t.id])).toBeNull();
+    expect(t.children).toHaveLength(1);
+  });
+
+  it('should refuse grouping that pushes headings past H4', () => {
+    const t = parseMarkdown('# Root\n## A\n### B\n#### C\n');
+    expect(groupNodes(t, [t.children[0].id])).toBeNull();
+    expect(t.children[0].text).toBe('A');
+  });
+
+  it('should refuse putting a heading group under a list item', () => {
+    const t = parseMarkdown('# Root\n- A\n  - A1\n## H\n');
+    expect(groupNodes(t, [t.children[0].children[0].id, t.children[1].id])).toBeNull();
+  });
+});
+
+// ─── createHistory ──────────────────────────────────────────────
+describe('createHistory', () => {
+  const entry = (before, after, label = 'Edit') => ({
+    label, before, after, selectionBefore: [0], selectionAfter: [1],
+  });
+
+  it('should start empty', () => {
+    const h = createHistory();
+    expect(h.canUndo()).toBe(false);
+    expect(h.canRedo()).toBe(false);
+    expect(h.undo()).toBeNull();
+    expect(h.redo()).toBeNull();
+  });
+
+  it('should undo and redo in order', () => {
+    const h = createHistory();
+    h.record(entry('a', 'b', 'Add Child'));
+    h.record(entry('b', 'c', 'Delete'));
+    expect(h.peekUndo().label).toBe('Delete');
+    expect(h.undo().before).toBe('b');
+    expect(h.undo().before).toBe('a');
+    expect(h.canUndo()).toBe(false);
+    expect(h.redo().after).toBe('b');
+    expect(h.redo().after).toBe('c');
+    expect(h.canRedo()).toBe(false);
+  });
+
+  it('should drop the redo stack on a new record', () => {
+    const h = createHistory();
+    h.record(entry('a', 'b'));
+    h.undo();
+    h.record(entry('a', 'x'));
+    expect(h.canRedo()).toBe(false);
+  });
+
+  it('should ignore records that change nothing', () => {
+    const h = createHistory();
+    h.record(entry('a', 'a'));
+    expect(h.canUndo()).toBe(false);
+  });
+
+  it('should coalesce records with the same key inside the window', () => {
+    const h = createHistory();
+    h.record(entry('a', 'ab'), 'text:1', 0);
+    h.record(entry('ab', 'abc'), 'text:1', 500);
+    h.record(entry('abc', 'abcd'), 'text:1', 500 + HISTORY_COALESCE_MS - 1);
+    const top = h.undo();
+    expect(top.before).toBe('a');
+    expect(top.after).toBe('abcd');
+    expect(h.canUndo()).toBe(false);
+  });
+
+  it('should not coalesce different keys or records outside the window', () => {
+    const h = createHistory();
+    h.record(entry('a', 'b'), 'text:1', 0);
+    h.record(entry('b', 'c'), 'text:2', 10);
+    h.record(entry('c', 'd'), 'text:2', 10 + HISTORY_COALESCE_MS);
+    expect(h.undo().before).toBe('c');
+    expect(h.undo().before).toBe('b');
+    expect(h.undo().before).toBe('a');
+  });
+
+  it('should not coalesce across an undo', () => {
+    const h = createHistory();
+    h.record(entry('a', 'b'), 'k', 0);
+    h.undo();
+    h.record(entry('a', 'c'), 'k', 1);
+    expect(h.undo().after).toBe('c');
+    expect(h.canUndo()).toBe(false);
+  });
+
+  it('should remove an entry coalesced back to its starting text', () => {
+    const h = createHistory();
+    h.record(entry('a', 'ab'), 'k', 0);
+    h.record(entry('ab', 'a'), 'k', 1);
+    expect(h.canUndo()).toBe(false);
+  });
+
+  it('should cap the number of entries', () => {
+    const h = createHistory(2);
+    h.record(entry('a', 'b'));
+    h.record(entry('b', 'c'));
+    h.record(entry('c', 'd'));
+    expect(h.undo().before).toBe('c');
+    expect(h.undo().before).toBe('b');
+    expect(h.canUndo()).toBe(false);
+  });
+
+  it('should clear both stacks', () => {
+    const h = createHistory();
+    h.record(entry('a', 'b'));
+    h.record(entry('b', 'c'));
+    h.undo();
+    h.clear();
+    expect(h.canUndo()).toBe(false);
+    expect(h.canRedo()).toBe(false);
+  });
+});
+
+// ─── createDocumentSync ─────────────────────────────────────────
+describe('createDocumentSync', () => {
+  it('should swallow the update that echoes a save', () => {
+    const sync = createDocumentSync();
+    expect(sync.receive('# A\n')).toBe(true);
+    expect(sync.save('# B\n')).toBe(true);
+    expect(sync.receive('# B\n')).toBe(false);
+    expect(sync.receive('# C\n')).toBe(true);
+    expect(sync.text()).toBe('# C\n');
+  });
+
+  it('should not post a save that changes nothing', () => {
+    const sync = createDocumentSync();
+    sync.receive('# A\n');
+    expect(sync.save('# A\n')).toBe(false);
+    // No edit is applied, so the next update is a change from outside
+    expect(sync.receive('# Outside\n')).toBe(true);
+    expect(sync.text()).toBe('# Outside\n');
+  });
+});
+
+// ─── Mermaid / PlantUML ─────────────────────────────────────────
+describe('treeToMermaid', () => {
+  it('should write an indented mindmap with the root in a circle', () => {
+    const out = treeToMermaid(parseMarkdown('# Plan\n- Design\n  - Wireframes\n- Build\n'));
+    expect(out).toBe('mindmap\n  root(("Plan"))\n    Design\n      Wireframes\n    Build\n');
+  });
+
+  it('should quote text with shape characters', () => {
+    const out = treeToMermaid(parseMarkdown('# Plan\n- f(x)\n- Say "hi"\n'));
+    expect(out).toContain('    n1["f(x)"]\n    n2["Say #quot;hi#quot;"]\n');
+  });
+
+  it('should include children of collapsed nodes', () => {
+    const out = treeToMermaid(parseMarkdown('# Plan\n- A <!-- collapsed -->\n  - A1\n'));
+    expect(out).toContain('      A1\n');
+  });
+});
+
+describe('mermaidToTree', () => {
+  it('should round-trip exported text', () => {
+    const md = '# Project (v2)\n- Design\n  - Wire "frames"\n- f(x)\n  - deep\n    - deeper\n';
+    expect(serializeToMarkdown(mermaidToTree(treeToMermaid(parseMarkdown(md))))).toBe(md);
+  });
+
+  it('should read shapes, ids and markdown strings', () => {
+    const tree = mermaidToTree([
+      '%% comment',
+      'mindmap',
+      '  root((mindmap))',
+      '    id1[Square]',
+      '      ::icon(fa fa-book)',
+      '    id2)Bang(',
+      '    id3{{Hexagon}}',
+      '    id4["`**md** string`"]',
+      '    :::urgent',
+      '    Plain (text)',
+    ].join('\n'));
+    expect(tree.text).toBe('mindmap');
+    expect(tree.children.map((c) => c.text)).toEqual(['Square', 'Bang', 'Hexagon', '**md** string', 'Plain (text)']);
+  });
+
+  it('should skip front matter', () => {
+    const tree = mermaidToTree('---\ntitle: x\n---\nmindmap\n  Root\n    A\n');
+    expect(tree.text).toBe('Root');
+    expect(tree.children[0].text).toBe('A');
+  });
+
+  it('should reject other diagrams and several roots', () => {
+    expect(() => mermaidToTree('graph TD\n  A-->B\n')).toThrow('Not a Mermaid mindmap');
+    expect(() => mermaidToTree('mindmap\n  A\n  B\n')).toThrow('more than one root');
+    expect(() => mermaidToTree('mindmap\n')).toThrow('No Mermaid nodes found');
+  });
+});
+
+describe('treeToPlantUml', () => {
+  it('should write star-prefixed levels', () => {
+    const out = treeToPlantUml(parseMarkdown('# Plan\n- Design\n  - Wireframes\n- Build\n'));
+    expect(out).toBe('@startmindmap\n* Plan\n** Design\n*** Wireframes\n** Build\n@endmindmap\n');
+  });
+});
+
+describe('plantUmlToTree', () => {
+  it('should round-trip exported text', () => {
+    const md = '# Plan\n- Design\n  - Wireframes\n    - Deep\n- Build\n';
+    expect(serializeToMarkdown(plantUmlToTree(treeToPlantUml(parseMarkdown(md))))).toBe(md);
+  });
+
+  it('should read boxless, colored, left-side and multi-line nodes', () => {
+    const tree = plantUmlToTree([
+      '@startmindmap',
+      'title Example',
+      '<style>',
+      'node {',
+      '  Padding 12',
+      '}',
+      '</style>',
+      "' a comment",
+      '* Root',
+      '** First',
+      '***_ Boxless',
+      '***[#Orange] Colored',
+      '**:Multi',
+      'line;',
+      '-- Left',
+      '@endmindmap',
+    ].join('\n'));
+    expect(tree.text).toBe('Root');
+    expect(tree.children.map((c) => c.text)).toEqual(['First', 'Multi line', 'Left']);
+    expect(tree.children[0].children.map((c) => c.text)).toEqual(['Boxless', 'Colored']);
+  });
+
+  it('should reject other diagrams', () => {
+    expect(() => plantUmlToTree('@startuml\nA -> B\n@enduml\n')).toThrow('Not a PlantUML mindmap');
+  });
+});
+
+// ─── Notes ──────────────────────────────────────────────────────
+describe('getNodeNote', () => {
+  it('should return an empty note for nodes without body', () => {
+    expect(getNodeNote({ text: 'A', children: [] })).toBe('');
+  });
+
+  it('should dedent list item continuation lines', () => {
+    const tree = parseMarkdown('# Root\n- A\n  first line\n    indented\n\n  second paragraph\n- B');
+    expect(getNodeNote(tree.children[0])).toBe('first line\n  indented\n\nsecond paragraph');
+  });
+
+  it('should trim blank lines around heading notes', () => {
+    const tree = parseMarkdown('# Root\n## A\n\nAbout A\n\n- item');
+    expect(getNodeNote(tree.children[0])).toBe('About A');
+  });
+});
+
+describe('setNodeNote', () => {
+  it('should write list item notes as indented continuation lines', () => {
+    const tree = parseMarkdown('# Root\n- A\n  - B\n- C\n');
+    setNodeNote(tree.children[0].children[0], 'line 1\n\nline 2');
+    expect(serializeToMarkdown(tree)).toBe('# Root\n- A\n  - B\n    line 1\n\n    line 2\n- C\n');
+  });
+
+  it('should write heading notes unindented and keep separating blank lines', () => {
+    const tree = parseMarkdown('# Root\n## A\n\nold\n\n- item\n');
+    setNodeNote(tree.children[0], 'new\nnote');
+    expect(serializeToMarkdown(tree)).toBe('# Root\n## A\n\nnew\nnote\n\n- item\n');
+  });
+
+  it('should remove the note when set to an empty string', () => {
+    const tree = parseMarkdown('# Root\n- A\n  note\n- B\n');
+    setNodeNote(tree.children[0], '');
+    expect(serializeToMarkdown(tree)).toBe('# Root\n- A\n- B\n');
+  });
+
+  it('should keep an image line before the note', () => {
+    const tree = parseMarkdown('# Root\n- A\n  ![](a.png)\n');
+    setNodeNote(tree.children[0], 'caption');
+    expect(serializeToMarkdown(tree)).toBe('# Root\n- A\n  ![](a.png)\n  caption\n');
+  });
+
+  it('should round-trip notes on new nodes through parseMarkdown', () => {
+    const tree = parseMarkdown('# Root\n- A\n');
+    const child = { id: 'x', text: 'New', children: [] };
+    tree.children[0].children.push(child);
+    setNodeNote(child, 'hello\nworld');
+    const reparsed = parseMarkdown(serializeToMarkdown(tree));
+    const node = reparsed.children[0].children[0];
+    expect(node.text).toBe('New');
+    expect(getNodeNote(node)).toBe('hello\nworld');
+  });
+
+  it('should escape note lines that would read as tree lines', () => {
+    const tree = parseMarkdown('# Root\n## H\n- A\n');
+    const note = 'Todo:\n- buy milk\n  - eggs\n\\- literal\n![](a.png)';
+    setNodeNote(tree.children[0].children[0], note);
+    setNodeNote(tree.children[0], '## Sub\n```\n- code\n```');
+    const md = serializeToMarkdown(tree);
+    expect(md).toBe(
+      '# Root\n## H\n\\## Sub\n```\n- code\n```\n- A\n  Todo:\n  \\- buy milk\n    \\- eggs\n  \\\\- literal\n  \\![](a.png)\n'
+    );
+    const reparsed = parseMarkdown(md);
+    const a = reparsed.children[0].children[0];
+    expect(reparsed.children[0].children).toHaveLength(1);
+    expect(a.children).toHaveLength(0);
+    expect(a.image).toBeUndefined();
+    expect(getNodeNote(a)).toBe(note);
+    expect(getNodeNote(reparsed.children[0])).toBe('## Sub\n```\n- code\n```');
+  });
+});
+
+// ─── Clipboard ──────────────────────────────────────────────────
+describe('serializeSubtrees', () => {
+  it('should write subtrees as an indented list', () => {
+    const tree = parseMarkdown('# Root\n## A\n- A1\n  - A1a\n## B\n');
+    const out = serializeSubtrees([tree.children[0], tree.children[1]]);
+    expect(out).toBe('- A\n  - A1\n    - A1a\n- B\n');
+  });
+
+  it('should re-indent heading notes under the list item', () => {
+    const tree = parseMarkdown('# Root\n## A\n\nSome note\n\n- A1\n');
+    const out = serializeSubtrees([tree.children[0]]);
+    expect(out).toBe('- A\n  Some note\n  - A1\n');
+  });
+
+  it('should keep images and collapsed markers', () => {
+    const tree = parseMarkdown('# Root\n- A <!-- collapsed -->\n  ![](img/a.png)\n  - A1\n');
+    const out = serializeSubtrees([tree.children[0]]);
+    expect(out).toBe('- A <!-- collapsed -->\n  ![](img/a.png)\n  - A1\n');
+  });
+
+  it('should not modify the source tree', () => {
+    const md = '# Root\n## A\n\nNote\n\n- A1\n';
+    const tree = parseMarkdown(md);
+    serializeSubtrees([tree.children[0]]);
+    expect(serializeToMarkdown(tree)).toBe(md);
+  });
+
+  it('should return an empty string for no nodes', () => {
+    expect(serializeSubtrees([])).toBe('');
+  });
+});
+
+describe('parseOutlineText', () => {
+  it('should round-trip serialized subtrees', () => {
+    const tree = parseMarkdown('# Root\n## A\n\nSome note\n\n- A1\n  - A1a\n## B\n');
+    const text = serializeSubtrees(tree.children);
+    const nodes = parseOutlineText(text);
+    expect(nodes.map((n) => n.text)).toEqual(['A', 'B']);
+    expect(nodes[0].children[0].children[0].text).toBe('A1a');
+    expect(getNodeNote(nodes[0])).toBe('Some note');
+    expect(serializeSubtrees(nodes)).toBe(text);
+  });
+
+  it('should accept *, + and numbered bullets', () => {
+    const nodes = parseOutlineText('* One\n  + Two\n1. Three\n2) Four\n');
+    expect(nodes.map((n) => n.text)).toEqual(['One', 'Three', 'Four']);
+    expect(nodes[0].children[0].text).toBe('Two');
+  });
+
+  it('should nest headings and their lists', () => {
+    const nodes = parseOutlineText('## A\n- A1\n### B\n- B1\n## C\n');
+    expect(nodes.map((n) => n.text)).toEqual(['A', 'C']);
+    expect(nodes[0].children.map((n) => n.text)).toEqual(['A1', 'B']);
+    expect(nodes[0].children[1].children[0].text).toBe('B1');
+    expect(nodes[0].headingLevel).toBeUndefined();
+  });
+
+  it('should nest plain text by indentation', () => {
+    const nodes = parseOutlineText('Fruit\n\tApple\n\tPear\n    Green\nVegetables\n');
+    expect(nodes.map((n) => n.text)).toEqual(['Fruit', 'Vegetables']);
+    expect(nodes[0].children.map((n) => n.text)).toEqual(['Apple', 'Pear']);
+    expect(nodes[0].children[1].children[0].text).toBe('Green');
+  });
+
+  it('should attach images and keep fenced code as notes', () => {
+    const nodes = parseOutlineText('- A\n  ![](img/a.png)\n- B\n  ```\n  - not a node\n  ```\n');
+    expect(nodes).toHaveLength(2);
+    expect(nodes[0].image).toBe('img/a.png');
+    expect(getNodeNote(nodes[1])).toBe('```\n- not a node\n```');
+  });
+
+  it('should turn leading prose into a node', () => {
+    const nodes = parseOutlineText('Intro\n- A\n');
+    expect(nodes.map((n) => n.text)).toEqual(['Intro', 'A']);
+  });
+
+  it('should return no nodes for blank text', () => {
+    expect(parseOutlineText('\n  \n')).toEqual([]);
+  });
+});
+
+// ─── XML ────────────────────────────────────────────────────────
+describe('parseXml', () => {
+  it('should parse elements, attributes and text', () => {
+    const el = parseXml('<?xml version="1.0"?>\n<a x="1" y=\'two\'><b>hi &amp; bye</b><c/></a>');
+    expect(el.name).toBe('a');
+    expect(el.attributes).toEqual({ x: '1', y: 'two' });
+    expect(el.children.map((c) => c.name)).toEqual(['b', 'c']);
+    expect(el.children[0].text).toBe('hi & bye');
+  });
+
+  it('should decode numeric entities and keep CDATA verbatim', () => {
+    const el = parseXml('<a t="x&#10;y&#x41;"><![CDATA[<raw> &amp;]]></a>');
+    expect(el.attributes.t).toBe('x\nyA');
+    expect(el.text).toBe('<raw> &amp;');
+  });
+
+  it('should skip comments and doctypes', () => {
+    const el = parseXml('<!DOCTYPE a><!-- note --><a><!-- <b/> --></a>');
+    expect(el.name).toBe('a');
+    expect(el.children).toHaveLength(0);
+  });
+
+  it('should reject mismatched tags', () => {
+    expect(() => parseXml('<a><b></a>')).toThrow(/unexpected <\/a>/);
+    expect(() => parseXml('<a><b>')).toThrow(/not closed/);
+    expect(() => parseXml('just text')).toThrow(/no root element/);
+  });
+});
+
+describe('escapeXml', () => {
+  it('should escape markup characters and newlines', () => {
+    expect(escapeXml('a < b & "c"\nd')).toBe('a &lt; b &amp; &quot;c&quot;&#10;d');
+  });
+});
+
+// ─── Themes ─────────────────────────────────────────────────────
+describe('resolveTheme', () => {
+  it('should return built-in themes by name', () => {
+    expect(resolveTheme('light')).toEqual({ name: 'light', ...THEMES.light });
+    expect(resolveTheme('sepia')).toBeNull();
+  });
+
+  it('should merge custom themes over their base', () => {
+    const theme = resolveTheme('paper', { paper: { base: 'light', background: '#fdf6e3', branchColors: ['#268bd2'] } });
+    expect(theme.name).toBe('paper');
+    expect(theme.background).toBe('#fdf6e3');
+    expect(theme.foreground).toBe(THEMES.light.foreground);
+    expect(theme.branchColors).toEqual(['#268bd2']);
+  });
+
+  it('should default custom themes to the dark base', () => {
+    expect(resolveTheme('mine', { mine: {} }).background).toBe(THEMES.dark.background);
+  });
+
+  it('should ignore invalid custom entries', () => {
+    const theme = resolveTheme('bad', { bad: { branchColors: ['red', '#12345'], fillOpacity: 3, foreground: 7 } });
+    expect(theme.branchColors).toEqual(THEMES.dark.branchColors);
+    expect(theme.fillOpacity).toBe(THEMES.dark.fillOpacity);
+    expect(theme.foreground).toBe(THEMES.dark.foreground);
+  });
+
+  it('should not expose object prototype keys as themes', () => {
+    expect(resolveTheme('toString')).toBeNull();
+    expect(resolveTheme('constructor', {})).toBeNull();
+  });
+});
+
+describe('selectThemeName', () => {
+  it('should take the first usable choice', () => {
+    expect(selectThemeName(['light', 'dark'], 'dark')).toBe('light');
+    expect(selectThemeName(['', 'auto', 'high-contrast'], 'dark')).toBe('high-contrast');
+    expect(selectThemeName(['missing', 'mine'], 'dark', { mine: {} })).toBe('mine');
+  });
+
+  it('should fall back to the theme for the color theme kind', () => {
+    expect(selectThemeName([null, 'auto'], 'high-contrast-light')).toBe('high-contrast-light');
+    expect(selectThemeName([], 'light')).toBe('light');
+    expect(selectThemeName([], 'unknown')).toBe('dark');
+  });
+});
+
+describe('getNodeColors', () => {
+  it('should fill the root with the first branch color', () => {
+    const colors = getNodeColors({ depth: 0, branchIndex: 3 }, THEMES.light);
+    expect(colors).toEqual({
+      stroke: THEMES.light.branchColors[0],
+      fill: THEMES.light.branchColors[0],
+      text: THEMES.light.rootForeground,
+      opacity: 1,
+    });
+  });
+
+  it('should tint and fade nodes by branch and depth', () => {
+    const colors = getNodeColors({ depth: 2, branchIndex: 9 }, THEMES.dark);
+    expect(colors.stroke).toBe(THEMES.dark.branchColors[1]);
+    expect(colors.fill).toBe(withAlpha(THEMES.dark.branchColors[1], 0.2));
+    expect(colors.text).toBe(THEMES.dark.foreground);
+    expect(colors.opacity).toBeCloseTo(0.7);
+  });
+
+  it('should not fade high-contrast themes', () => {
+    expect(getNodeColors({ depth: 5, branchIndex: 0 }, THEMES['high-contrast']).opacity).toBe(1);
+  });
+
+  it('should use the node style colors', () => {
+    const colors = getNodeColors({ depth: 1, branchIndex: 0, style: { fill: '#fdd835', stroke: '#123456' } }, THEMES.dark);
+    expect(colors.stroke).toBe('#123456');
+    expect(colors.fill).toBe('#fdd835');
+    expect(colors.text).toBe('#000000');
+    expect(getNodeColors({ depth: 1, branchIndex: 0, style: { fill: '#1e88e5' } }, THEMES.dark).text).toBe('#ffffff');
+  });
+
+  it('should not fill underlined nodes', () => {
+    const colors = getNodeColors({ depth: 0, branchIndex: 0, style: { shape: 'underline', fill: '#ff0000' } }, THEMES.dark);
+    expect(colors.fill).toBe('none');
+    expect(colors.text).toBe(THEMES.dark.foreground);
+  });
+});
+
+// ─── renderSvg ──────────────────────────────────────────────────
+describe('renderSvg', () => {
+  function render(markdown, options) {
+    const layoutRoot = layoutTree(parseMarkdown(markdown), 0, 0);
+    positionLayout(layoutRoot, (options && options.layoutMode) || 'right');
+    return { layoutRoot, svg: renderSvg(layoutRoot, options) };
+  }
+
+  it('should frame the content with padding', () => {
+    const { layoutRoot, svg } = render('# Root');
+    const { x, y, width, height } = layoutRoot;
+    expect(svg).toContain(`viewBox="${x - 20} ${y - 20} ${width + 40} ${height + 40}"`);
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+    expect(svg.trimEnd().endsWith('</svg>')).toBe(true);
+  });
+
+  it('should draw one group per node and one path per connection', () => {
+    const { svg } = render('# Root\n- A\n  - A1\n- B');
+    expect(svg.match(/<g transform="translate\(/g)).toHaveLength(4 + 2);
+    expect(svg.match(/<path /g)).toHaveLength(3);
+  });
+
+  it('should escape node text', () => {
+    const { svg } = render('# A <b> & "c"');
+    expect(svg).toContain('>A &lt;b&gt; &amp; &quot;c&quot;</tspan>');
+  });
+
+  it('should apply the theme', () => {
+    const theme = { background: '#ffffff', foreground: '#222222', branchColors: ['#ff0000', '#00ff00'] };
+    const { svg } = render('# Root\n- A\n- B', { theme });
+    expect(svg).toContain('fill="#ffffff"');
+    expect(svg).toContain('fill="#222222"');
+    expect(svg).toContain(`fill="${withAlpha('#00ff00', 0.2)}"`);
+    expect(svg).toContain(`font-family="${DEFAULT_THEME.fontFamily.replace(/"/g, '&quot;')}"`);
+  });
+
+  it('should leave out the background when transparent', () => {
+    expect(render('# Root').svg).toContain('<rect x=');
+    expect(render('# Root', { background: false }).svg).not.toContain('<rect x=');
+  });
+
+  it('should mark collapsed nodes and notes', () => {
+    const { svg } = render('# Root\nA note\n- A <!-- collapsed -->\n  - A1');
+    expect(svg).toContain('>+</text>');
+    expect(svg).toContain('>\u2212</text>');
+    expect(svg).toContain('\u270E');
+    expect(svg).not.toContain('A1');
+  });
+
+  it('should map image paths to hrefs', () => {
+    const markdown = '# Root\n- A\n  ![](assets/a.png)\n- B\n  ![](assets/b.png)';
+    const { svg } = render(markdown, { images: { 'assets/a.png': 'data:image/png;base64,AAAA' } });
+    expect(svg).toContain('href="data:image/png;base64,AAAA"');
+    expect(svg).toContain('href="assets/b.png"');
+  });
+
+  it('should draw node styles', () => {
+    const { svg } = render('# Root\n- A {.bold .italic shape=ellipse size=20}\n- B {shape=cloud}');
+    expect(svg).toContain('<ellipse ');
+    expect(svg).toMatch(/<path d="M[\d.]+,[\d.]+ A/);
+    expect(svg).toContain('font-size="20" font-weight="bold" font-style="italic"');
+  });
+
+  it('should draw inline formatting as styled runs', () => {
+    const { svg } = render('# Root\n- **critical** ~~dropped~~ `x` [spec](https://e.com)');
+    expect(svg).toContain('<tspan font-weight="bold">critical</tspan> ');
+    expect(svg).toContain('<tspan text-decoration="line-through">dropped</tspan>');
+    expect(svg).toMatch(/<tspan font-family="[^"]*monospace">x<\/tspan>/);
+    expect(svg).toContain('<tspan text-decoration="underline">spec</tspan>');
+    expect(svg).not.toContain('**');
+  });
+
+  it('should draw checkboxes and progress rings', () => {
+    const { svg } = render('# Plan\n- [x] Done\n- [ ] Open');
+    expect(svg.match(/<path d="M3,6\.5/g)).toHaveLength(1);
+    expect(svg).toContain('stroke-dasharray="18.85 37.7"');
+    expect(svg).toContain('>1/2</text>');
+    expect(render('# Plan\n- Plain').svg).not.toContain('stroke-dasharray');
+  });
+
+  it('should draw marker badges', () => {
+    const { svg } = render('# Root\n- Task !1 :warning: #api');
+    expect(svg).toContain('fill="#e53935"/>');
+    expect(svg).toContain('>P1</text>');
+    expect(svg).toContain('>\u26A0</text>');
+    expect(svg).toContain('>#api</text>');
+    expect(svg).not.toContain('!1');
+  });
+
+  it('should mark nodes with links', () => {
+    expect(render('# Root\n- [[Other]]').svg).toContain('\u2197</text>');
+    expect(render('# Root\n- Plain').svg).not.toContain('\u2197');
+  });
+
+  it('should draw connections for the layout mode', () => {
+    const { layoutRoot, svg } = render('# Root\n- A\n- B', { layoutMode: 'org' });
+    const d = getConnectionPath(layoutRoot, layoutRoot.children[0], 'org');
+    expect(svg).toContain(`d="${d}"`);
+  });
+});
+
+// ─── OPML ───────────────────────────────────────────────────────
+describe('treeToOpml', () => {
+  it('should write the root as the single top-level outline', () => {
+    const opml = treeToOpml(parseMarkdown('# Plan\n- A\n  - A1\n- B\n'));
+    expect(opml).toContain('<title>Plan</title>');
+    expect(opml).toContain('    <outline text="Plan">\n      <outline text="A">\n        <outline text="A1"/>\n      </outline>\n      <outline text="B"/>\n    </outline>');
+  });
+
+  it('should write notes as _note attributes', () => {
+    const opml = treeToOpml(parseMarkdown('# Plan\n- A\n  first\n  second\n'));
+    expect(opml).toContain('<outline text="A" _note="first&#10;second"/>');
+  });
+
+  it('should list expanded outlines in expansionState', () => {
+    const opml = treeToOpml(parseMarkdown('# Plan\n- A <!-- collapsed -->\n  - A1\n- B\n  - B1\n'));
+    expect(opml).toContain('<expansionState>0,3</expansionState>');
+  });
+});
+
+describe('opmlToTree', () => {
+  it('should round-trip a tree through OPML', () => {
+    const md = '# Plan\n- A <!-- collapsed -->\n  Note & more\n  - A1\n    - A1a\n      - A1a1\n- B\n';
+    const tree = opmlToTree(treeToOpml(parseMarkdown(md)));
+    expect(serializeToMarkdown(tree)).toBe(md);
+  });
+
+  it('should use the title as root when the body has several outlines', () => {
+    const tree = opmlToTree('<opml version="1.0"><head><title>Ideas</title></head><body><outline text="One"/><outline title="Two"/></body></opml>');
+    expect(tree.text).toBe('Ideas');
+    expect(tree.headingLevel).toBe(1);
+    expect(tree.children.map((c) => c.text)).toEqual(['One', 'Two']);
+  });
+
+  it('should nest outlines deeper than heading levels as list items', () => {
+    let xml = '<outline text="L6"/>';
+    for (let i = 5; i >= 1; i--) xml = `<outline text="L${i}">${xml}</outline>`;
+    const tree = opmlToTree(`<opml><body>${xml}</body></opml>`);
+    expect(serializeToMarkdown(tree)).toBe('# L1\n- L2\n  - L3\n    - L4\n      - L5\n        - L6\n');
+  });
+
+  it('should keep everything expanded without expansionState', () => {
+    const tree = opmlToTree('<opml><body><outline text="R"><outline text="A"><outline text="A1"/></outline></outline></body></opml>');
+    expect(tree.children[0].collapsed).toBe(false);
+  });
+
+  it('should flatten multi-line outline text', () => {
+    const tree = opmlToTree('<opml><body><outline text="R"><outline text="two&#10;lines"/></outline></body></opml>');
+    expect(tree.children[0].text).toBe('two lines');
+  });
+
+  it('should reject documents that are not OPML', () => {
+    expect(() => opmlToTree('<html></html>')).toThrow('Not an OPML document');
+  });
+});
+
+// ─── FreeMind ───────────────────────────────────────────────────
+describe('freemindToTree', () => {
+  const MM = [
+    '<map version="freeplane 1.9.0">',
+    '<node TEXT="Root" ID="ID_1"><hook NAME="MapStyle"/>',
+    '<node TEXT="Idea" FOLDED="true" POSITION="right" LINK="https://example.com/?a=1&amp;b=2">',
+    '<icon BUILTIN="idea"/><icon BUILTIN="no-such-icon"/>',
+    '<node TEXT="Child"/>',
+    '<richcontent TYPE="NOTE"><html><head><title>t</title></head><body><p>Line <b>one</b></p><p>two</p></body></html></richcontent>',
+    '</node>',
+    '<node POSITION="left"><richcontent TYPE="NODE"><html><head/><body><p>Picture</p><img src="assets/x.png"/></body></html></richcontent></node>',
+    '</node>',
+    '</map>',
+  ].join('\n');
+
+  it('should import text, folding, links, icons and notes', () => {
+    const tree = freemindToTree(MM);
+    expect(tree.text).toBe('Root');
+    expect(tree.headingLevel).toBe(1);
+    const idea = tree.children[0];
+    expect(idea.text).toBe('💡 [Idea](https://example.com/?a=1&b=2)');
+    expect(idea.collapsed).toBe(true);
+    expect(getNodeNote(idea)).toBe('Line one\n\ntwo');
+    expect(idea.children[0].text).toBe('Child');
+  });
+
+  it('should read HTML node text and images', () => {
+    const picture = freemindToTree(MM).children[1];
+    expect(picture.text).toBe('Picture');
+    expect(picture.image).toBe('assets/x.png');
+  });
+
+  it('should produce a tree that serializes to Markdown', () => {
+    expect(serializeToMarkdown(freemindToTree(MM))).toBe([
+      '# Root',
+      '- 💡 [Idea](https://example.com/?a=1&b=2) <!-- collapsed -->',
+      '  Line one',
+      '',
+      '  two',
+      '  - Child',
+      '- Picture',
+      '  ![](assets/x.png)',
+      '',
+    ].join('\n'));
+  });
+
+  it('should reject files that are not FreeMind maps', () => {
+    expect(() => freemindToTree('<opml/>')).toThrow('Not a FreeMind map');
+    expect(() => freemindToTree('<map/>')).toThrow('FreeMind map has no root node');
+  });
+});
+
+describe('treeToFreemind', () => {
+  it('should write nested nodes with folding and positions', () => {
+    const mm = treeToFreemind(parseMarkdown('# Root\n- A <!-- collapsed -->\n  - A1\n- B\n'));
+    expect(mm).toBe([
+      '<map version="1.0.1">',
+      '<node TEXT="Root">',
+      '<node TEXT="A" FOLDED="true" POSITION="right">',
+      '<node TEXT="A1"/>',
+      '</node>',
+      '<node TEXT="B" POSITION="right"/>',
+      '</node>',
+      '</map>',
+      '',
+    ].join('\n'));
+  });
+
+  it('should map icons, links and notes back', () => {
+    const mm = treeToFreemind(parseMarkdown('# Root\n- ✅ 🚩 [Site](https://example.com)\n  A note\n'));
+    expect(mm).toContain('<node TEXT="Site" LINK="https://example.com" POSITION="right">');
+    expect(mm).toContain('<icon BUILTIN="button_ok"/>\n<icon BUILTIN="flag"/>');
+    expect(mm).toContain('<richcontent TYPE="NOTE"><html><head></head><body><p>A note</p></body></html></richcontent>');
+  });
+
+  it('should round-trip through FreeMind', () => {
+    const md = '# Root\nAbout\n- 💡 [Idea](https://example.com) <!-- collapsed -->\n  Note & more\n  - Child\n- Picture\n  ![](assets/x.png)\n';
+    expect(serializeToMarkdown(freemindToTree(treeToFreemind(parseMarkdown(md))))).toBe(md);
+  });
+});
+
+// ─── XMind ──────────────────────────────────────────────────────
+describe('xmindJsonToTrees', () => {
+  const SHEETS = [
+    {
+      id: 's1',
+      title: 'Plan',
+      rootTopic: {
+        id: 'r',
+        title: 'Root',
+        notes: { plain: { content: 'Root note\r\nsecond' } },
+        children: {
+          attached: [
+            { id: 'a', title: 'A', labels: ['high prio'], branch: 'folded', children: { attached: [{ id: 'a1', title: 'A1' }] } },
+            { id: 'b', title: 'Pic', href: 'https://example.com', image: { src: 'xap:resources/abc.png', width: 100.4, height: 50 } },
+          ],
+          detached: [{ id: 'f', title: 'Floating' }],
+        },
+      },
+    },
+    { id: 's2', title: 'Second', rootTopic: { id: 'r2', title: 'Other' } },
+  ];
+
+  it('should convert each sheet to a tree', () => {
+    const sheets = xmindJsonToTrees(SHEETS);
+    expect(sheets.map((s) => s.title)).toEqual(['Plan', 'Second']);
+    expect(serializeToMarkdown(sheets[0].root)).toBe([
+      '# Root',
+      'Root note',
+      'second',
+      '- A #high-prio <!-- collapsed -->',
+      '  - A1',
+      '- [Pic](https://example.com)',
+      '  ![](assets/abc.png =100x50)',
+      '- Floating',
+      '',
+    ].join('\n'));
+  });
+
+  it('should list images to copy into assets', () => {
+    const [plan, second] = xmindJsonToTrees(SHEETS);
+    expect(plan.resources).toEqual([{ entry: 'resources/abc.png', asset: 'assets/abc.png' }]);
+    expect(second.resources).toEqual([]);
+  });
+
+  it('should keep asset names inside assets and apart', () => {
+    const topic = (id, src) => ({ id, title: id, image: { src } });
+    const [sheet] = xmindJsonToTrees([{
+      id: 's',
+      title: 'S',
+      rootTopic: {
+        id: 'r',
+        title: 'R',
+        children: {
+          attached: [
+            topic('a', 'xap:resources/..\\..\\x.png'),
+            topic('b', 'xap:other/x.png'),
+            topic('c', 'xap:resources/..'),
+            topic('d', 'xap:resources/..\\..\\x.png'),
+          ],
+        },
+      },
+    }]);
+    expect(sheet.resources.map((r) => r.asset)).toEqual(['assets/x.png', 'assets/x-2.png', 'assets/image']);
+    expect(sheet.root.children.map((n) => n.image)).toEqual([
+      'assets/x.png', 'assets/x-2.png', 'assets/image', 'assets/x.png',
+    ]);
+  });
+
+  it('should reject content that is not a sheet list', () => {
+    expect(() => xmindJsonToTrees({})).toThrow('Not an XMind content.json');
+  });
+});
+
+describe('xmindXmlToTrees', () => {
+  const XML = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<xmap-content xmlns="urn:xmind:xmap:xmlns:content:2.0" xmlns:xhtml="http://www.w3.org/1999/xhtml" xmlns:svg="http://www.w3.org/2000/svg" version="2.0">',
+    '<sheet id="s1"><topic id="t1"><title>Central</title><children><topics type="attached">',
+    '<topic id="t2" branch="folded"><title>Branch</title><labels><label>todo</label></labels>',
+    '<notes><plain>note here</plain><html><xhtml:p>note here</xhtml:p></html></notes>',
+    '<children><topics type="attached"><topic id="t3"><title>Leaf</title></topic></topics></children></topic>',
+    '<topic id="t4"><title>Pic</title><xhtml:img svg:height="40" svg:width="60" xhtml:src="xap:attachments/p.png"/></topic>',
+    '</topics></children></topic><title>My Sheet</title></sheet>',
+    '</xmap-content>',
+  ].join('');
+
+  it('should convert XMind 8 sheets', () => {
+    const [sheet] = xmindXmlToTrees(XML);
+    expect(sheet.title).toBe('My Sheet');
+    expect(sheet.resources).toEqual([{ entry: 'attachments/p.png', asset: 'assets/p.png' }]);
+    expect(serializeToMarkdown(sheet.root)).toBe([
+      '# Central',
+      '- Branch #todo <!-- collapsed -->',
+      '  note here',
+      '  - Leaf',
+      '- Pic',
+      '  ![](assets/p.png =60x40)',
+      '',
+    ].join('\n'));
+  });
+
+  it('should reject other XML documents', () => {
+    expect(() => xmindXmlToTrees('<map/>')).toThrow('Not an XMind content.xml');
   });
 });
 
@@ -707,4 +2512,127 @@ describe('Integration', () => {
 
     expect(getStructure(tree1)).toEqual(getStructure(tree2));
   });
+
+  describe('lossless round-trip corpus', () => {
+    const fixtures = {
+      'front matter': [
+        '---',
+        'title: Roadmap',
+        '# yaml comment',
+        'tags: [plan]',
+        '---',
+        '',
+        '# Roadmap',
+        '- Q1',
+        '',
+      ].join('\n'),
+      'prose and blank lines': [
+        '# Project',
+        '',
+        'A paragraph describing the project.',
+        'It spans two lines.',
+        '',
+        '## Goals',
+        '',
+        '- Ship *fast*',
+        '  Continuation text for the goal.',
+        '',
+        '- Keep quality',
+        '',
+      ].join('\n'),
+      'fenced code and tables': [
+        '# API',
+        '## Endpoints',
+        '| Method | Path |',
+        '| ------ | ---- |',
+        '| GET    | /    |',
+        '',
+        '```yaml',
+        '# not a heading',
+        '- not a list item',
+        '```',
+        '- GET /users',
+        '  ~~~',
+        '  - still code',
+        '  ~~~',
+        '',
+      ].join('\n'),
+      'images with alt text and blank lines': [
+        '# Gallery',
+        '- Cat',
+        '',
+        '  ![a cat](assets/cat.png =200x150)',
+        '## Dogs',
+        '![dog](assets/dog.png)',
+        'Caption below the image.',
+        '',
+      ].join('\n'),
+      'four-space indentation and trailing spaces': [
+        '# Root   ',
+        '- Parent',
+        '    - Child  ',
+        '        - Grandchild',
+        '##### Deep heading kept as text',
+        '* other bullet style',
+        '1. ordered item',
+        '',
+      ].join('\n'),
+      'collapsed markers': '# Plan\n## Later <!-- collapsed -->\n- Big branch <!-- collapsed -->\n  - hidden\n',
+      'no trailing newline': '# Root\n- a\n- b',
+      'CRLF line endings': '# Root\r\n- a\r\n  text\r\n',
+    };
+
+    for (const [name, md] of Object.entries(fixtures)) {
+      it(`should reproduce "${name}" byte for byte`, () => {
+        expect(serializeToMarkdown(parseMarkdown(md))).toBe(md);
+      });
+    }
+
+    it('should put the new root of a file without root heading ahead of its content', () => {
+      const tree = parseMarkdown('Just some notes\n- loose item\n');
+      expect(tree.text).toBe('Central Topic');
+      expect(serializeToMarkdown(tree)).toBe('# Central Topic\nJust some notes\n- loose item\n');
+    });
+
+    it('should keep front matter ahead of a new root', () => {
+      const tree = parseMarkdown('---\ntitle: x\n---\nNotes\n');
+      expect(serializeToMarkdown(tree)).toBe('---\ntitle: x\n---\n# Central Topic\nNotes\n');
+    });
+
+    it('should write generated lines with the line ending of the file', () => {
+      const tree = parseMarkdown('# Root\r\n- a\r\n  text\r\n');
+      expect(tree.children[0]).toMatchObject({ text: 'a', body: ['  text'] });
+      tree.children.push({ id: 'x', text: 'b', children: [] });
+      expect(serializeToMarkdown(tree)).toBe('# Root\r\n- a\r\n  text\r\n- b\r\n');
+      expect(serializeToMarkdown(parseMarkdown('Notes\r\n'))).toBe('# Central Topic\r\nNotes\r\n');
+    });
+
+    it('should keep untouched regions identical after a structural edit', () => {
+      const md = fixtures['prose and blank lines'];
+      const tree = parseMarkdown(md);
+      const goals = tree.children[0];
+      goals.children.push({ id: 'x', text: 'New goal', children: [] });
+      const out = serializeToMarkdown(tree);
+      expect(out).toBe(md + '- New goal\n');
+    });
+
+    it('should keep untouched regions identical after a rename', () => {
+      const md = fixtures['fenced code and tables'];
+      const tree = parseMarkdown(md);
+      tree.children[0].text = 'Routes';
+      const out = serializeToMarkdown(tree);
+      expect(out).toBe(md.replace('## Endpoints', '## Routes'));
+    });
+
+    it('should drop only the deleted node and its own body', () => {
+      const md = fixtures['prose and blank lines'];
+      const tree = parseMarkdown(md);
+      tree.children[0].children.shift();
+      const out = serializeToMarkdown(tree);
+      expect(out).not.toContain('Ship');
+      expect(out).not.toContain('Continuation text');
+      expect(out).toContain('A paragraph describing the project.');
+      expect(out).toContain('- Keep quality');
+    });
+  });
 });
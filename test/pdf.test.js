@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { jpegToPdf } from '../src/pdf';
+
+const JPEG = Uint8Array.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x00, 0xff, 0xd9]);
+
+describe('jpegToPdf', () => {
+  it('should write a single page sized in points', () => {
+    const text = Buffer.from(jpegToPdf(JPEG, 800, 400, 400, 200)).toString('latin1');
+    expect(text.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(text).toContain('/MediaBox [0 0 300 150]');
+    expect(text).toContain('/Width 800 /Height 400');
+    expect(text).toContain('/Filter /DCTDecode /Length 9');
+    expect(text).toContain('q 300 0 0 150 0 0 cm /Im0 Do Q');
+    expect(text.endsWith('%%EOF\n')).toBe(true);
+  });
+
+  it('should embed the image bytes unchanged', () => {
+    const pdf = Buffer.from(jpegToPdf(JPEG, 1, 1, 1, 1));
+    const start = pdf.indexOf('stream\n') + 'stream\n'.length;
+    expect(Array.from(pdf.subarray(start, start + JPEG.length))).toEqual(Array.from(JPEG));
+  });
+
+  it('should point the cross-reference table at each object', () => {
+    const pdf = Buffer.from(jpegToPdf(JPEG, 10, 10, 10, 10));
+    const text = pdf.toString('latin1');
+    const startxref = Number(/startxref\n(\d+)/.exec(text)[1]);
+    expect(text.slice(startxref, startxref + 4)).toBe('xref');
+
+    const entries = text.slice(startxref).match(/^\d{10} 00000 n $/gm);
+    expect(entries).toHaveLength(5);
+    entries.forEach((entry, i) => {
+      const offset = Number(entry.slice(0, 10));
+      expect(text.slice(offset, offset + 8)).toBe(`${i + 1} 0 obj\n`);
+    });
+    expect(text).toContain('/Size 6 /Root 1 0 R');
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { computeLineEdits, applyEdits, splitLines } from '../src/textDiff';
+
+// ─── splitLines ─────────────────────────────────────────────────
+describe('splitLines', () => {
+  it('should keep line terminators', () => {
+    expect(splitLines('a\nb\n')).toEqual(['a\n', 'b\n']);
+  });
+
+  it('should keep a last line without terminator', () => {
+    expect(splitLines('a\nb')).toEqual(['a\n', 'b']);
+  });
+
+  it('should return no lines for empty text', () => {
+    expect(splitLines('')).toEqual([]);
+  });
+
+  it('should keep blank lines', () => {
+    expect(splitLines('a\n\nb\n')).toEqual(['a\n', '\n', 'b\n']);
+  });
+});
+
+// ─── computeLineEdits ───────────────────────────────────────────
+describe('computeLineEdits', () => {
+  function check(oldText, newText) {
+    const edits = computeLineEdits(oldText, newText);
+    expect(applyEdits(oldText, edits)).toBe(newText);
+    return edits;
+  }
+
+  it('should return no edits for identical text', () => {
+    expect(check('# Root\n- a\n', '# Root\n- a\n')).toEqual([]);
+  });
+
+  it('should replace only a changed line', () => {
+    const edits = check('# Root\n- a\n- b\n- c\n', '# Root\n- a\n- B\n- c\n');
+    expect(edits).toEqual([{ start: 11, end: 15, text: '- B\n' }]);
+  });
+
+  it('should insert lines without touching neighbours', () => {
+    const edits = check('# Root\n- a\n- c\n', '# Root\n- a\n- b\n- c\n');
+    expect(edits).toEqual([{ start: 11, end: 11, text: '- b\n' }]);
+  });
+
+  it('should delete lines', () => {
+    const edits = check('# Root\n- a\n- b\n- c\n', '# Root\n- a\n- c\n');
+    expect(edits).toEqual([{ start: 11, end: 15, text: '' }]);
+  });
+
+  it('should produce separate edits for separate changes', () => {
+    const oldText = '# Root\n- a\n- b\n- c\n- d\n- e\n';
+    const newText = '# Root\n- A\n- b\n- c\n- d\n- E\n';
+    const edits = check(oldText, newText);
+    expect(edits).toHaveLength(2);
+    expect(edits[0].start).toBeLessThan(edits[1].start);
+  });
+
+  it('should handle a moved block as delete plus insert', () => {
+    const oldText = '# Root\n- a\n  - a1\n- b\n- c\n';
+    const newText = '# Root\n- b\n- a\n  - a1\n- c\n';
+    const edits = check(oldText, newText);
+    const touched = edits.reduce((sum, e) => sum + (e.end - e.start), 0);
+    expect(touched).toBeLessThan(oldText.length);
+  });
+
+  it('should handle a missing final newline', () => {
+    check('# Root\n- a', '# Root\n- a\n');
+    check('# Root\n- a\n', '# Root\n- a');
+    check('# Root', '# Root\n- a');
+  });
+
+  it('should handle empty documents', () => {
+    check('', '# Root\n');
+    check('# Root\n', '');
+  });
+
+  it('should handle repeated lines', () => {
+    check('- x\n- x\n- x\n', '- x\n- y\n- x\n- x\n');
+    check('\n\n\n', '\n-\n\n');
+  });
+
+  it('should produce sorted, non-overlapping edits for larger rewrites', () => {
+    const oldLines = [];
+    const newLines = [];
+    for (let i = 0; i < 200; i++) {
+      oldLines.push(`- item ${i}`);
+      if (i % 7 !== 0) newLines.push(i % 11 === 0 ? `- changed ${i}` : `- item ${i}`);
+      if (i % 13 === 0) newLines.push(`- inserted ${i}`);
+    }
+    const oldText = oldLines.join('\n') + '\n';
+    const newText = newLines.join('\n') + '\n';
+    const edits = check(oldText, newText);
+    for (let i = 1; i < edits.length; i++) {
+      expect(edits[i].start).toBeGreaterThanOrEqual(edits[i - 1].end);
+    }
+  });
+
+  it('should keep the unchanged lines between interleaved changes', () => {
+    const oldText = '- a\n- b\n- c\n- d\n- e\n- f\n';
+    const newText = '- b\n- a\n- c\n- X\n- e\n- f\n- g\n';
+    const edits = check(oldText, newText);
+    const kept = edits.reduce((sum, e) => sum - (e.end - e.start), oldText.length);
+    expect(kept).toBe(16);
+  });
+
+  it('should replace a fully rewritten large document in one edit', () => {
+    const oldLines = [];
+    const newLines = [];
+    for (let i = 0; i < 3000; i++) {
+      oldLines.push(`- item ${i}\n`);
+      newLines.push(`- other ${i}\n`);
+    }
+    const edits = check(oldLines.join(''), newLines.join(''));
+    expect(edits).toHaveLength(1);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { deflateRawSync } from 'zlib';
+import { readZip } from '../src/zip';
+
+// Build an archive with stored (method 0) or deflated (method 8) entries
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, text, method } of entries) {
+    const nameBuf = Buffer.from(name, 'utf-8');
+    const content = Buffer.from(text, 'utf-8');
+    const data = method === 8 ? deflateRawSync(content) : content;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, data);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...locals, directory, end]));
+}
+
+describe('readZip', () => {
+  it('should read stored and deflated entries', () => {
+    const files = readZip(buildZip([
+      { name: 'content.json', text: '[{"title":"Sheet"}]', method: 8 },
+      { name: 'resources/日本.txt', text: 'plain', method: 0 },
+    ]));
+    expect([...files.keys()]).toEqual(['content.json', 'resources/日本.txt']);
+    expect(Buffer.from(files.get('content.json')).toString()).toBe('[{"title":"Sheet"}]');
+    expect(Buffer.from(files.get('resources/日本.txt')).toString()).toBe('plain');
+  });
+
+  it('should skip directory entries', () => {
+    const files = readZip(buildZip([
+      { name: 'resources/', text: '', method: 0 },
+      { name: 'resources/a.png', text: 'png', method: 0 },
+    ]));
+    expect([...files.keys()]).toEqual(['resources/a.png']);
+  });
+
+  it('should reject data that is not an archive', () => {
+    expect(() => readZip(new Uint8Array(Buffer.from('not a zip file at all, just some text')))).toThrow('Not a ZIP archive');
+  });
+
+  it('should reject unsupported compression methods', () => {
+    expect(() => readZip(buildZip([{ name: 'a.txt', text: 'x', method: 12 }]))).toThrow(/compression method 12/);
+  });
+});